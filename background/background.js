@@ -1,58 +1,793 @@
-// Initialize default settings on install or update
-chrome.runtime.onInstalled.addListener(() => {
-    const defaultSettings = {
-        theme: 'light',
-        syntaxHighlighting: true,
-        clipboardEnabled: true,
-        commandBarEnabled: true,
-        sessionRecording: {
-            enabled: false,
-            autoDelete: true,
-            retentionDays: 7
-        },
-        consentGiven: false
-    };
+import { THEME_OPTIONS, deepMerge, isPlainObject, normalizeSettings } from '../utils/settingsSchema.js';
+import { createLogger, setLogPersister, MAX_PERSISTED_ENTRIES } from '../utils/logger.js';
+import { pickThemeSettings, getNextThemeScheduleChange, getThemeSchedulePause } from '../utils/themes.js';
+import { isValidMatchPattern } from '../utils/matchPattern.js';
+import { CUSTOM_SITES_KEY, getCustomSites } from '../utils/customSites.js';
+import { COMMANDS_KEY, normalizeCommand } from '../utils/commands.js';
 
-    // Store default settings
-    chrome.storage.sync.set({ settings: defaultSettings }, () => {
-        console.log("Default settings saved.");
-    });
+const log = createLogger('background');
 
-    chrome.storage.local.set({ clipboardSnippets: [] }, () => {
-        console.log("Clipboard snippets initialized.");
-    });
+// Log entries from the background and from every tab go through the same queue
+setLogPersister(appendLogEntries);
+
+// Initialize or migrate settings on install or update
+chrome.runtime.onInstalled.addListener(async (details) => {
+    try {
+        const { settings: storedSettings } = await chrome.storage.sync.get('settings');
+        await moveSettingsToLocal(storedSettings);
+
+        // Existing values are migrated and kept; only missing keys get defaults.
+        // On a fresh install this also keeps anything synced from another device.
+        const settings = normalizeSettings(storedSettings);
+        await chrome.storage.sync.set({ settings });
+
+        if (details.reason === 'update' && storedSettings) {
+            log(`Settings migrated from version ${storedSettings.version || 1} to ${settings.version}.`);
+        } else {
+            log("Default settings saved.");
+        }
+
+        // Only create the snippet store if it doesn't exist yet
+        const { clipboardSnippets } = await chrome.storage.local.get('clipboardSnippets');
+        if (!Array.isArray(clipboardSnippets)) {
+            await chrome.storage.local.set({ clipboardSnippets: [] });
+            log("Clipboard snippets initialized.");
+        }
+
+        await syncCustomSiteScripts();
+        await scheduleThemeAlarm(settings);
+    } catch (error) {
+        log.error('Error initializing settings:', error.message);
+    }
 
     // Set up session cleanup alarm
     chrome.alarms.create('sessionCleanup', { periodInMinutes: 1440 }); // Runs every 24 hours
 });
 
+// Alarms don't survive a browser restart
+chrome.runtime.onStartup.addListener(async () => {
+    try {
+        await scheduleThemeAlarm(await readSettings());
+    } catch (error) {
+        log.error('Error scheduling the theme alarm:', error.message);
+    }
+});
+
+// Custom sites only get the content script while their host permission is granted
+chrome.permissions.onAdded.addListener(async () => {
+    await syncCustomSiteScripts();
+});
+chrome.permissions.onRemoved.addListener(async () => {
+    await syncCustomSiteScripts();
+});
+
+// The custom sites page saves its sites straight to chrome.storage.local
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[CUSTOM_SITES_KEY]) {
+        syncCustomSiteScripts();
+    }
+});
+
+// While the theme editor is open it previews its colors in every chatbot tab;
+// when it closes, the tabs go back to the saved theme
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'theme-preview') {
+        return;
+    }
+
+    port.onMessage.addListener((message) => {
+        if (isPlainObject(message?.customTheme)) {
+            broadcastToTabs({ type: 'THEME_CHANGED', theme: 'custom', customTheme: message.customTheme });
+        } else {
+            broadcastThemeSettings();
+        }
+    });
+    port.onDisconnect.addListener(() => broadcastThemeSettings());
+});
+
 // Listen for alarms
-chrome.alarms.onAlarm.addListener((alarm) => {
+chrome.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === 'sessionCleanup') {
         cleanupOldSessions();
+    } else if (alarm.name === THEME_SCHEDULE_ALARM) {
+        // Tabs work out from the time whether the scheduled theme applies
+        const settings = await readSettings();
+        await broadcastThemeSettings(settings);
+        await scheduleThemeAlarm(settings);
     }
 });
 
 // Function to clean up old sessions based on retention policy
-function cleanupOldSessions() {
-    chrome.storage.sync.get('settings', (data) => {
-        const settings = data.settings;
-
-        if (settings?.sessionRecording?.autoDelete) {
-            chrome.storage.local.get('sessions', (data) => {
-                const sessions = data.sessions || [];
-                const cutoffDate = new Date();
-                cutoffDate.setDate(cutoffDate.getDate() - settings.sessionRecording.retentionDays);
-
-                // Filter out old sessions based on retention policy
-                const filteredSessions = sessions.filter(session =>
-                    new Date(session.timestamp) >= cutoffDate
-                );
-
-                chrome.storage.local.set({ sessions: filteredSessions }, () => {
-                    console.log(`Cleaned up ${sessions.length - filteredSessions.length} old sessions`);
-                });
+async function cleanupOldSessions() {
+    try {
+        const settings = await readSettings();
+        if (!settings.sessionRecording.autoDelete) {
+            return;
+        }
+
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - settings.sessionRecording.retentionDays);
+
+        let removedCount = 0;
+        await updateLocalValue('sessions', (sessions = []) => {
+            // Filter out old sessions based on retention policy;
+            // imported history is kept until the user deletes it
+            const filteredSessions = sessions.filter(session =>
+                session.importedFrom || new Date(session.timestamp) >= cutoffDate
+            );
+            removedCount = sessions.length - filteredSessions.length;
+            return filteredSessions;
+        });
+        log(`Cleaned up ${removedCount} old sessions`);
+    } catch (error) {
+        log.error('Error cleaning up old sessions:', error.message);
+    }
+}
+
+/**
+ * Message handlers keyed by message type. Each entry declares a payload
+ * validator (returning an error string or null) and an async handler whose
+ * result is merged into a `{ success: true }` response.
+ */
+const MESSAGE_HANDLERS = {
+    GET_SETTINGS: {
+        validate: () => null,
+        handle: async () => ({ settings: await readSettings() })
+    },
+    SAVE_SETTINGS: {
+        validate: (request) => isPlainObject(request.settings) ? null : 'settings must be an object',
+        handle: async (request, sender) => {
+            // A changed schedule applies right away, even if a theme picked on the page paused it
+            const settings = await writeSettings(isPlainObject(request.settings.themeSchedule)
+                ? deepMerge(request.settings, { themeSchedule: { pausedUntil: null } })
+                : request.settings);
+
+            if (request.settings.themeSchedule) {
+                await scheduleThemeAlarm(settings);
+            }
+
+            // Apply the change live in every other open chatbot tab
+            await broadcastToTabs({ type: 'SETTINGS_CHANGED', settings }, sender.tab?.id);
+            return { settings };
+        }
+    },
+    GET_SNIPPETS: {
+        validate: () => null,
+        handle: async () => {
+            const data = await chrome.storage.local.get('clipboardSnippets');
+            return { snippets: data.clipboardSnippets || [] };
+        }
+    },
+    ADD_SNIPPET: {
+        validate: (request) => isPlainObject(request.snippet) && typeof request.snippet.text === 'string'
+            ? null
+            : 'snippet must be an object with text',
+        handle: async (request) => ({
+            snippets: await updateLocalValue('clipboardSnippets', (snippets = []) => [
+                ...snippets,
+                { ...request.snippet, id: `snippet-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` }
+            ])
+        })
+    },
+    DELETE_SNIPPET: {
+        validate: (request) => typeof request.snippetId === 'string' ? null : 'snippetId must be a string',
+        handle: async (request) => ({
+            snippets: await updateLocalValue('clipboardSnippets', (snippets = []) =>
+                snippets.filter(snippet => snippet.id !== request.snippetId))
+        })
+    },
+    GET_CLIPBOARD_HISTORY: {
+        validate: () => null,
+        handle: async () => {
+            const data = await chrome.storage.local.get('clipboardHistory');
+            return { history: data.clipboardHistory || [] };
+        }
+    },
+    ADD_CLIPBOARD_ENTRY: {
+        validate: (request) => typeof request.entry?.text === 'string' && request.entry.text.trim()
+            ? null
+            : 'entry.text must be a non-empty string',
+        handle: async (request) => ({ history: await addClipboardEntry(request.entry) })
+    },
+    CLEAR_CLIPBOARD_HISTORY: {
+        validate: () => null,
+        handle: async () => ({ history: await updateLocalValue('clipboardHistory', () => []) })
+    },
+    APPEND_LOG_ENTRIES: {
+        validate: (request) => Array.isArray(request.entries) ? null : 'entries must be an array',
+        handle: async (request) => {
+            await appendLogEntries(request.entries);
+            return {};
+        }
+    },
+    RECORD_CONSENT: {
+        validate: (request) => {
+            if (!CONSENT_DATA_KEYS[request.feature]) {
+                return `Unknown consent feature: ${request.feature}`;
+            }
+            if (!CONSENT_ACTIONS.includes(request.action)) {
+                return `Unknown consent action: ${request.action}`;
+            }
+            return typeof request.platform === 'string' && request.platform
+                ? null
+                : 'platform must be a non-empty string';
+        },
+        handle: async (request) => ({
+            purgedCount: await recordConsentDecision(request.feature, request.platform, request.action)
+        })
+    },
+    SAVE_SESSION: {
+        validate: (request) => {
+            if (typeof request.platform !== 'string' || !request.platform) {
+                return 'platform must be a non-empty string';
+            }
+            if (!Array.isArray(request.content) || request.content.length === 0) {
+                return 'content must be a non-empty array of messages';
+            }
+            return null;
+        },
+        handle: async (request, sender) => ({ session: await storeSession(request, sender) })
+    },
+    DELETE_SESSIONS: {
+        validate: (request) => Array.isArray(request.sessionIds) ? null : 'sessionIds must be an array',
+        handle: async (request) => ({ deletedCount: await deleteSessions(request.sessionIds) })
+    },
+    ADD_SESSIONS: {
+        validate: (request) => Array.isArray(request.sessions) && request.sessions.every(isPlainObject)
+            ? null
+            : 'sessions must be an array of objects',
+        handle: async (request) => ({ sessions: await addImportedSessions(request.sessions) })
+    },
+    OPEN_COMMAND_MANAGER: {
+        validate: () => null,
+        handle: async () => {
+            const tab = await chrome.tabs.create({ url: chrome.runtime.getURL('popup/commands.html') });
+            return { tabId: tab.id };
+        }
+    },
+    BROADCAST_PROMPT: {
+        validate: (request) => typeof request.prompt === 'string' && request.prompt.trim()
+            ? null
+            : 'prompt must be a non-empty string',
+        handle: async (request) => {
+            const broadcast = await startBroadcast(request.prompt);
+            await chrome.tabs.create({ url: chrome.runtime.getURL(`popup/compare.html?id=${broadcast.id}`) });
+            return { broadcast };
+        }
+    },
+    BROADCAST_RESPONSE: {
+        validate: (request) => {
+            if (typeof request.broadcastId !== 'string') {
+                return 'broadcastId must be a string';
+            }
+            if (!isPlainObject(request.response) && typeof request.error !== 'string') {
+                return 'either response or error is required';
+            }
+            return null;
+        },
+        handle: async (request, sender) => ({ broadcast: await recordBroadcastResponse(request, sender) })
+    },
+    OPEN_CODE_PREVIEW: {
+        validate: (request) => typeof request.html === 'string' ? null : 'html must be a string',
+        handle: async (request) => {
+            // The preview page reads it by id and then removes it
+            const id = `preview-${Date.now()}`;
+            await chrome.storage.session.set({ [id]: { html: request.html, title: String(request.title || '') } });
+            const tab = await chrome.tabs.create({ url: chrome.runtime.getURL(`popup/preview.html?id=${id}`) });
+            return { tabId: tab.id };
+        }
+    },
+    OPEN_SAVE_TO_PROJECT: {
+        validate: (request) => {
+            if (typeof request.code !== 'string') {
+                return 'code must be a string';
+            }
+            if (typeof request.conversation !== 'string') {
+                return 'conversation must be a string';
+            }
+            return null;
+        },
+        handle: async (request) => {
+            // Picking folders needs an extension page, whose IndexedDB keeps the folder handles;
+            // the page reads the code block by id and then removes it
+            const id = `save-${Date.now()}`;
+            await chrome.storage.session.set({
+                [id]: {
+                    code: request.code,
+                    fileName: String(request.fileName || ''),
+                    conversation: request.conversation,
+                    title: String(request.title || '')
+                }
             });
+            const saveWindow = await chrome.windows.create({
+                url: chrome.runtime.getURL(`popup/save.html?id=${id}`),
+                type: 'popup',
+                width: 760,
+                height: 640
+            });
+            return { windowId: saveWindow.id };
+        }
+    },
+    APPLY_THEME: {
+        validate: (request) => THEME_OPTIONS.includes(request.theme) ? null : `Unknown theme: ${request.theme}`,
+        handle: async (request) => {
+            // A platform with its own theme keeps it separate from the others.
+            // Otherwise the picked theme is shown even while the schedule
+            // shows its own, until the schedule next ends.
+            const settings = await writeSettings(({ platformThemes, themeSchedule }) => platformThemes[request.platform]
+                ? { platformThemes: { [request.platform]: request.theme } }
+                : { theme: request.theme, themeSchedule: { pausedUntil: getThemeSchedulePause(themeSchedule) } });
+            return { notifiedTabs: await broadcastThemeSettings(settings) };
+        }
+    }
+};
+
+// Alarm that switches tabs when the theme schedule starts or ends
+const THEME_SCHEDULE_ALARM = 'themeSchedule';
+
+// Data collected under each feature that needs consent, purged when consent is revoked
+const CONSENT_DATA_KEYS = {
+    sessionRecording: 'sessions',
+    clipboardHistory: 'clipboardHistory'
+};
+const CONSENT_ACTIONS = ['granted', 'denied', 'revoked'];
+
+// Maximum number of entries kept in the consent audit log
+const MAX_AUDIT_LOG_ENTRIES = 500;
+
+// Maximum number of entries kept in the clipboard history
+const MAX_CLIPBOARD_HISTORY = 50;
+
+// ID of the dynamically registered content script for custom sites
+const CUSTOM_SITES_SCRIPT_ID = 'custom-sites';
+
+// Maximum number of broadcast prompts kept for the comparison page
+const MAX_BROADCASTS = 10;
+
+// Several tabs write the same stored values at once, e.g. the responses to a
+// broadcast, so updates to each key are chained to keep one from overwriting another
+const storageUpdates = new Map();
+
+// Settings writes are chained the same way, so quick changes from the popup
+// and consent decisions from the tabs don't drop one another
+let settingsWrites = Promise.resolve();
+
+// Route every runtime message through the handler table
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    const entry = MESSAGE_HANDLERS[request?.type];
+    if (!entry) {
+        sendResponse({ success: false, error: `Unknown message type: ${request?.type}` });
+        return false;
+    }
+
+    const validationError = entry.validate(request);
+    if (validationError) {
+        sendResponse({ success: false, error: validationError });
+        return false;
+    }
+
+    entry.handle(request, sender)
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => {
+            log.error(`Error handling ${request.type}:`, error.message);
+            sendResponse({ success: false, error: error.message });
+        });
+
+    // Keep the channel open for the async response
+    return true;
+});
+
+/**
+ * Read the stored settings
+ * @returns {Promise<object>} The settings object
+ */
+async function readSettings() {
+    const data = await chrome.storage.sync.get('settings');
+    return normalizeSettings(data.settings);
+}
+
+/**
+ * Merge partial settings into the stored settings and persist them, after
+ * any earlier write has finished
+ * @param {object|function(object): object} partialSettings - The settings to apply,
+ *   or a function that picks them from the stored settings
+ * @returns {Promise<object>} The merged settings
+ */
+function writeSettings(partialSettings) {
+    const result = settingsWrites.then(async () => {
+        const storedSettings = await readSettings();
+        const patch = typeof partialSettings === 'function' ? partialSettings(storedSettings) : partialSettings;
+        const settings = deepMerge(storedSettings, patch);
+        await chrome.storage.sync.set({ settings });
+        return settings;
+    });
+    settingsWrites = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Append a recorded session to local storage if recording is allowed on its platform
+ * @param {object} request - The SAVE_SESSION message
+ * @param {object} sender - The message sender
+ * @returns {Promise<object>} The stored session
+ */
+async function storeSession(request, sender) {
+    let session = null;
+    await updateLocalValue('sessions', async (sessions = []) => {
+        // Consent is checked in the queue: another tab on the platform may have
+        // revoked it while this one kept recording, and its purge must win
+        const { consent } = await chrome.storage.local.get('consent');
+        if (!consent?.sessionRecording?.[request.platform]?.granted) {
+            throw new Error('Session recording requires user consent');
         }
+
+        session = {
+            id: getNextSessionId(sessions),
+            timestamp: new Date().toISOString(),
+            platform: request.platform,
+            url: sender.tab?.url || null,
+            content: request.content
+        };
+        return [...sessions, session];
     });
+    return session;
+}
+
+/**
+ * Delete sessions from local storage
+ * @param {Array<number>} sessionIds - The IDs of the sessions to delete
+ * @returns {Promise<number>} The number of deleted sessions
+ */
+async function deleteSessions(sessionIds) {
+    const idsToDelete = new Set(sessionIds);
+    let deletedCount = 0;
+    await updateLocalValue('sessions', (sessions = []) => {
+        const remaining = sessions.filter(session => !idsToDelete.has(session.id));
+        deletedCount = sessions.length - remaining.length;
+        return remaining;
+    });
+    return deletedCount;
+}
+
+/**
+ * Append imported sessions to local storage
+ * @param {Array<object>} newSessions - The sessions to add, without IDs
+ * @returns {Promise<Array<object>>} The stored sessions, with their IDs
+ */
+async function addImportedSessions(newSessions) {
+    let added = [];
+    await updateLocalValue('sessions', (sessions = []) => {
+        const firstId = getNextSessionId(sessions);
+        added = newSessions.map((session, index) => ({ ...session, id: firstId + index }));
+        return [...sessions, ...added];
+    });
+    return added;
+}
+
+/**
+ * Pick an ID for a new session. IDs follow the largest stored one, so
+ * sessions saved from several tabs or imported at the same time never share one.
+ * @param {Array<object>} sessions - The stored sessions
+ * @returns {number} The ID
+ */
+function getNextSessionId(sessions) {
+    return sessions.reduce((maxId, session) => Math.max(maxId, Number(session.id) || 0), 0) + 1;
+}
+
+/**
+ * Append entries to the persisted diagnostic log
+ * @param {Array<object>} entries - The log entries
+ * @returns {Promise<Array<object>>} The persisted log
+ */
+function appendLogEntries(entries) {
+    return updateLocalValue('diagnosticLog', (diagnosticLog = []) =>
+        [...diagnosticLog, ...entries].slice(-MAX_PERSISTED_ENTRIES));
+}
+
+/**
+ * Store a consent decision and append it to the audit log
+ * @param {string} feature - The feature key, one of CONSENT_DATA_KEYS
+ * @param {string} platform - The platform the consent applies to
+ * @param {string} action - One of CONSENT_ACTIONS
+ * @returns {Promise<number>} The number of items purged by a revocation
+ */
+async function recordConsentDecision(feature, platform, action) {
+    const timestamp = new Date().toISOString();
+    const consent = await updateLocalValue('consent', (consent = {}) => ({
+        ...consent,
+        [feature]: { ...consent[feature], [platform]: { granted: action === 'granted', timestamp } }
+    }));
+    await updateLocalValue('consentAuditLog', (auditLog = []) =>
+        [...auditLog, { feature, platform, action, timestamp }].slice(-MAX_AUDIT_LOG_ENTRIES));
+
+    // Keep the settings flag in sync: true while recording is allowed anywhere
+    if (feature === 'sessionRecording') {
+        const consentGiven = Object.values(consent.sessionRecording).some(record => record.granted);
+        await writeSettings({ consentGiven });
+    }
+
+    return action === 'revoked' ? purgeCollectedData(feature, platform) : 0;
+}
+
+/**
+ * Delete data collected for a feature on a platform
+ * @param {string} feature - The feature key, one of CONSENT_DATA_KEYS
+ * @param {string} platform - The platform to purge
+ * @returns {Promise<number>} The number of purged items
+ */
+async function purgeCollectedData(feature, platform) {
+    let purgedCount = 0;
+    await updateLocalValue(CONSENT_DATA_KEYS[feature], (items = []) => {
+        // Sessions imported from an export weren't collected under this consent
+        const remaining = items.filter(item => item.platform !== platform || item.importedFrom);
+        purgedCount = items.length - remaining.length;
+        return remaining;
+    });
+    return purgedCount;
+}
+
+/**
+ * Add an entry to the front of the bounded clipboard history
+ * @param {object} entry - The captured clipboard entry
+ * @returns {Promise<Array>} The updated history
+ */
+function addClipboardEntry(entry) {
+    return updateLocalValue('clipboardHistory', (history = []) => [
+        {
+            id: `clip-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: new Date().toISOString(),
+            ...entry
+        },
+        // Copying the same text again moves it to the top instead of duplicating it
+        ...history.filter(item => item.text !== entry.text)
+    ].slice(0, MAX_CLIPBOARD_HISTORY));
+}
+
+/**
+ * Find every open tab the content scripts run in, including custom sites
+ * @returns {Promise<Array<chrome.tabs.Tab>>} The tabs
+ */
+async function queryContentScriptTabs() {
+    const registeredScripts = await chrome.scripting.getRegisteredContentScripts();
+    const matches = [...chrome.runtime.getManifest().content_scripts, ...registeredScripts]
+        .flatMap(script => script.matches);
+    return chrome.tabs.query({ url: matches });
+}
+
+/**
+ * Send a message to every tab the content scripts run in
+ * @param {object} message - The message to send
+ * @param {number} [excludeTabId] - A tab to skip, usually the sender
+ * @returns {Promise<number>} The number of tabs that received the message
+ */
+async function broadcastToTabs(message, excludeTabId) {
+    const tabs = await queryContentScriptTabs();
+
+    const results = await Promise.allSettled(
+        tabs
+            .filter(tab => tab.id !== excludeTabId)
+            .map(tab => chrome.tabs.sendMessage(tab.id, message))
+    );
+
+    return results.filter(result => result.status === 'fulfilled').length;
+}
+
+/**
+ * Apply a change to a value in local storage after any earlier change to it has finished
+ * @param {string} key - The storage key
+ * @param {function(*): (*|Promise<*>)} update - Receives the stored value, or undefined, and returns
+ *   the new one; if it throws, the value is left as it is
+ * @returns {Promise<*>} The stored value
+ */
+function updateLocalValue(key, update) {
+    const result = (storageUpdates.get(key) || Promise.resolve()).then(async () => {
+        const data = await chrome.storage.local.get(key);
+        const value = await update(data[key]);
+        await chrome.storage.local.set({ [key]: value });
+        return value;
+    });
+    storageUpdates.set(key, result.catch(() => {}));
+    return result;
+}
+
+/**
+ * Apply a change to the stored broadcasts after any earlier change has finished
+ * @param {function(Array<object>): Array<object>} update - Returns the new list of broadcasts
+ * @returns {Promise<Array<object>>} The stored broadcasts
+ */
+function updateBroadcasts(update) {
+    return updateLocalValue('broadcasts', (broadcasts = []) => update(broadcasts).slice(-MAX_BROADCASTS));
+}
+
+/**
+ * Have every chatbot tab apply the stored theme settings, which also ends
+ * a preview from the theme editor
+ * @param {object} [settings] - The settings, if already read
+ * @returns {Promise<number>} The number of tabs notified
+ */
+async function broadcastThemeSettings(settings) {
+    const themeSettings = pickThemeSettings(settings || await readSettings());
+    return broadcastToTabs({ type: 'THEME_CHANGED', themeSettings });
+}
+
+/**
+ * Set the alarm for the next start or end of the theme schedule
+ * @param {object} settings - The settings object
+ */
+async function scheduleThemeAlarm(settings) {
+    await chrome.alarms.clear(THEME_SCHEDULE_ALARM);
+
+    const nextChange = getNextThemeScheduleChange(settings.themeSchedule);
+    if (nextChange) {
+        await chrome.alarms.create(THEME_SCHEDULE_ALARM, { when: nextChange.getTime() });
+        log(`Next theme schedule change at ${nextChange.toLocaleTimeString()}`);
+    }
+}
+
+/**
+ * Send a prompt to every open chatbot tab and store a broadcast that
+ * collects their responses
+ * @param {string} prompt - The prompt text
+ * @returns {Promise<object>} The stored broadcast
+ */
+async function startBroadcast(prompt) {
+    const tabs = await queryContentScriptTabs();
+    if (tabs.length === 0) {
+        throw new Error('No open chatbot tabs to send the prompt to');
+    }
+
+    // Stored before the prompt is sent: a quick tab can report its response
+    // before the slower ones have confirmed that they sent it
+    const broadcast = {
+        id: `broadcast-${Date.now()}`,
+        timestamp: new Date().toISOString(),
+        prompt,
+        responses: tabs.map(tab => ({
+            tabId: tab.id,
+            title: tab.title,
+            url: tab.url,
+            platform: null,
+            status: 'pending',
+            error: null,
+            response: null
+        }))
+    };
+    await updateBroadcasts(broadcasts => [...broadcasts, broadcast]);
+
+    const replies = await Promise.allSettled(tabs.map(tab => chrome.tabs.sendMessage(tab.id, {
+        type: 'RUN_BROADCAST_PROMPT',
+        broadcastId: broadcast.id,
+        prompt
+    })));
+    const repliesByTab = new Map(tabs.map((tab, index) => [tab.id, replies[index]]));
+
+    const broadcasts = await updateBroadcasts(broadcasts => broadcasts
+        .map(stored => stored.id === broadcast.id
+            ? { ...stored, responses: stored.responses.flatMap(entry => applyBroadcastReply(entry, repliesByTab.get(entry.tabId))) }
+            : stored)
+        .filter(stored => stored.id !== broadcast.id || stored.responses.length > 0));
+
+    const stored = broadcasts.find(candidate => candidate.id === broadcast.id);
+    if (!stored) {
+        throw new Error('No open chatbot tabs to send the prompt to');
+    }
+    log(`Broadcast sent to ${stored.responses.length} tab(s)`);
+    return stored;
+}
+
+/**
+ * Update a tab's entry in a broadcast with its reply to the prompt
+ * @param {object} entry - The tab's entry
+ * @param {PromiseSettledResult<object>} reply - The tab's reply to RUN_BROADCAST_PROMPT
+ * @returns {Array<object>} The updated entry, or nothing if the tab has no chatbot
+ */
+function applyBroadcastReply(entry, reply) {
+    // Tabs that don't answer have no chatbot detected and are left out
+    if (reply?.status !== 'fulfilled' || !reply.value) {
+        return [];
+    }
+
+    const updated = { ...entry, platform: reply.value.platform };
+    // A response the tab reported already is kept
+    if (!reply.value.success && entry.status === 'pending') {
+        updated.status = 'failed';
+        updated.error = reply.value.error || null;
+    }
+    return [updated];
+}
+
+/**
+ * Store a tab's finished response to a broadcast
+ * @param {object} request - The BROADCAST_RESPONSE message
+ * @param {object} sender - The message sender
+ * @returns {Promise<object>} The updated broadcast
+ */
+async function recordBroadcastResponse(request, sender) {
+    const broadcasts = await updateBroadcasts(broadcasts => broadcasts.map(broadcast => {
+        if (broadcast.id !== request.broadcastId) {
+            return broadcast;
+        }
+        return {
+            ...broadcast,
+            responses: broadcast.responses.map(entry => entry.tabId === sender.tab?.id
+                ? {
+                    ...entry,
+                    status: request.error ? 'failed' : 'done',
+                    error: request.error || null,
+                    response: request.response || null
+                }
+                : entry)
+        };
+    }));
+
+    const broadcast = broadcasts.find(candidate => candidate.id === request.broadcastId);
+    if (!broadcast) {
+        throw new Error(`Unknown broadcast: ${request.broadcastId}`);
+    }
+    return broadcast;
+}
+
+/**
+ * Copy custom sites and commands from settings written before versions 4
+ * and 5 into chrome.storage.local, unless this device has them there
+ * already; the settings migrations then drop them
+ * @param {object} [storedSettings] - The settings as stored, before migration
+ */
+async function moveSettingsToLocal(storedSettings) {
+    const moved = {};
+    if (Array.isArray(storedSettings?.customSites)) {
+        moved[CUSTOM_SITES_KEY] = storedSettings.customSites;
+    }
+    if (Array.isArray(storedSettings?.commands)) {
+        // Commands from before version 3 have no IDs yet
+        moved[COMMANDS_KEY] = storedSettings.commands.map(normalizeCommand).filter(Boolean);
+    }
+
+    const existing = await chrome.storage.local.get(Object.keys(moved));
+    Object.keys(existing).forEach(key => delete moved[key]);
+    if (Object.keys(moved).length > 0) {
+        await chrome.storage.local.set(moved);
+        log(`Moved ${Object.keys(moved).join(', ')} out of the synced settings`);
+    }
+}
+
+/**
+ * Register the content script for every custom site whose host permission
+ * has been granted, replacing any earlier registration
+ * @returns {Promise<Array<string>>} The patterns the content script now runs on
+ */
+async function syncCustomSiteScripts() {
+    const patterns = [...new Set((await getCustomSites())
+        .map(site => site.pattern)
+        .filter(isValidMatchPattern))];
+
+    const granted = await Promise.all(patterns.map(pattern =>
+        chrome.permissions.contains({ origins: [pattern] }).catch(() => false)
+    ));
+    const matches = patterns.filter((pattern, index) => granted[index]);
+
+    try {
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_SITES_SCRIPT_ID] });
+        if (registered.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_SITES_SCRIPT_ID] });
+        }
+
+        if (matches.length > 0) {
+            // Inject the same files as the built-in platforms
+            const [contentScript] = chrome.runtime.getManifest().content_scripts;
+            await chrome.scripting.registerContentScripts([{
+                id: CUSTOM_SITES_SCRIPT_ID,
+                matches,
+                js: contentScript.js,
+                css: contentScript.css,
+                runAt: contentScript.run_at
+            }]);
+        }
+
+        log(`Content script registered for ${matches.length} custom site(s)`);
+    } catch (error) {
+        log.error('Error registering custom site scripts:', error.message);
+    }
+
+    return matches;
 }
@@ -1,19 +1,34 @@
 // Main content script to initialize all features
-import { initSyntaxHighlighter } from './features/syntaxHighlighter.js';
-import { initClipboardManager } from './features/clipboardManager.js';
-import { initThemeManager } from './features/themeManager.js';
-import { initSessionRecorder } from './features/sessionRecorder.js';
-import { initCommandBar } from './features/commandBar.js';
+import { initSyntaxHighlighter, destroySyntaxHighlighter, updateSyntaxHighlighterOptions } from './features/syntaxHighlighter.js';
+import { initClipboardManager, destroyClipboardManager } from './features/clipboardManager.js';
+import { applyThemeSettings, previewCustomTheme } from './features/themeManager.js';
+import { initSessionRecorder, destroySessionRecorder } from './features/sessionRecorder.js';
+import { initCommandBar, destroyCommandBar, updateCommandBarShortcut, updateCommandBarCommands } from './features/commandBar.js';
+import { runBroadcastPrompt } from './features/broadcast.js';
 import { getSettings } from '../utils/storage.js';
-import { detectChatbotPlatform, observeDOMChanges } from '../utils/domUtils.js';
-import { log } from '../utils/logger.js';
+import { registerCustomSites, detectPlatformAdapter } from './platforms/index.js';
+import { createLogger, buildDiagnostics } from '../utils/logger.js';
 import { checkConsent } from '../utils/consentManager.js';
+import { THEME_SETTING_KEYS } from '../utils/themes.js';
+import { CUSTOM_SITES_KEY, getCustomSites } from '../utils/customSites.js';
+import { COMMANDS_KEY } from '../utils/commands.js';
+
+const log = createLogger('content');
+
+// Settings currently applied to this page
+let settings = null;
 
 // Initialize extension
 async function initializeExtension() {
   try {
+    // Get user settings
+    settings = await getSettings();
+    
+    // Custom sites must be registered before detection so they can match
+    registerCustomSites(await getCustomSites());
+    
     // Detect which chatbot platform we're on
-    const platform = detectChatbotPlatform();
+    const platform = detectPlatformAdapter()?.id;
     if (!platform) {
       log('Not on a supported chatbot platform');
       return;
@@ -21,54 +36,126 @@ async function initializeExtension() {
     
     log(`Initializing extension on ${platform}`);
     
-    // Get user settings
-    const settings = await getSettings();
-    
-    // Initialize features based on settings
-    if (settings.syntaxHighlighting) {
-      initSyntaxHighlighter(platform);
-    }
-    
-    if (settings.clipboardEnabled) {
-      initClipboardManager(platform);
-    }
-    
     // Theme is always initialized to handle theme changes
-    initThemeManager(platform, settings.theme);
-    
-    if (settings.commandBarEnabled) {
-      initCommandBar(platform);
-    }
+    applyThemeSettings(platform, settings);
     
-    // Session recorder requires explicit consent
-    if (settings.sessionRecording.enabled) {
-      const hasConsent = await checkConsent();
-      if (hasConsent) {
-        initSessionRecorder(platform);
-      } else {
-        log('Session recording disabled: user consent not given');
-      }
-    }
-    
-    // Set up mutation observer to handle dynamic content
-    observeDOMChanges(platform, () => {
-      // Re-apply features when DOM changes
-      if (settings.syntaxHighlighting) {
-        initSyntaxHighlighter(platform, true); // Pass true to indicate re-initialization
-      }
-    });
+    // Initialize features based on settings; the syntax highlighter
+    // follows new and streaming messages on its own
+    await applyFeatureSettings(platform, null, settings);
     
     // Listen for messages from background script
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (request.type === 'THEME_CHANGED') {
-        initThemeManager(platform, request.theme);
+        // The theme editor sends the colors it is previewing; the background
+        // sends the theme settings when they change or the schedule switches
+        if (request.customTheme) {
+          previewCustomTheme(platform, request.customTheme.colors);
+        } else {
+          settings = { ...settings, ...request.themeSettings };
+          applyThemeSettings(platform, settings);
+        }
         sendResponse({ success: true });
+      } else if (request.type === 'SETTINGS_CHANGED') {
+        const previousSettings = settings;
+        settings = request.settings;
+        applyFeatureSettings(platform, previousSettings, settings)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      } else if (request.type === 'RUN_BROADCAST_PROMPT') {
+        // Answer once the prompt is sent; the response is reported separately
+        runBroadcastPrompt(platform, request.broadcastId, request.prompt)
+          .then(() => sendResponse({ success: true, platform }))
+          .catch(error => sendResponse({ success: false, platform, error: error.message }));
+        return true;
+      } else if (request.type === 'GET_DIAGNOSTICS') {
+        // Answer asynchronously with logs from this page and the detected platform
+        buildDiagnostics(platform)
+          .then(diagnostics => sendResponse({ success: true, diagnostics }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+    });
+    
+    // Pick up selectors changed on the custom sites page, and commands
+    // saved in the command manager or another tab's command bar
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') {
+        return;
+      }
+      if (changes[CUSTOM_SITES_KEY]) {
+        registerCustomSites(changes[CUSTOM_SITES_KEY].newValue);
+      }
+      if (changes[COMMANDS_KEY]) {
+        updateCommandBarCommands(changes[COMMANDS_KEY].newValue || []);
       }
     });
     
     log('Extension initialized successfully');
   } catch (error) {
-    log('Error initializing extension:', error.message);
+    log.error('Error initializing extension:', error.message);
+  }
+}
+
+/**
+ * Start or stop features whose toggles differ between two settings objects
+ * @param {string} platform - The detected chatbot platform
+ * @param {object|null} previous - The settings applied so far, or null on first run
+ * @param {object} next - The settings to apply
+ */
+async function applyFeatureSettings(platform, previous, next) {
+  if (next.syntaxHighlighting !== Boolean(previous?.syntaxHighlighting)) {
+    if (next.syntaxHighlighting) {
+      initSyntaxHighlighter(platform, next.codeBlocks);
+    } else {
+      destroySyntaxHighlighter();
+    }
+  } else if (next.syntaxHighlighting && JSON.stringify(next.codeBlocks) !== JSON.stringify(previous.codeBlocks)) {
+    updateSyntaxHighlighterOptions(next.codeBlocks);
+  }
+  
+  if (next.clipboardEnabled !== Boolean(previous?.clipboardEnabled)) {
+    if (next.clipboardEnabled) {
+      initClipboardManager(platform);
+    } else {
+      destroyClipboardManager();
+    }
+  }
+  
+  if (next.commandBarEnabled !== Boolean(previous?.commandBarEnabled)) {
+    if (next.commandBarEnabled) {
+      initCommandBar(platform);
+    } else {
+      destroyCommandBar();
+    }
+  }
+  
+  if (previous && next.commandBarShortcut !== previous.commandBarShortcut) {
+    updateCommandBarShortcut(next.commandBarShortcut);
+  }
+  
+  if (previous && THEME_SETTING_KEYS.some(key => JSON.stringify(next[key]) !== JSON.stringify(previous[key]))) {
+    applyThemeSettings(platform, next);
+  }
+  
+  // Session recorder requires explicit consent
+  const wasRecordingEnabled = Boolean(previous?.sessionRecording?.enabled);
+  if (next.sessionRecording.enabled && !wasRecordingEnabled) {
+    // When the user has just switched recording on, only the tab they are
+    // looking at asks right away; the others ask once recording is started
+    // from their recording controls. The settings change is answered without
+    // waiting for the dialog, so the popup can confirm the save meanwhile.
+    if (previous && document.visibilityState === 'visible') {
+      checkConsent(true, 'sessionRecording', platform).then(() => {
+        if (settings.sessionRecording.enabled) {
+          initSessionRecorder(platform);
+        }
+      });
+    } else {
+      initSessionRecorder(platform);
+    }
+  } else if (!next.sessionRecording.enabled && wasRecordingEnabled) {
+    destroySessionRecorder(platform);
   }
 }
 
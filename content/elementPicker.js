@@ -0,0 +1,158 @@
+// Element picker injected by the custom sites page to build selectors by clicking.
+// Loaded with chrome.scripting.executeScript, so it is a classic script, not a module.
+(() => {
+  if (window.chatbotEnhancerPickElement) {
+    return;
+  }
+
+  // Attributes that usually identify an element's purpose rather than its instance
+  const VALUED_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-role', 'role', 'aria-label', 'name', 'type'];
+
+  // Maximum number of ancestors added to make a selector specific enough
+  const MAX_ANCESTORS = 4;
+
+  /**
+   * Check whether an id or class looks hand-written rather than generated
+   * @param {string} token - The id or class name
+   * @returns {boolean} Whether the token is likely to survive a redeploy
+   */
+  function isStableToken(token) {
+    return /^[a-zA-Z][\w-]*$/.test(token) &&
+      !/\d{3,}/.test(token) &&
+      !/^(css|sc|jsx|svelte|emotion)-/.test(token) &&
+      token.length <= 40;
+  }
+
+  /**
+   * Describe one element as a simple selector
+   * @param {Element} element - The element
+   * @param {boolean} useId - Whether an id may be used
+   * @returns {string} The selector
+   */
+  function describeElement(element, useId) {
+    if (useId && element.id && isStableToken(element.id)) {
+      return `#${CSS.escape(element.id)}`;
+    }
+
+    let selector = element.tagName.toLowerCase();
+
+    const valued = VALUED_ATTRIBUTES.find(name => element.hasAttribute(name));
+    if (valued) {
+      selector += `[${valued}="${CSS.escape(element.getAttribute(valued))}"]`;
+    } else {
+      // Other data attributes often carry per-message values, so only their presence is used
+      const dataAttribute = Array.from(element.attributes)
+        .find(attribute => attribute.name.startsWith('data-') && isStableToken(attribute.name));
+      if (dataAttribute) {
+        selector += `[${dataAttribute.name}]`;
+      }
+    }
+
+    Array.from(element.classList)
+      .filter(isStableToken)
+      .slice(0, 2)
+      .forEach(className => {
+        selector += `.${CSS.escape(className)}`;
+      });
+
+    return selector;
+  }
+
+  /**
+   * Build a selector for the picked element
+   * @param {Element} element - The picked element
+   * @param {string} mode - 'one' for a unique element, 'all' for every element like it
+   * @returns {string} The selector
+   */
+  function buildSelector(element, mode) {
+    let selector = describeElement(element, mode === 'one');
+    const isSpecific = () => mode === 'one'
+      ? document.querySelectorAll(selector).length === 1
+      : /[.#[]/.test(selector);
+
+    let ancestor = element.parentElement;
+    for (let depth = 0; depth < MAX_ANCESTORS && ancestor && ancestor !== document.body && !isSpecific(); depth++) {
+      selector = `${describeElement(ancestor, true)} ${selector}`;
+      ancestor = ancestor.parentElement;
+    }
+
+    return selector;
+  }
+
+  /**
+   * Let the user click an element and resolve with a selector for it
+   * @param {string} mode - 'one' for a unique element, 'all' for every element like it
+   * @param {string} label - What the user is asked to click, e.g. "the send button"
+   * @returns {Promise<{selector: string, matchCount: number}|null>} The selector, or null if cancelled
+   */
+  window.chatbotEnhancerPickElement = (mode, label) => new Promise((resolve) => {
+    const highlight = document.createElement('div');
+    highlight.className = 'element-picker-highlight';
+    Object.assign(highlight.style, {
+      position: 'fixed',
+      zIndex: '2147483647',
+      pointerEvents: 'none',
+      outline: '2px solid #0969da',
+      background: 'rgba(9, 105, 218, 0.12)',
+      display: 'none'
+    });
+
+    const banner = document.createElement('div');
+    banner.className = 'element-picker-banner';
+    banner.textContent = `Click ${label} · Esc to cancel`;
+    Object.assign(banner.style, {
+      position: 'fixed',
+      top: '8px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: '2147483647',
+      padding: '6px 12px',
+      borderRadius: '6px',
+      font: '13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      color: '#ffffff',
+      background: '#1f2328',
+      pointerEvents: 'none'
+    });
+
+    document.body.append(highlight, banner);
+
+    const handleMouseOver = (event) => {
+      const rect = event.target.getBoundingClientRect();
+      Object.assign(highlight.style, {
+        display: 'block',
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+    };
+
+    // Swallow the click so the page doesn't act on it
+    const handleClick = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      const selector = buildSelector(event.target, mode);
+      finish({ selector, matchCount: document.querySelectorAll(selector).length });
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        finish(null);
+      }
+    };
+
+    function finish(result) {
+      document.removeEventListener('mouseover', handleMouseOver, true);
+      document.removeEventListener('click', handleClick, true);
+      document.removeEventListener('keydown', handleKeyDown, true);
+      highlight.remove();
+      banner.remove();
+      resolve(result);
+    }
+
+    document.addEventListener('mouseover', handleMouseOver, true);
+    document.addEventListener('click', handleClick, true);
+    document.addEventListener('keydown', handleKeyDown, true);
+  });
+})();
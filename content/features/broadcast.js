@@ -0,0 +1,75 @@
+// Broadcast prompts: answer a prompt sent to every chatbot tab and report the response
+import { createLogger } from '../../utils/logger.js';
+import { insertTextIntoInput, submitPrompt, waitForResponse } from '../../utils/domUtils.js';
+import { reportBroadcastResponse } from '../../utils/storage.js';
+import { getPlatformAdapter } from '../platforms/index.js';
+
+const log = createLogger('broadcast');
+
+/**
+ * Insert and send a broadcast prompt, then report the finished response to
+ * the background in a separate message
+ * @param {string} platform - The detected chatbot platform
+ * @param {string} broadcastId - The broadcast the prompt belongs to
+ * @param {string} prompt - The prompt text
+ * @returns {Promise<void>} Resolves once the prompt has been sent
+ */
+export async function runBroadcastPrompt(platform, broadcastId, prompt) {
+  const adapter = getPlatformAdapter(platform);
+  const inputArea = adapter.getInputArea();
+  if (!inputArea) {
+    throw new Error('Could not find input area');
+  }
+  
+  const previousCount = adapter.getMessages()
+    .filter(message => adapter.getRole(message) === 'assistant').length;
+  insertTextIntoInput(inputArea, prompt, true);
+  
+  if (!(await submitPrompt(adapter))) {
+    throw new Error('Could not find an enabled submit button');
+  }
+  
+  // Responses can take minutes, so they are reported on their own
+  waitForResponse(adapter, { previousCount })
+    .then(message => reportBroadcastResponse(broadcastId, { response: extractResponse(adapter, message) }))
+    .catch(error => {
+      log.error('Broadcast response failed:', error.message);
+      reportBroadcastResponse(broadcastId, { error: error.message });
+    });
+}
+
+/**
+ * Collect the text and code blocks of a finished response
+ * @param {object} adapter - The platform adapter
+ * @param {Element} message - The assistant message
+ * @returns {{text: string, codeBlocks: Array<{language: string|null, code: string}>}} The response
+ */
+function extractResponse(adapter, message) {
+  const content = adapter.getContent(message) || message;
+  
+  // Only fenced blocks count, not inline code in prose
+  const codeBlocks = adapter.getCodeBlocks(message)
+    .filter(code => code.closest('pre'))
+    .map(code => ({
+      language: getCodeLanguage(code),
+      code: code.textContent.replace(/\n$/, '')
+    }));
+  
+  return { text: content.innerText.trim(), codeBlocks };
+}
+
+/**
+ * Read a code block's language from its `language-*` class
+ * @param {Element} codeBlock - The code element
+ * @returns {string|null} The language, or null if unknown
+ */
+function getCodeLanguage(codeBlock) {
+  for (const element of [codeBlock, codeBlock.parentElement]) {
+    const languageClass = Array.from(element?.classList || [])
+      .find(cls => cls.startsWith('language-'));
+    if (languageClass) {
+      return languageClass.replace('language-', '');
+    }
+  }
+  return null;
+}
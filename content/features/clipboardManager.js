@@ -0,0 +1,580 @@
+// Clipboard Manager for capturing copies and reusing them as snippets
+import { createLogger } from '../../utils/logger.js';
+import {
+  getSnippets,
+  addSnippet,
+  deleteSnippet as deleteStoredSnippet,
+  getClipboardHistory,
+  addClipboardEntry
+} from '../../utils/storage.js';
+import { insertTextIntoInput } from '../../utils/domUtils.js';
+import { checkConsent, revokeConsent } from '../../utils/consentManager.js';
+import { stripShellPrompts } from '../../utils/codeBlocks.js';
+import { getPlatformAdapter } from '../platforms/index.js';
+
+const log = createLogger('clipboardManager');
+
+let snippets = [];
+let history = [];
+let clipboardPanel = null;
+let isPanelVisible = false;
+let hasHistoryConsent = false;
+let currentPlatform = null;
+let adapter = null;
+let handleCopyClick = null;
+let handleCopyEvent = null;
+let handleSnippetsChange = null;
+
+// The initialization reading storage, if any; destroying the manager cancels it
+let pendingInit = null;
+
+/**
+ * Initialize the clipboard manager
+ * @param {string} platform - The detected chatbot platform
+ */
+export async function initClipboardManager(platform) {
+  const platformAdapter = getPlatformAdapter(platform);
+  if (!platformAdapter) {
+    log(`Clipboard manager: Unsupported platform ${platform}`);
+    return;
+  }
+
+  if (clipboardPanel || pendingInit) {
+    return;
+  }
+
+  const init = { cancelled: false };
+  pendingInit = init;
+  try {
+    currentPlatform = platform;
+    adapter = platformAdapter;
+    snippets = await getSnippets();
+    history = await getClipboardHistory();
+    hasHistoryConsent = await checkConsent(false, 'clipboardHistory', platform);
+
+    // Disabled while storage was being read
+    if (init.cancelled) {
+      return;
+    }
+
+    createClipboardPanel();
+    setupCopyCapture(platform);
+
+    // Snippets pinned or deleted in other tabs
+    handleSnippetsChange = (changes, areaName) => {
+      if (areaName === 'local' && changes.clipboardSnippets) {
+        snippets = changes.clipboardSnippets.newValue || [];
+        renderPanelItems();
+      }
+    };
+    chrome.storage.onChanged.addListener(handleSnippetsChange);
+
+    // Set up keyboard shortcut (Alt+V) to toggle the panel
+    document.addEventListener('keydown', handleShortcut);
+
+    log(`Clipboard manager initialized with ${snippets.length} snippets`);
+  } catch (error) {
+    log.error('Clipboard manager initialization error:', error.message);
+  } finally {
+    if (pendingInit === init) {
+      pendingInit = null;
+    }
+  }
+}
+
+/**
+ * Remove the clipboard panel and stop capturing copies
+ */
+export function destroyClipboardManager() {
+  if (pendingInit) {
+    pendingInit.cancelled = true;
+    pendingInit = null;
+  }
+  document.removeEventListener('keydown', handleShortcut);
+  document.removeEventListener('click', handleCopyClick, true);
+  document.removeEventListener('copy', handleCopyEvent);
+  if (handleSnippetsChange) {
+    chrome.storage.onChanged.removeListener(handleSnippetsChange);
+    handleSnippetsChange = null;
+  }
+  clipboardPanel?.remove();
+  clipboardPanel = null;
+  isPanelVisible = false;
+  log('Clipboard manager removed');
+}
+
+/**
+ * Toggle the clipboard panel on its keyboard shortcut
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleShortcut(event) {
+  if (event.altKey && event.code === 'KeyV') {
+    event.preventDefault();
+    toggleClipboardPanel();
+  }
+}
+
+/**
+ * Capture copies from code blocks, message copy buttons and selections
+ * @param {string} platform - The detected chatbot platform
+ */
+function setupCopyCapture(platform) {
+  // Code copy buttons on the code block toolbar
+  handleCopyClick = (event) => {
+    const codeCopyButton = event.target.closest('.code-copy-button');
+    if (codeCopyButton) {
+      const codeBlock = codeCopyButton.closest('pre')?.querySelector('code');
+      if (codeBlock) {
+        captureEntry({
+          text: codeCopyButton.classList.contains('code-copy-commands')
+            ? stripShellPrompts(codeBlock.textContent)
+            : codeBlock.textContent,
+          source: 'code',
+          language: getCodeLanguage(codeBlock),
+          platform
+        });
+      }
+      return;
+    }
+
+    // The platform's own copy buttons on assistant messages
+    const messageCopyButton = event.target.closest(adapter.selectors.copyButtons);
+    if (messageCopyButton) {
+      const message = findMessageForButton(messageCopyButton);
+      const content = (message && adapter.getContent(message)) || message;
+      if (content) {
+        captureEntry({ text: content.innerText, source: 'message', platform });
+      }
+    }
+  };
+
+  // Manual selections copied from inside a chat message
+  handleCopyEvent = () => {
+    const selection = document.getSelection();
+    if (!selection || selection.isCollapsed) {
+      return;
+    }
+
+    const anchor = selection.anchorNode?.nodeType === Node.ELEMENT_NODE
+      ? selection.anchorNode
+      : selection.anchorNode?.parentElement;
+    if (anchor?.closest(adapter.selectors.messages)) {
+      captureEntry({ text: selection.toString(), source: 'selection', platform });
+    }
+  };
+
+  document.addEventListener('click', handleCopyClick, true);
+  document.addEventListener('copy', handleCopyEvent);
+}
+
+/**
+ * Find the message a copy button belongs to
+ * @param {HTMLElement} button - The copy button
+ * @returns {HTMLElement|null} The message element
+ */
+function findMessageForButton(button) {
+  const message = button.closest(adapter.selectors.messages);
+  if (message) {
+    return message;
+  }
+
+  // Action bars are often rendered as a sibling after the message
+  const assistantMessages = adapter.getMessages()
+    .filter(candidate => adapter.getRole(candidate) === 'assistant');
+  const preceding = assistantMessages.filter(candidate =>
+    candidate.compareDocumentPosition(button) & Node.DOCUMENT_POSITION_FOLLOWING
+  );
+  return preceding[preceding.length - 1] || null;
+}
+
+/**
+ * Get the language of a code block from its class names
+ * @param {HTMLElement} codeBlock - The code element
+ * @returns {string|null} The language or null
+ */
+function getCodeLanguage(codeBlock) {
+  const elements = [codeBlock, codeBlock.parentElement];
+  for (const element of elements) {
+    const languageClass = Array.from(element?.classList || [])
+      .find(cls => cls.startsWith('language-'));
+    if (languageClass) {
+      return languageClass.replace('language-', '');
+    }
+  }
+  return null;
+}
+
+/**
+ * Store a captured entry in the clipboard history
+ * @param {object} entry - The captured entry
+ */
+async function captureEntry(entry) {
+  const text = entry.text?.trim();
+  if (!text || !hasHistoryConsent) {
+    return;
+  }
+
+  // Keep showing the previous history if the entry couldn't be stored
+  const updatedHistory = await addClipboardEntry({ ...entry, text });
+  if (!updatedHistory) {
+    log.warn('Clipboard manager: Could not store the copied text');
+    return;
+  }
+  
+  history = updatedHistory;
+  if (isPanelVisible) {
+    renderPanelItems();
+  }
+  log(`Clipboard manager: Captured ${entry.source} copy`);
+}
+
+/**
+ * Read the system clipboard into the history
+ */
+async function captureSystemClipboard() {
+  try {
+    const text = await navigator.clipboard.readText();
+    await captureEntry({ text, source: 'clipboard', platform: null });
+  } catch (error) {
+    log.error('Failed to read clipboard:', error.message);
+  }
+}
+
+/**
+ * Create the clipboard panel UI
+ */
+function createClipboardPanel() {
+  clipboardPanel = document.createElement('div');
+  clipboardPanel.className = 'clipboard-panel';
+  clipboardPanel.style.display = 'none';
+
+  // Create panel header
+  const header = document.createElement('div');
+  header.className = 'clipboard-panel-header';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Clipboard';
+
+  const closeButton = document.createElement('button');
+  closeButton.textContent = '×';
+  closeButton.className = 'clipboard-panel-close';
+  closeButton.addEventListener('click', toggleClipboardPanel);
+
+  // Capture whatever is on the system clipboard right now
+  const captureButton = document.createElement('button');
+  captureButton.textContent = 'Save clipboard';
+  captureButton.className = 'clipboard-capture-button';
+  captureButton.addEventListener('click', captureSystemClipboard);
+
+  header.appendChild(title);
+  header.appendChild(captureButton);
+  header.appendChild(closeButton);
+  clipboardPanel.appendChild(header);
+
+  // Create search input
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = 'Search snippets and history';
+  searchInput.className = 'clipboard-search';
+  searchInput.addEventListener('input', renderPanelItems);
+  clipboardPanel.appendChild(searchInput);
+
+  // Create history consent toggle
+  const consentButton = document.createElement('button');
+  consentButton.className = 'clipboard-consent-button';
+  consentButton.addEventListener('click', toggleHistoryConsent);
+  clipboardPanel.appendChild(consentButton);
+  updateConsentButton();
+
+  // Create items container
+  const itemsContainer = document.createElement('div');
+  itemsContainer.className = 'clipboard-items';
+  clipboardPanel.appendChild(itemsContainer);
+
+  document.body.appendChild(clipboardPanel);
+}
+
+/**
+ * Update the history consent button label
+ */
+function updateConsentButton() {
+  const consentButton = clipboardPanel.querySelector('.clipboard-consent-button');
+  consentButton.textContent = hasHistoryConsent
+    ? 'Turn off history and delete it for this site'
+    : 'Turn on clipboard history';
+}
+
+/**
+ * Ask for or revoke consent to keep a clipboard history on this platform
+ */
+async function toggleHistoryConsent() {
+  if (hasHistoryConsent) {
+    await revokeConsent('clipboardHistory', currentPlatform);
+    hasHistoryConsent = false;
+    history = await getClipboardHistory();
+  } else {
+    hasHistoryConsent = await checkConsent(true, 'clipboardHistory', currentPlatform);
+  }
+
+  updateConsentButton();
+  renderPanelItems();
+}
+
+/**
+ * Toggle clipboard panel visibility
+ */
+function toggleClipboardPanel() {
+  isPanelVisible = !isPanelVisible;
+  clipboardPanel.style.display = isPanelVisible ? 'flex' : 'none';
+
+  if (isPanelVisible) {
+    renderPanelItems();
+    clipboardPanel.querySelector('.clipboard-search').focus();
+  }
+}
+
+/**
+ * Check whether an item matches the search query
+ * @param {object} item - A snippet or history entry
+ * @param {string} query - The lower-cased search query
+ * @returns {boolean} Whether the item matches
+ */
+function matchesQuery(item, query) {
+  if (!query) {
+    return true;
+  }
+
+  return [item.name, item.text, item.language, ...(item.tags || [])]
+    .filter(Boolean)
+    .some(value => value.toLowerCase().includes(query));
+}
+
+/**
+ * Render snippets and history entries matching the current search
+ */
+function renderPanelItems() {
+  // Snippets can change in another tab after the panel was removed
+  if (!clipboardPanel) {
+    return;
+  }
+
+  const query = clipboardPanel.querySelector('.clipboard-search').value.trim().toLowerCase();
+  const itemsContainer = clipboardPanel.querySelector('.clipboard-items');
+  itemsContainer.innerHTML = '';
+
+  const matchingSnippets = snippets.filter(snippet => matchesQuery(snippet, query));
+  const matchingHistory = history.filter(entry => matchesQuery(entry, query));
+
+  if (matchingSnippets.length > 0) {
+    itemsContainer.appendChild(createSectionTitle('Snippets'));
+    matchingSnippets.forEach(snippet => {
+      itemsContainer.appendChild(createItemElement(snippet, true));
+    });
+  }
+
+  if (matchingHistory.length > 0) {
+    itemsContainer.appendChild(createSectionTitle('History'));
+    matchingHistory.forEach(entry => {
+      itemsContainer.appendChild(createItemElement(entry, false));
+    });
+  }
+
+  if (matchingSnippets.length === 0 && matchingHistory.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'clipboard-empty';
+    empty.textContent = query ? 'No matches' : 'Copy code or a response to start your history';
+    itemsContainer.appendChild(empty);
+  }
+}
+
+/**
+ * Create a section title element
+ * @param {string} text - The title text
+ * @returns {HTMLElement} The title element
+ */
+function createSectionTitle(text) {
+  const sectionTitle = document.createElement('h4');
+  sectionTitle.className = 'clipboard-section-title';
+  sectionTitle.textContent = text;
+  return sectionTitle;
+}
+
+/**
+ * Create the element for a snippet or history entry
+ * @param {object} item - The snippet or history entry
+ * @param {boolean} isSnippet - Whether the item is a pinned snippet
+ * @returns {HTMLElement} The item element
+ */
+function createItemElement(item, isSnippet) {
+  const element = document.createElement('div');
+  element.className = isSnippet ? 'clipboard-item clipboard-snippet' : 'clipboard-item';
+
+  const label = document.createElement('div');
+  label.className = 'clipboard-item-label';
+  label.textContent = isSnippet ? item.name : item.source;
+  if (item.language) {
+    label.textContent += ` · ${item.language}`;
+  }
+  element.appendChild(label);
+
+  if (isSnippet && item.tags?.length) {
+    const tags = document.createElement('div');
+    tags.className = 'clipboard-item-tags';
+    tags.textContent = item.tags.map(tag => `#${tag}`).join(' ');
+    element.appendChild(tags);
+  }
+
+  const preview = document.createElement('pre');
+  preview.className = 'clipboard-item-preview';
+  preview.textContent = item.text.length > 200 ? `${item.text.slice(0, 200)}…` : item.text;
+  element.appendChild(preview);
+
+  const actions = document.createElement('div');
+  actions.className = 'clipboard-item-actions';
+
+  actions.appendChild(createActionButton('Insert', () => insertIntoPrompt(item.text)));
+  actions.appendChild(createActionButton('Copy', () => copyToClipboard(item.text)));
+
+  if (isSnippet) {
+    actions.appendChild(createActionButton('Delete', () => deleteSnippet(item.id)));
+  } else {
+    actions.appendChild(createActionButton('Pin', () => showPinForm(element, item)));
+  }
+
+  element.appendChild(actions);
+  return element;
+}
+
+/**
+ * Create an action button
+ * @param {string} text - The button text
+ * @param {Function} onClick - The click handler
+ * @returns {HTMLElement} The button element
+ */
+function createActionButton(text, onClick) {
+  const button = document.createElement('button');
+  button.className = 'clipboard-action-button';
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Show the inline form for pinning a history entry as a snippet
+ * @param {HTMLElement} element - The history item element
+ * @param {object} entry - The history entry
+ */
+function showPinForm(element, entry) {
+  if (element.querySelector('.clipboard-pin-form')) {
+    return;
+  }
+
+  const form = document.createElement('form');
+  form.className = 'clipboard-pin-form';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = 'Snippet name';
+  nameInput.required = true;
+
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.placeholder = 'Tags (comma separated)';
+
+  const saveButton = document.createElement('button');
+  saveButton.type = 'submit';
+  saveButton.textContent = 'Save';
+
+  form.appendChild(nameInput);
+  form.appendChild(tagsInput);
+  form.appendChild(saveButton);
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const name = nameInput.value.trim();
+    const tags = tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (name) {
+      pinSnippet(entry, name, tags);
+    }
+  });
+
+  element.appendChild(form);
+  nameInput.focus();
+}
+
+/**
+ * Pin a history entry as a named snippet
+ * @param {object} entry - The history entry
+ * @param {string} name - The snippet name
+ * @param {Array<string>} tags - The snippet tags
+ */
+async function pinSnippet(entry, name, tags) {
+  try {
+    const updatedSnippets = await addSnippet({
+      name,
+      tags,
+      text: entry.text,
+      language: entry.language || null,
+      createdAt: new Date().toISOString()
+    });
+    if (!updatedSnippets) {
+      log.error('Failed to save snippet');
+      return;
+    }
+
+    snippets = updatedSnippets;
+    log(`Pinned snippet: ${name}`);
+    renderPanelItems();
+  } catch (error) {
+    log.error('Error pinning snippet:', error.message);
+  }
+}
+
+/**
+ * Delete a snippet
+ * @param {string} snippetId - The ID of the snippet to delete
+ */
+async function deleteSnippet(snippetId) {
+  const previousSnippets = snippets;
+  try {
+    // Hide it right away, and show it again if the deletion fails
+    snippets = snippets.filter(snippet => snippet.id !== snippetId);
+    renderPanelItems();
+
+    const updatedSnippets = await deleteStoredSnippet(snippetId);
+    if (!updatedSnippets) {
+      throw new Error('The snippet could not be deleted');
+    }
+    snippets = updatedSnippets;
+  } catch (error) {
+    log.error('Error deleting snippet:', error.message);
+    snippets = previousSnippets;
+  }
+  renderPanelItems();
+}
+
+/**
+ * Insert text at the cursor in the platform input
+ * @param {string} text - The text to insert
+ */
+function insertIntoPrompt(text) {
+  const inputArea = adapter.getInputArea();
+  if (!inputArea) {
+    log.error('Could not find input area');
+    return;
+  }
+
+  insertTextIntoInput(inputArea, text);
+  toggleClipboardPanel();
+}
+
+/**
+ * Write text to the system clipboard
+ * @param {string} text - The text to copy
+ */
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (error) {
+    log.error('Failed to copy snippet:', error.message);
+  }
+}
@@ -0,0 +1,257 @@
+// Toolbar on highlighted code blocks: copy, download, save, compare, wrap, collapse and preview
+import { createLogger } from '../../utils/logger.js';
+import { downloadFile } from '../../utils/download.js';
+import { openCodePreview, openSaveToProject } from '../../utils/storage.js';
+import {
+  buildPreviewDocument,
+  findFilePath,
+  findFilePathInComment,
+  getCodeFileName,
+  getPreviewLanguage,
+  isShellLanguage,
+  stripShellPrompts
+} from '../../utils/codeBlocks.js';
+import { showComparePicker } from './codeDiff.js';
+
+const log = createLogger('codeBlockToolbar');
+
+// Blocks with more lines than this can be collapsed
+const COLLAPSE_LINES = 25;
+
+// Elements before a block that are searched for its file name
+const MAX_NAME_SOURCES = 2;
+
+// How long a button shows the outcome of its action
+const FEEDBACK_DELAY = 2000;
+
+// Per button: its label and the timer restoring it
+const feedbackStates = new WeakMap();
+
+/**
+ * Add or update the toolbar of a highlighted code block. The buttons depend
+ * on the block's language, so they are rebuilt whenever it changes.
+ * @param {Element} codeBlock - The code element
+ * @param {object} options - What the toolbar shows
+ * @param {string} options.language - The block's language
+ * @param {HTMLElement} options.languageIndicator - The language indicator, shown first
+ * @param {Element} options.container - The message; its HTML, CSS and JavaScript blocks are previewed together
+ */
+export function renderCodeBlockToolbar(codeBlock, { language, languageIndicator, container }) {
+  const pre = codeBlock.parentElement;
+  
+  let toolbar = pre.querySelector(':scope > .code-block-toolbar');
+  if (!toolbar) {
+    toolbar = document.createElement('div');
+    toolbar.className = 'code-block-toolbar';
+    pre.appendChild(toolbar);
+  }
+  
+  const text = codeBlock.textContent;
+  const buttons = [
+    createButton('Copy', 'Copy the code', (button) => copyCode(button, codeBlock.textContent))
+  ];
+  buttons[0].classList.add('code-copy-button');
+  
+  if (isShellLanguage(language) && stripShellPrompts(text) !== text) {
+    const copyCommands = createButton('Copy commands', 'Copy without the $ prompts and command output',
+      (button) => copyCode(button, stripShellPrompts(codeBlock.textContent)));
+    // The clipboard manager records copies from these buttons and strips the prompts too
+    copyCommands.classList.add('code-copy-button', 'code-copy-commands');
+    buttons.push(copyCommands);
+  }
+  
+  buttons.push(createButton('Download', `Download as ${getCodeFileName(language)}`, () => {
+    downloadFile(getCodeFileName(language), new Blob([codeBlock.textContent], { type: 'text/plain' }));
+  }));
+  
+  buttons.push(createButton('Save to project', 'Save to a file in a local project folder, after reviewing the changes',
+    (button) => saveToProject(button, codeBlock, language, container)));
+  
+  buttons.push(createButton('Compare', 'Show what changed from another code block, such as an earlier version of this one',
+    (button) => showComparePicker(button, codeBlock, language)));
+  
+  buttons.push(createToggle(pre, 'code-wrapped', ['Wrap', 'Unwrap'], 'Toggle line wrap', () => {
+    // Line numbers are sized to the rendered lines
+    window.Prism?.plugins?.lineNumbers?.resize(pre);
+  }));
+  
+  if (text.split('\n').length > COLLAPSE_LINES) {
+    buttons.push(createToggle(pre, 'code-collapsed', ['Collapse', 'Expand'], 'Show only the start of the block'));
+  } else {
+    pre.classList.remove('code-collapsed');
+  }
+  
+  if (getPreviewLanguage(language)) {
+    buttons.push(createButton('Preview', 'Render this code, with the HTML, CSS and JavaScript around it, in a sandboxed page',
+      (button) => previewCode(button, codeBlock, language, container)));
+  }
+  
+  toolbar.replaceChildren(languageIndicator, ...buttons);
+}
+
+/**
+ * Create a toolbar button
+ * @param {string} label - The button text
+ * @param {string} title - The tooltip
+ * @param {Function} onClick - Called with the button when clicked
+ * @returns {HTMLButtonElement} The button
+ */
+function createButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'code-toolbar-button';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', () => onClick(button));
+  return button;
+}
+
+/**
+ * Create a button that toggles a class on the `pre`, so the state survives the toolbar being rebuilt
+ * @param {Element} pre - The pre element
+ * @param {string} className - The class to toggle
+ * @param {Array<string>} labels - The label when off and when on
+ * @param {string} title - The tooltip
+ * @param {Function} [onToggle] - Called after toggling
+ * @returns {HTMLButtonElement} The button
+ */
+function createToggle(pre, className, [offLabel, onLabel], title, onToggle) {
+  const update = (button) => {
+    const active = pre.classList.contains(className);
+    button.textContent = active ? onLabel : offLabel;
+    button.setAttribute('aria-pressed', String(active));
+  };
+  
+  const button = createButton(offLabel, title, () => {
+    pre.classList.toggle(className);
+    update(button);
+    onToggle?.();
+  });
+  update(button);
+  return button;
+}
+
+/**
+ * Copy text and show the outcome on the button
+ * @param {HTMLButtonElement} button - The clicked button
+ * @param {string} text - The text to copy
+ */
+async function copyCode(button, text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    showFeedback(button, 'Copied!');
+  } catch (error) {
+    log.error('Failed to copy code:', error);
+    showFeedback(button, 'Failed');
+  }
+}
+
+/**
+ * Open a preview of a block together with the other previewable blocks of its message.
+ * The clicked block is used if it is HTML; otherwise the message's first HTML block, if any.
+ * @param {HTMLButtonElement} button - The clicked button
+ * @param {Element} codeBlock - The code element
+ * @param {string} language - The block's language
+ * @param {Element} container - The message the block is in
+ */
+async function previewCode(button, codeBlock, language, container) {
+  const parts = { html: '', css: [], js: [] };
+  const blocks = Array.from(container.querySelectorAll('pre > code'));
+  if (!blocks.includes(codeBlock)) {
+    blocks.push(codeBlock);
+  }
+  
+  blocks.forEach(block => {
+    const blockLanguage = getPreviewLanguage(block === codeBlock
+      ? language
+      : block.parentElement.querySelector('.code-language-indicator')?.dataset.language);
+    if (blockLanguage === 'css') {
+      parts.css.push(block.textContent);
+    } else if (blockLanguage === 'javascript') {
+      parts.js.push(block.textContent);
+    } else if (blockLanguage === 'markup' && !parts.html) {
+      parts.html = block.textContent;
+    }
+  });
+  if (getPreviewLanguage(language) === 'markup') {
+    parts.html = codeBlock.textContent;
+  }
+  
+  const response = await openCodePreview(buildPreviewDocument(parts), document.title);
+  if (!response?.success) {
+    log.error('Failed to open preview:', response?.error);
+    showFeedback(button, 'Failed');
+  }
+}
+
+/**
+ * Open the save window for a block, suggesting the file name mentioned in its
+ * first-line comment or the heading or paragraph before it
+ * @param {HTMLButtonElement} button - The clicked button
+ * @param {Element} codeBlock - The code element
+ * @param {string} language - The block's language
+ * @param {Element} container - The message the block is in
+ */
+async function saveToProject(button, codeBlock, language, container) {
+  const response = await openSaveToProject({
+    code: codeBlock.textContent,
+    fileName: findFilePathInComment(codeBlock.textContent) ||
+      findPrecedingFilePath(codeBlock.parentElement, container) ||
+      getCodeFileName(language),
+    conversation: `${window.location.host}${window.location.pathname}`,
+    title: document.title
+  });
+  if (!response?.success) {
+    log.error('Failed to open save window:', response?.error);
+    showFeedback(button, 'Failed');
+  }
+}
+
+/**
+ * Look for a file path in the elements just before a block, preferring inline code
+ * @param {Element} pre - The block's pre element
+ * @param {Element} container - The message, where the search stops
+ * @returns {string|null} The path, or null if none is mentioned
+ */
+function findPrecedingFilePath(pre, container) {
+  const sources = [];
+  let node = pre;
+  while (node && node !== container && sources.length < MAX_NAME_SOURCES) {
+    if (node.previousElementSibling) {
+      node = node.previousElementSibling;
+      // Skip other code blocks and their wrappers
+      if (!node.matches('pre') && !node.querySelector('pre')) {
+        sources.push(node);
+      }
+    } else {
+      node = node.parentElement;
+    }
+  }
+  
+  for (const source of sources) {
+    const inlineCode = Array.from(source.querySelectorAll('code'))
+      .map(code => findFilePath(code.textContent))
+      .find(Boolean);
+    const path = inlineCode || findFilePath(source.textContent);
+    if (path) {
+      return path;
+    }
+  }
+  return null;
+}
+
+/**
+ * Show a short message on a button, then restore its label
+ * @param {HTMLButtonElement} button - The button
+ * @param {string} message - The message
+ */
+function showFeedback(button, message) {
+  const state = feedbackStates.get(button) || { label: button.textContent };
+  clearTimeout(state.timer);
+  button.textContent = message;
+  state.timer = setTimeout(() => {
+    button.textContent = state.label;
+    feedbackStates.delete(button);
+  }, FEEDBACK_DELAY);
+  feedbackStates.set(button, state);
+}
@@ -0,0 +1,297 @@
+// Diffs between code blocks of a conversation, shown in an overlay
+import { createLogger } from '../../utils/logger.js';
+import { diffLines, countChanges, lineSimilarity, maxLineSimilarity, pairDiffLines, createDiffLine } from '../../utils/diff.js';
+import { loadPrismLanguage } from '../../utils/prismLoader.js';
+
+const log = createLogger('codeDiff');
+
+// An earlier block of the same language this similar is taken for a previous version
+const MIN_VERSION_SIMILARITY = 0.3;
+
+// Earlier blocks checked for a previous version, nearest first
+const MAX_VERSION_CANDIDATES = 20;
+
+// Blocks described in the picker by their first line, cut to this length
+const MAX_LABEL_LENGTH = 50;
+
+// The open overlay and its keyboard handler
+let overlay = null;
+let handleOverlayKeydown = null;
+
+// 'inline' or 'split', kept while the page is open
+let diffLayout = 'inline';
+
+/**
+ * Replace a block's Compare button with a dropdown of what to compare it with:
+ * its previous version, if one is found, and every other highlighted block
+ * @param {HTMLElement} button - The Compare button
+ * @param {Element} codeBlock - The code element
+ * @param {string} language - The block's language
+ */
+export function showComparePicker(button, codeBlock, language) {
+  const blocks = getHighlightedBlocks();
+  const previousVersion = findPreviousVersion(codeBlock, language, blocks);
+  
+  const select = document.createElement('select');
+  select.className = 'code-compare-picker';
+  select.setAttribute('aria-label', 'Compare with');
+  select.appendChild(new Option('Compare with…', ''));
+  if (previousVersion) {
+    select.appendChild(new Option('Previous version of this block', String(blocks.indexOf(previousVersion))));
+  }
+  
+  const others = document.createElement('optgroup');
+  others.label = 'Code blocks in this conversation';
+  blocks.forEach((block, index) => {
+    if (block !== codeBlock) {
+      others.appendChild(new Option(describeBlock(block, index), String(index)));
+    }
+  });
+  select.appendChild(others);
+  
+  const close = () => {
+    select.remove();
+    button.hidden = false;
+  };
+  select.addEventListener('change', () => {
+    const other = blocks[Number(select.value)];
+    close();
+    if (other) {
+      // Earlier blocks are the old side, whichever block was clicked
+      const [before, after] = blocks.indexOf(other) < blocks.indexOf(codeBlock)
+        ? [other, codeBlock]
+        : [codeBlock, other];
+      showCodeDiff(before, after, language);
+    }
+  });
+  select.addEventListener('blur', close);
+  select.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      close();
+    }
+  });
+  
+  button.hidden = true;
+  button.after(select);
+  select.focus();
+}
+
+/**
+ * Find the earlier block that this block most likely revises: the most
+ * similar of the nearest earlier blocks in the same language. Diffs take
+ * quadratic time, so candidates are ranked by the similarity they could
+ * reach at most and only diffed while they could still beat the best one.
+ * @param {Element} codeBlock - The code element
+ * @param {string} language - The block's language
+ * @param {Array<Element>} blocks - The highlighted blocks, in page order
+ * @returns {Element|null} The previous version, or null if none is similar enough
+ */
+export function findPreviousVersion(codeBlock, language, blocks) {
+  const text = codeBlock.textContent;
+  const candidates = blocks
+    .slice(0, Math.max(0, blocks.indexOf(codeBlock)))
+    .filter(block => getBlockLanguage(block) === language)
+    .slice(-MAX_VERSION_CANDIDATES)
+    .reverse()
+    .map(block => ({ block, bound: maxLineSimilarity(block.textContent, text) }))
+    .sort((a, b) => b.bound - a.bound);
+  
+  let best = null;
+  let bestSimilarity = MIN_VERSION_SIMILARITY;
+  for (const { block, bound } of candidates) {
+    if (bound <= bestSimilarity) {
+      break;
+    }
+    const similarity = lineSimilarity(block.textContent, text);
+    if (similarity > bestSimilarity) {
+      best = block;
+      bestSimilarity = similarity;
+    }
+  }
+  return best;
+}
+
+/**
+ * Show the diff between two code blocks in an overlay
+ * @param {Element} before - The older block
+ * @param {Element} after - The newer block
+ * @param {string} language - The language to highlight the lines in
+ */
+export async function showCodeDiff(before, after, language) {
+  closeCodeDiff();
+  
+  const blocks = getHighlightedBlocks();
+  const lines = diffLines(before.textContent, after.textContent);
+  const { inserted, deleted } = countChanges(lines);
+  const grammarId = await loadPrismLanguage(language);
+  
+  overlay = document.createElement('div');
+  overlay.className = 'code-diff-overlay';
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) {
+      closeCodeDiff();
+    }
+  });
+  
+  const dialog = document.createElement('div');
+  dialog.className = 'code-diff-dialog';
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  
+  const header = document.createElement('div');
+  header.className = 'code-diff-header';
+  
+  const title = document.createElement('h3');
+  title.textContent = `${describeBlock(before, blocks.indexOf(before))} → ${describeBlock(after, blocks.indexOf(after))}`;
+  
+  const summary = document.createElement('span');
+  summary.className = 'code-diff-summary';
+  summary.textContent = inserted || deleted ? `+${inserted} −${deleted}` : 'No changes';
+  
+  const layoutButton = document.createElement('button');
+  layoutButton.type = 'button';
+  
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.textContent = 'Close';
+  closeButton.addEventListener('click', closeCodeDiff);
+  
+  const body = document.createElement('div');
+  body.className = 'code-diff-body';
+  
+  const render = () => {
+    layoutButton.textContent = diffLayout === 'inline' ? 'Side by side' : 'Inline';
+    body.replaceChildren(diffLayout === 'inline'
+      ? renderInline(lines, grammarId)
+      : renderSplit(lines, grammarId));
+  };
+  layoutButton.addEventListener('click', () => {
+    diffLayout = diffLayout === 'inline' ? 'split' : 'inline';
+    render();
+  });
+  render();
+  
+  header.append(title, summary, layoutButton, closeButton);
+  dialog.append(header, body);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+  
+  handleOverlayKeydown = (event) => {
+    if (event.key === 'Escape') {
+      closeCodeDiff();
+    }
+  };
+  document.addEventListener('keydown', handleOverlayKeydown);
+  closeButton.focus();
+}
+
+/**
+ * Close the diff overlay if it is open
+ */
+export function closeCodeDiff() {
+  overlay?.remove();
+  overlay = null;
+  if (handleOverlayKeydown) {
+    document.removeEventListener('keydown', handleOverlayKeydown);
+    handleOverlayKeydown = null;
+  }
+}
+
+/**
+ * Render a diff as one column of lines marked + and -
+ * @param {Array<object>} lines - The result of diffLines
+ * @param {string|null} grammarId - The Prism grammar to highlight with
+ * @returns {HTMLElement} The diff
+ */
+function renderInline(lines, grammarId) {
+  const pre = document.createElement('pre');
+  pre.className = 'code-diff-inline';
+  lines.forEach(line => pre.appendChild(createLine(line, grammarId)));
+  return pre;
+}
+
+/**
+ * Render a diff as the old and new text side by side
+ * @param {Array<object>} lines - The result of diffLines
+ * @param {string|null} grammarId - The Prism grammar to highlight with
+ * @returns {HTMLElement} The diff
+ */
+function renderSplit(lines, grammarId) {
+  const container = document.createElement('div');
+  container.className = 'code-diff-split';
+  
+  const beforeColumn = document.createElement('pre');
+  const afterColumn = document.createElement('pre');
+  pairDiffLines(lines).forEach(({ before, after }) => {
+    beforeColumn.appendChild(createLine(before, grammarId));
+    afterColumn.appendChild(createLine(after, grammarId));
+  });
+  
+  container.append(beforeColumn, afterColumn);
+  return container;
+}
+
+/**
+ * Create one highlighted diff line. Lines are highlighted on their own, so
+ * tokens spanning lines, such as block comments, lose their colors.
+ * @param {object|null} line - The diff line, or null for an empty cell
+ * @param {string|null} grammarId - The Prism grammar to highlight with
+ * @returns {HTMLElement} The line
+ */
+function createLine(line, grammarId) {
+  // The + and - markers come from the stylesheet, so they aren't copied with the code
+  return createDiffLine(line, {
+    className: 'code-diff-line',
+    marker: false,
+    highlight: text => highlightLine(text, grammarId)
+  });
+}
+
+/**
+ * Highlight the text of one diff line
+ * @param {string} text - The line's text
+ * @param {string|null} grammarId - The Prism grammar to highlight with
+ * @returns {string|null} The highlighted HTML, or null to show the text as it is
+ */
+function highlightLine(text, grammarId) {
+  const grammar = grammarId && window.Prism?.languages[grammarId];
+  if (!grammar) {
+    return null;
+  }
+  
+  try {
+    return window.Prism.highlight(text, grammar, grammarId);
+  } catch (error) {
+    log.warn('Could not highlight diff line:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the code blocks the syntax highlighter has finished with, in page order
+ * @returns {Array<Element>} The code elements
+ */
+function getHighlightedBlocks() {
+  return Array.from(document.querySelectorAll('pre > code.prism-highlighted'));
+}
+
+/**
+ * Get the language the syntax highlighter shows for a block
+ * @param {Element} codeBlock - The code element
+ * @returns {string} The language, or an empty string
+ */
+function getBlockLanguage(codeBlock) {
+  return codeBlock.parentElement.querySelector('.code-language-indicator')?.dataset.language || '';
+}
+
+/**
+ * Describe a block by its position, language and first line
+ * @param {Element} codeBlock - The code element
+ * @param {number} index - Its position among the highlighted blocks
+ * @returns {string} The description
+ */
+function describeBlock(codeBlock, index) {
+  const firstLine = codeBlock.textContent.split('\n').find(line => line.trim())?.trim() || '';
+  const preview = firstLine.length > MAX_LABEL_LENGTH ? `${firstLine.slice(0, MAX_LABEL_LENGTH)}…` : firstLine;
+  return [`Block ${index + 1}`, getBlockLanguage(codeBlock), preview].filter(Boolean).join(' · ');
+}
@@ -1,74 +1,153 @@
-// Quick Command Bar for frequent commands or queries
-import { log } from '../../utils/logger.js';
-import { getSettings } from '../../utils/storage.js';
-
-// Platform-specific selectors
-const PLATFORM_SELECTORS = {
-  'chatgpt': {
-    inputArea: 'textarea',
-    submitButton: 'button[data-testid="send-button"]'
-  },
-  'mistral': {
-    inputArea: '.chat-input textarea',
-    submitButton: '.chat-input button[type="submit"]'
-  },
-  // Add more platforms as needed
-};
-
-// Default commands
-const DEFAULT_COMMANDS = [
-  { name: 'Explain', text: 'Explain this in simple terms: ' },
-  { name: 'Summarize', text: 'Summarize this text: ' },
-  { name: 'Translate', text: 'Translate this to English: ' },
-  { name: 'Code', text: 'Write code to: ' },
-  { name: 'Fix', text: 'Fix this code: ' }
-];
+// Quick Command Bar: a searchable palette of frequent commands or queries
+import { createLogger } from '../../utils/logger.js';
+import { getSettings, getClipboardHistory, broadcastPrompt } from '../../utils/storage.js';
+import { insertTextIntoInput, submitPrompt, waitForElement, getInputText } from '../../utils/domUtils.js';
+import { fuzzyScore } from '../../utils/fuzzyMatch.js';
+import { INSERT_MODES, getTemplateSlots, getTemplateVariables, renderTemplate, wrapDraft } from '../../utils/promptTemplate.js';
+import { matchesShortcut } from '../../utils/shortcuts.js';
+import { DEFAULT_COMMANDS, getCommands, saveCommands, createCommandId, isCommandVisibleOn, isPromptChain, getCommandTemplates } from '../../utils/commands.js';
+import { getPlatformAdapter } from '../platforms/index.js';
+import { runPromptChain } from './promptChain.js';
+
+const log = createLogger('commandBar');
+
+// Recently used command IDs, most recent first, kept in chrome.storage.local
+const RECENT_COMMANDS_KEY = 'recentCommands';
+const MAX_RECENT_COMMANDS = 10;
+
+// Matches on the command name count more than matches in its text
+const NAME_MATCH_WEIGHT = 2;
 
 let commands = [...DEFAULT_COMMANDS];
+let recentCommandIds = [];
+let shortcut = 'Ctrl+Space';
+let adapter = null;
 let commandBar = null;
 let isCommandBarVisible = false;
 
+// Commands currently listed in the palette and the highlighted one
+let visibleCommands = [];
+let activeIndex = 0;
+
+// Page selection and input cursor captured when the palette opens,
+// before focus moves to the search field
+let selectionAtOpen = '';
+let cursorAtOpen = null;
+
+// Last values entered for template variables, reused as defaults
+const lastVariableValues = {};
+
+// The prompt chain being run, if any, and its progress panel
+let activeChain = null;
+let chainStatus = null;
+
 /**
  * Initialize the command bar
  * @param {string} platform - The detected chatbot platform
  */
 export async function initCommandBar(platform) {
   try {
-    const selectors = PLATFORM_SELECTORS[platform];
-    if (!selectors) {
+    const platformAdapter = getPlatformAdapter(platform);
+    if (!platformAdapter) {
       log(`Command bar: Unsupported platform ${platform}`);
       return;
     }
     
-    // Get custom commands from storage
-    const settings = await getSettings();
-    if (settings.commands) {
-      commands = settings.commands;
+    // Already initialized on this page
+    if (commandBar) {
+      return;
     }
     
+    // Get custom commands and the shortcut from storage
+    const settings = await getSettings();
+    commands = await getCommands();
+    shortcut = settings.commandBarShortcut || shortcut;
+    
+    const data = await chrome.storage.local.get(RECENT_COMMANDS_KEY);
+    recentCommandIds = data[RECENT_COMMANDS_KEY] || [];
+    
     // Create command bar UI
-    createCommandBarUI(platform, selectors);
+    adapter = platformAdapter;
+    createCommandBarUI();
     
-    // Set up keyboard shortcut (Ctrl+Space) to toggle command bar
-    document.addEventListener('keydown', (event) => {
-      if (event.ctrlKey && event.code === 'Space') {
-        event.preventDefault();
-        toggleCommandBar();
-      }
-    });
+    // Set up the configurable keyboard shortcut to toggle the command bar
+    document.addEventListener('keydown', handleShortcut);
+    document.addEventListener('mousedown', handleOutsideClick);
+    window.addEventListener('resize', positionCommandBar);
     
     log('Command bar initialized');
   } catch (error) {
-    log('Command bar initialization error:', error.message);
+    log.error('Command bar initialization error:', error.message);
+  }
+}
+
+/**
+ * Remove the command bar and its toggle button from the page
+ */
+export function destroyCommandBar() {
+  activeChain?.cancel();
+  chainStatus?.remove();
+  chainStatus = null;
+  document.removeEventListener('keydown', handleShortcut);
+  document.removeEventListener('mousedown', handleOutsideClick);
+  window.removeEventListener('resize', positionCommandBar);
+  commandBar?.remove();
+  document.querySelector('.command-bar-toggle')?.remove();
+  commandBar = null;
+  isCommandBarVisible = false;
+  log('Command bar removed');
+}
+
+/**
+ * Change the shortcut that toggles the command bar
+ * @param {string} newShortcut - The shortcut, e.g. 'Ctrl+Space'
+ */
+export function updateCommandBarShortcut(newShortcut) {
+  shortcut = newShortcut;
+  const toggleButton = document.querySelector('.command-bar-toggle');
+  if (toggleButton) {
+    toggleButton.title = `Toggle Command Bar (${shortcut})`;
+  }
+}
+
+/**
+ * Replace the commands listed in the command bar
+ * @param {Array<object>} newCommands - The commands from settings
+ */
+export function updateCommandBarCommands(newCommands) {
+  commands = newCommands;
+  if (isCommandBarVisible) {
+    renderCommandList();
+  }
+}
+
+/**
+ * Toggle the command bar on its keyboard shortcut
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleShortcut(event) {
+  if (matchesShortcut(event, shortcut)) {
+    event.preventDefault();
+    toggleCommandBar();
+  }
+}
+
+/**
+ * Close the command bar when the user clicks elsewhere on the page
+ * @param {MouseEvent} event - The mousedown event
+ */
+function handleOutsideClick(event) {
+  if (isCommandBarVisible &&
+      !commandBar.contains(event.target) &&
+      !event.target.closest?.('.command-bar-toggle')) {
+    hideCommandBar();
   }
 }
 
 /**
  * Create the command bar UI
- * @param {string} platform - The detected chatbot platform
- * @param {object} selectors - Platform-specific selectors
  */
-function createCommandBarUI(platform, selectors) {
+function createCommandBarUI() {
   // Create command bar container
   commandBar = document.createElement('div');
   commandBar.className = 'quick-command-bar';
@@ -81,31 +160,61 @@ function createCommandBarUI(platform, selectors) {
   const title = document.createElement('h3');
   title.textContent = 'Quick Commands';
   
+  const manageButton = document.createElement('button');
+  manageButton.textContent = 'Manage';
+  manageButton.className = 'command-bar-manage';
+  manageButton.title = 'Edit, organize, import and export commands';
+  manageButton.addEventListener('click', () => {
+    hideCommandBar();
+    chrome.runtime.sendMessage({ type: 'OPEN_COMMAND_MANAGER' });
+  });
+  
+  const broadcastButton = document.createElement('button');
+  broadcastButton.textContent = 'Ask all tabs';
+  broadcastButton.className = 'command-bar-broadcast';
+  broadcastButton.title = 'Send the prompt in the input to every open chatbot tab and compare the answers';
+  broadcastButton.addEventListener('click', broadcastDraft);
+  
   const closeButton = document.createElement('button');
   closeButton.textContent = '×';
   closeButton.className = 'command-bar-close';
-  closeButton.addEventListener('click', toggleCommandBar);
+  closeButton.addEventListener('click', hideCommandBar);
   
   header.appendChild(title);
+  header.appendChild(broadcastButton);
+  header.appendChild(manageButton);
   header.appendChild(closeButton);
   commandBar.appendChild(header);
   
+  // Search field driving the command list
+  const searchInput = document.createElement('input');
+  searchInput.type = 'text';
+  searchInput.className = 'command-bar-search';
+  searchInput.placeholder = 'Search commands';
+  searchInput.setAttribute('role', 'combobox');
+  searchInput.setAttribute('aria-expanded', 'true');
+  searchInput.setAttribute('aria-controls', 'command-bar-list');
+  searchInput.addEventListener('input', renderCommandList);
+  searchInput.addEventListener('keydown', handleSearchKeyDown);
+  commandBar.appendChild(searchInput);
+  
   // Create commands container
-  const commandsContainer = document.createElement('div');
+  const commandsContainer = document.createElement('ul');
   commandsContainer.className = 'commands-container';
+  commandsContainer.id = 'command-bar-list';
+  commandsContainer.setAttribute('role', 'listbox');
+  commandBar.appendChild(commandsContainer);
   
-  // Add commands
-  commands.forEach(command => {
-    const commandButton = document.createElement('button');
-    commandButton.className = 'command-button';
-    commandButton.textContent = command.name;
-    commandButton.addEventListener('click', () => {
-      executeCommand(command.text, selectors);
-    });
-    commandsContainer.appendChild(commandButton);
-  });
+  const hint = document.createElement('div');
+  hint.className = 'command-bar-hint';
+  hint.textContent = '↑↓ to navigate · Enter to insert · Shift+Enter to insert and send';
+  commandBar.appendChild(hint);
   
-  commandBar.appendChild(commandsContainer);
+  // Form for template variables, shown in place of the list when needed
+  const variableForm = document.createElement('form');
+  variableForm.className = 'command-variable-form';
+  variableForm.style.display = 'none';
+  commandBar.appendChild(variableForm);
   
   // Add custom command input
   const customCommandContainer = document.createElement('div');
@@ -118,18 +227,28 @@ function createCommandBarUI(platform, selectors) {
   
   const customCommandText = document.createElement('input');
   customCommandText.type = 'text';
-  customCommandText.placeholder = 'Command text';
+  customCommandText.placeholder = 'Command text, e.g. Reply in a {{tone}} tone: {{selection}}';
   customCommandText.className = 'custom-command-text';
   
+  const insertModeSelect = document.createElement('select');
+  insertModeSelect.className = 'custom-command-mode';
+  insertModeSelect.setAttribute('aria-label', 'Insert mode');
+  Object.entries(INSERT_MODES).forEach(([mode, label]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    insertModeSelect.appendChild(option);
+  });
+  
   const addButton = document.createElement('button');
   addButton.textContent = 'Add';
   addButton.className = 'add-command-button';
-  addButton.addEventListener('click', () => {
+  addButton.addEventListener('click', async () => {
     const name = customCommandInput.value.trim();
     const text = customCommandText.value.trim();
     
-    if (name && text) {
-      addCustomCommand(name, text);
+    // Keep what was typed if the command couldn't be saved
+    if (name && text && await addCustomCommand(name, text, insertModeSelect.value)) {
       customCommandInput.value = '';
       customCommandText.value = '';
     }
@@ -137,24 +256,38 @@ function createCommandBarUI(platform, selectors) {
   
   customCommandContainer.appendChild(customCommandInput);
   customCommandContainer.appendChild(customCommandText);
+  customCommandContainer.appendChild(insertModeSelect);
   customCommandContainer.appendChild(addButton);
   
   commandBar.appendChild(customCommandContainer);
   
+  // Keep the page's own shortcuts from reacting to typing in the palette
+  commandBar.addEventListener('keydown', (event) => {
+    if (!matchesShortcut(event, shortcut)) {
+      event.stopPropagation();
+    }
+  });
+  
   // Add command bar to page
   document.body.appendChild(commandBar);
   
-  // Add command bar toggle button
-  addCommandBarToggle(platform, selectors);
+  // Add command bar toggle button, waiting for the input on pages that render late
+  if (adapter.getInputArea()) {
+    addCommandBarToggle();
+  } else {
+    waitForElement(adapter.selectors.inputArea, 10000).then(inputArea => {
+      if (inputArea && commandBar) {
+        addCommandBarToggle();
+      }
+    });
+  }
 }
 
 /**
  * Add command bar toggle button
- * @param {string} platform - The detected chatbot platform
- * @param {object} selectors - Platform-specific selectors
  */
-function addCommandBarToggle(platform, selectors) {
-  const inputArea = document.querySelector(selectors.inputArea);
+function addCommandBarToggle() {
+  const inputArea = adapter.getInputArea();
   if (!inputArea || document.querySelector('.command-bar-toggle')) {
     return;
   }
@@ -162,15 +295,12 @@ function addCommandBarToggle(platform, selectors) {
   const toggleButton = document.createElement('button');
   toggleButton.className = 'command-bar-toggle';
   toggleButton.innerHTML = '⌘';
-  toggleButton.title = 'Toggle Command Bar (Ctrl+Space)';
+  toggleButton.title = `Toggle Command Bar (${shortcut})`;
   toggleButton.addEventListener('click', toggleCommandBar);
   
-  // Insert button at appropriate position based on platform
-  if (platform === 'chatgpt') {
-    const buttonParent = inputArea.parentElement.parentElement;
-    buttonParent.appendChild(toggleButton);
-  } else if (platform === 'mistral') {
-    const buttonParent = inputArea.closest('.chat-input');
+  // Insert button at the position the platform adapter chooses
+  const buttonParent = adapter.getToggleMount(inputArea);
+  if (buttonParent) {
     buttonParent.appendChild(toggleButton);
   }
 }
@@ -179,86 +309,630 @@ function addCommandBarToggle(platform, selectors) {
  * Toggle command bar visibility
  */
 function toggleCommandBar() {
-  isCommandBarVisible = !isCommandBarVisible;
-  commandBar.style.display = isCommandBarVisible ? 'block' : 'none';
-  
   if (isCommandBarVisible) {
-    // Position the command bar
-    const inputArea = document.querySelector(
-      PLATFORM_SELECTORS.chatgpt.inputArea || 
-      PLATFORM_SELECTORS.mistral.inputArea
-    );
+    hideCommandBar();
+  } else {
+    showCommandBar();
+  }
+}
+
+/**
+ * Open the command bar with an empty search
+ */
+function showCommandBar() {
+  captureSelection();
+  isCommandBarVisible = true;
+  commandBar.style.display = 'flex';
+  hideVariableForm();
+  
+  const searchInput = commandBar.querySelector('.command-bar-search');
+  searchInput.value = '';
+  renderCommandList();
+  positionCommandBar();
+  searchInput.focus();
+}
+
+/**
+ * Close the command bar
+ */
+function hideCommandBar() {
+  isCommandBarVisible = false;
+  commandBar.style.display = 'none';
+}
+
+/**
+ * Anchor the open command bar above the platform's input area
+ */
+function positionCommandBar() {
+  if (!isCommandBarVisible) {
+    return;
+  }
+  
+  const inputArea = adapter.getInputArea();
+  const width = commandBar.offsetWidth;
+  
+  if (inputArea) {
+    const rect = inputArea.getBoundingClientRect();
+    commandBar.style.bottom = `${window.innerHeight - rect.top + 10}px`;
+    // Keep the bar on screen when the input sits near the right edge
+    commandBar.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - width - 8))}px`;
+  } else {
+    // No input found: center the bar near the bottom of the window
+    commandBar.style.bottom = '90px';
+    commandBar.style.left = `${Math.max(8, (window.innerWidth - width) / 2)}px`;
+  }
+}
+
+/**
+ * Rank the commands shown on this platform for a search query. Recently
+ * used commands come first, then the rest by how well their name or text matches.
+ * @param {string} query - The search query
+ * @returns {Array<object>} The matching commands in display order
+ */
+function rankCommands(query) {
+  return commands
+    .filter(command => isCommandVisibleOn(command, adapter.id))
+    .map((command, index) => {
+      const nameScore = fuzzyScore(query, command.name);
+      const textScore = fuzzyScore(query, command.text);
+      if (nameScore === null && textScore === null) {
+        return null;
+      }
+      
+      return {
+        command,
+        index,
+        recent: recentCommandIds.indexOf(command.id),
+        score: Math.max((nameScore ?? -Infinity) * NAME_MATCH_WEIGHT, textScore ?? -Infinity)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => {
+      const aRecent = a.recent !== -1;
+      const bRecent = b.recent !== -1;
+      if (aRecent !== bRecent) {
+        return aRecent ? -1 : 1;
+      }
+      if (!query && aRecent) {
+        return a.recent - b.recent;
+      }
+      return b.score - a.score || a.index - b.index;
+    })
+    .map(match => match.command);
+}
+
+/**
+ * Render the commands matching the current search
+ */
+function renderCommandList() {
+  const query = commandBar.querySelector('.command-bar-search').value.trim();
+  const commandsContainer = commandBar.querySelector('.commands-container');
+  commandsContainer.innerHTML = '';
+  
+  visibleCommands = rankCommands(query);
+  activeIndex = 0;
+  
+  if (visibleCommands.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'command-bar-empty';
+    empty.textContent = 'No matching commands';
+    commandsContainer.appendChild(empty);
+  }
+  
+  visibleCommands.forEach((command, index) => {
+    const item = document.createElement('li');
+    item.className = 'command-item';
+    item.id = `command-bar-item-${index}`;
+    item.setAttribute('role', 'option');
+    
+    const name = document.createElement('span');
+    name.className = 'command-item-name';
+    name.textContent = command.name;
+    item.appendChild(name);
     
-    if (inputArea) {
-      const rect = inputArea.getBoundingClientRect();
-      commandBar.style.bottom = `${window.innerHeight - rect.top + 10}px`;
-      commandBar.style.left = `${rect.left}px`;
+    if (command.folder) {
+      const folder = document.createElement('span');
+      folder.className = 'command-item-folder';
+      folder.textContent = command.folder;
+      item.appendChild(folder);
     }
+    
+    if (recentCommandIds.includes(command.id)) {
+      const badge = document.createElement('span');
+      badge.className = 'command-item-recent';
+      badge.textContent = 'Recent';
+      item.appendChild(badge);
+    }
+    
+    if (isPromptChain(command)) {
+      const badge = document.createElement('span');
+      badge.className = 'command-item-chain';
+      badge.textContent = `Chain · ${command.steps.length} steps`;
+      item.appendChild(badge);
+    }
+    
+    const text = document.createElement('span');
+    text.className = 'command-item-text';
+    text.textContent = command.text;
+    item.appendChild(text);
+    
+    item.addEventListener('mousemove', () => setActiveIndex(index));
+    item.addEventListener('click', (event) => executeCommand(command, event.shiftKey));
+    commandsContainer.appendChild(item);
+  });
+  
+  setActiveIndex(0);
+}
+
+/**
+ * Highlight a command in the list
+ * @param {number} index - The index in the visible commands; wraps around
+ */
+function setActiveIndex(index) {
+  const count = visibleCommands.length;
+  activeIndex = count > 0 ? (index + count) % count : 0;
+  
+  const items = commandBar.querySelectorAll('.command-item');
+  items.forEach((item, itemIndex) => {
+    const isActive = itemIndex === activeIndex;
+    item.classList.toggle('active', isActive);
+    item.setAttribute('aria-selected', String(isActive));
+  });
+  
+  const activeItem = items[activeIndex];
+  const searchInput = commandBar.querySelector('.command-bar-search');
+  if (activeItem) {
+    searchInput.setAttribute('aria-activedescendant', activeItem.id);
+    activeItem.scrollIntoView({ block: 'nearest' });
+  } else {
+    searchInput.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * Handle navigation keys in the search field
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleSearchKeyDown(event) {
+  switch (event.key) {
+    case 'ArrowDown':
+      event.preventDefault();
+      setActiveIndex(activeIndex + 1);
+      break;
+    case 'ArrowUp':
+      event.preventDefault();
+      setActiveIndex(activeIndex - 1);
+      break;
+    case 'Enter': {
+      event.preventDefault();
+      const command = visibleCommands[activeIndex];
+      if (command) {
+        executeCommand(command, event.shiftKey);
+      }
+      break;
+    }
+    case 'Escape':
+      event.preventDefault();
+      hideCommandBar();
+      adapter.getInputArea()?.focus();
+      break;
+  }
+}
+
+/**
+ * Remember the page selection and the input's cursor before the palette takes focus
+ */
+function captureSelection() {
+  const selection = window.getSelection();
+  const inputArea = adapter.getInputArea();
+  selectionAtOpen = selection ? selection.toString() : '';
+  cursorAtOpen = null;
+  
+  if (inputArea?.isContentEditable && selection?.rangeCount > 0) {
+    const range = selection.getRangeAt(0);
+    if (inputArea.contains(range.startContainer)) {
+      cursorAtOpen = range.cloneRange();
+    }
+  }
+}
+
+/**
+ * Execute a command, asking for its template variables first if it has any
+ * @param {object} command - The command to insert
+ * @param {boolean} submit - Whether to send the prompt right away
+ */
+function executeCommand(command, submit = false) {
+  // A chain asks for the variables of all its steps up front
+  const variables = [...new Set(getCommandTemplates(command).flatMap(getTemplateVariables))];
+  if (variables.length > 0) {
+    showVariableForm(command, variables, submit);
+    return;
   }
+  
+  runCommand(command, {}, submit);
 }
 
 /**
- * Execute a command
- * @param {string} commandText - The command text to insert
- * @param {object} selectors - Platform-specific selectors
+ * Insert a single command, or start running a prompt chain
+ * @param {object} command - The command
+ * @param {object} variables - Values for the template variables
+ * @param {boolean} submit - Whether to send a single prompt right away
  */
-function executeCommand(commandText, selectors) {
-  const inputArea = document.querySelector(selectors.inputArea);
-  const submitButton = document.querySelector(selectors.submitButton);
-  
-  if (inputArea && submitButton) {
-    // Insert command text
-    inputArea.value = commandText;
-    inputArea.focus();
+function runCommand(command, variables, submit) {
+  if (isPromptChain(command)) {
+    startChain(command, variables);
+  } else {
+    insertCommand(command, variables, submit);
+  }
+}
+
+/**
+ * Show the inline form for a template's variables
+ * @param {object} command - The command being executed
+ * @param {Array<string>} variables - The variable names
+ * @param {boolean} submit - Whether Shift+Enter was used to pick the command
+ */
+function showVariableForm(command, variables, submit) {
+  const form = commandBar.querySelector('.command-variable-form');
+  form.innerHTML = '';
+  
+  const title = document.createElement('div');
+  title.className = 'command-variable-title';
+  title.textContent = command.name;
+  form.appendChild(title);
+  
+  variables.forEach(variable => {
+    const label = document.createElement('label');
+    label.className = 'command-variable';
     
-    // Trigger input event to update UI
-    const event = new Event('input', { bubbles: true });
-    inputArea.dispatchEvent(event);
+    const name = document.createElement('span');
+    name.textContent = variable;
     
-    // Close command bar
-    toggleCommandBar();
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = variable;
+    input.value = lastVariableValues[variable] || '';
+    
+    label.appendChild(name);
+    label.appendChild(input);
+    form.appendChild(label);
+  });
+  
+  const actions = document.createElement('div');
+  actions.className = 'command-variable-actions';
+  
+  const backButton = document.createElement('button');
+  backButton.type = 'button';
+  backButton.textContent = 'Back';
+  backButton.addEventListener('click', () => {
+    hideVariableForm();
+    commandBar.querySelector('.command-bar-search').focus();
+  });
+  
+  const insertButton = document.createElement('button');
+  insertButton.type = 'submit';
+  if (isPromptChain(command)) {
+    insertButton.textContent = 'Run chain';
+  } else {
+    insertButton.textContent = submit ? 'Insert and send' : 'Insert';
+  }
+  
+  actions.appendChild(backButton);
+  actions.appendChild(insertButton);
+  form.appendChild(actions);
+  
+  const submitForm = (sendPrompt) => {
+    const values = {};
+    variables.forEach(variable => {
+      values[variable] = form.elements[variable].value;
+      lastVariableValues[variable] = values[variable];
+    });
+    runCommand(command, values, sendPrompt);
+  };
+  
+  form.onsubmit = (event) => {
+    event.preventDefault();
+    submitForm(submit);
+  };
+  form.onkeydown = (event) => {
+    if (event.key === 'Enter' && event.shiftKey) {
+      event.preventDefault();
+      submitForm(true);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      backButton.click();
+    }
+  };
+  
+  commandBar.classList.add('filling-variables');
+  form.style.display = 'flex';
+  form.querySelector('input').focus();
+}
+
+/**
+ * Return from the variable form to the command list
+ */
+function hideVariableForm() {
+  commandBar.classList.remove('filling-variables');
+  commandBar.querySelector('.command-variable-form').style.display = 'none';
+}
+
+/**
+ * Resolve the built-in placeholders a template uses
+ * @param {string} template - The command text
+ * @param {HTMLElement} inputArea - The platform's input
+ * @returns {Promise<object>} Values by placeholder name
+ */
+async function resolvePlaceholders(template, inputArea) {
+  const slots = getTemplateSlots(template);
+  const values = {};
+  
+  if (slots.includes('selection')) {
+    values.selection = selectionAtOpen;
+  }
+  
+  if (slots.includes('clipboard')) {
+    values.clipboard = await readClipboardText();
+  }
+  
+  if (slots.includes('lastAssistantMessage')) {
+    const lastAssistantMessage = adapter.getMessages()
+      .filter(message => adapter.getRole(message) === 'assistant')
+      .pop();
+    const content = lastAssistantMessage && (adapter.getContent(lastAssistantMessage) || lastAssistantMessage);
+    values.lastAssistantMessage = content ? content.innerText.trim() : '';
+  }
+  
+  if (slots.includes('lastCodeBlock')) {
+    // Only fenced blocks count, not inline code in prose
+    const lastCodeBlock = adapter.getCodeBlocks()
+      .filter(code => code.closest('pre'))
+      .pop();
+    values.lastCodeBlock = lastCodeBlock ? lastCodeBlock.textContent.replace(/\n$/, '') : '';
+  }
+  
+  if (slots.includes('date')) {
+    values.date = new Date().toLocaleDateString();
+  }
+  
+  values.draft = getInputText(inputArea);
+  return values;
+}
+
+/**
+ * Read the clipboard, falling back to the newest clipboard history entry
+ * @returns {Promise<string>} The clipboard text
+ */
+async function readClipboardText() {
+  try {
+    return await navigator.clipboard.readText();
+  } catch (error) {
+    log.warn('Could not read the clipboard, using clipboard history:', error.message);
+    const history = await getClipboardHistory();
+    return history[0]?.text || '';
+  }
+}
+
+/**
+ * Fill in a command's template and put it into the input
+ * @param {object} command - The command to insert
+ * @param {object} variables - Values for the template's variables
+ * @param {boolean} submit - Whether to send the prompt right away
+ */
+async function insertCommand(command, variables, submit) {
+  const inputArea = adapter.getInputArea();
+  if (!inputArea) {
+    log.error('Could not find input area');
+    return;
+  }
+  
+  const values = { ...(await resolvePlaceholders(command.text, inputArea)), ...variables };
+  const insertMode = command.insertMode || 'replace';
+  
+  // Close command bar
+  hideCommandBar();
+  
+  if (insertMode === 'cursor') {
+    restoreCursor(inputArea);
+    insertTextIntoInput(inputArea, renderTemplate(command.text, values));
+  } else if (insertMode === 'wrap') {
+    insertTextIntoInput(inputArea, wrapDraft(command.text, values), true);
   } else {
-    log('Could not find input area or submit button');
+    insertTextIntoInput(inputArea, renderTemplate(command.text, values), true);
+  }
+  
+  recordRecentCommand(command);
+  
+  if (submit && !(await submitPrompt(adapter))) {
+    log.error('Could not find an enabled submit button');
+  }
+}
+
+/**
+ * Send the prompt typed in the input to every open chatbot tab, this one included
+ */
+async function broadcastDraft() {
+  const inputArea = adapter.getInputArea();
+  const prompt = inputArea ? getInputText(inputArea).trim() : '';
+  if (!prompt) {
+    log.warn('Type a prompt before asking all tabs');
+    inputArea?.focus();
+    return;
+  }
+  
+  hideCommandBar();
+  const response = await broadcastPrompt(prompt);
+  if (!response?.success) {
+    log.error('Could not broadcast the prompt:', response?.error);
+  }
+}
+
+/**
+ * Run a prompt chain, showing its progress above the input
+ * @param {object} command - The chain command
+ * @param {object} variables - Values for the template variables of all steps
+ */
+function startChain(command, variables) {
+  hideCommandBar();
+  
+  if (activeChain) {
+    log.warn('A prompt chain is already running');
+    return;
+  }
+  
+  recordRecentCommand(command);
+  
+  const renderStep = async (template, previousResponse) => {
+    const values = { ...(await resolvePlaceholders(template, adapter.getInputArea())), previousResponse, ...variables };
+    return renderTemplate(template, values);
+  };
+  
+  const chain = runPromptChain(adapter, command.steps, {
+    renderStep,
+    onProgress: (state) => renderChainStatus(command, state)
+  });
+  activeChain = chain;
+  
+  chain.done.then(state => {
+    activeChain = null;
+    // Leave a failure on screen until the user dismisses it
+    if (state.status !== 'failed') {
+      setTimeout(() => {
+        if (!activeChain) {
+          chainStatus?.remove();
+          chainStatus = null;
+        }
+      }, 3000);
+    }
+  });
+}
+
+/**
+ * Show a prompt chain's progress with pause and cancel controls
+ * @param {object} command - The chain command
+ * @param {object} state - The chain state from the runner
+ */
+function renderChainStatus(command, state) {
+  if (!chainStatus) {
+    chainStatus = document.createElement('div');
+    chainStatus.className = 'command-chain-status';
+    chainStatus.setAttribute('role', 'status');
+    document.body.appendChild(chainStatus);
+  }
+  chainStatus.innerHTML = '';
+  
+  const label = document.createElement('span');
+  label.className = 'command-chain-label';
+  const labels = {
+    running: `Step ${state.step} of ${state.total}`,
+    paused: `Paused at step ${state.step} of ${state.total}`,
+    done: 'Chain finished',
+    cancelled: 'Chain cancelled',
+    failed: `Stopped at step ${state.step}: ${state.error}`
+  };
+  label.textContent = `${command.name} · ${labels[state.status]}`;
+  
+  const progress = document.createElement('progress');
+  progress.max = state.total;
+  progress.value = state.status === 'done' ? state.total : Math.max(0, state.step - 1);
+  
+  chainStatus.appendChild(label);
+  chainStatus.appendChild(progress);
+  
+  const isActive = state.status === 'running' || state.status === 'paused';
+  if (isActive) {
+    const pauseButton = document.createElement('button');
+    pauseButton.textContent = state.status === 'paused' ? 'Resume' : 'Pause';
+    pauseButton.addEventListener('click', () => {
+      if (state.status === 'paused') {
+        activeChain?.resume();
+      } else {
+        activeChain?.pause();
+      }
+    });
+    chainStatus.appendChild(pauseButton);
+  }
+  
+  const closeButton = document.createElement('button');
+  closeButton.textContent = isActive ? 'Cancel' : 'Close';
+  closeButton.addEventListener('click', () => {
+    if (isActive) {
+      activeChain?.cancel();
+    } else {
+      chainStatus.remove();
+      chainStatus = null;
+    }
+  });
+  chainStatus.appendChild(closeButton);
+  
+  // Sit just above the input, like the palette
+  const inputArea = adapter.getInputArea();
+  if (inputArea) {
+    const rect = inputArea.getBoundingClientRect();
+    chainStatus.style.bottom = `${window.innerHeight - rect.top + 10}px`;
+    chainStatus.style.left = `${Math.max(8, rect.left)}px`;
+  }
+}
+
+/**
+ * Put the cursor back where it was in a contenteditable input when the palette opened
+ * @param {HTMLElement} inputArea - The platform's input
+ */
+function restoreCursor(inputArea) {
+  // Textareas keep their own selection while unfocused
+  if (!cursorAtOpen || !inputArea.isContentEditable) {
+    return;
+  }
+  
+  inputArea.focus();
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(cursorAtOpen);
+}
+
+/**
+ * Move a command to the front of the recently used list
+ * @param {object} command - The command that was used
+ */
+async function recordRecentCommand(command) {
+  recentCommandIds = [command.id, ...recentCommandIds.filter(id => id !== command.id)]
+    .slice(0, MAX_RECENT_COMMANDS);
+  
+  try {
+    await chrome.storage.local.set({ [RECENT_COMMANDS_KEY]: recentCommandIds });
+  } catch (error) {
+    log.error('Error saving recent commands:', error.message);
   }
 }
 
 /**
  * Add a custom command
  * @param {string} name - The command name
- * @param {string} text - The command text
+ * @param {string} text - The command text, optionally a template
+ * @param {string} insertMode - One of the keys of INSERT_MODES
+ * @returns {Promise<boolean>} Whether the command was saved
  */
-async function addCustomCommand(name, text) {
+async function addCustomCommand(name, text, insertMode = 'replace') {
+  const previousCommands = commands;
   try {
-    // Add to commands array
-    commands.push({ name, text });
+    // Add to commands array with a stable ID, visible on every platform
+    commands = [...commands, { id: createCommandId(), name, text, insertMode, folder: '', platforms: [], steps: [] }];
     
     // Update UI
-    const commandsContainer = commandBar.querySelector('.commands-container');
-    
-    const commandButton = document.createElement('button');
-    commandButton.className = 'command-button';
-    commandButton.textContent = name;
-    commandButton.addEventListener('click', () => {
-      executeCommand(text, PLATFORM_SELECTORS.chatgpt || PLATFORM_SELECTORS.mistral);
-    });
-    
-    commandsContainer.appendChild(commandButton);
+    renderCommandList();
     
-    // Save to storage
-    const settings = await getSettings();
-    settings.commands = commands;
-    
-    chrome.runtime.sendMessage({
-      type: 'SAVE_SETTINGS',
-      settings
-    }, (response) => {
-      if (response && response.success) {
-        log(`Added custom command: ${name}`);
-      } else {
-        log('Failed to save custom command');
-      }
-    });
+    // Save to storage; other tabs and the command manager pick the change up from there
+    if (await saveCommands(commands)) {
+      log(`Added custom command: ${name}`);
+      return true;
+    }
+    log.error('Failed to save custom command');
   } catch (error) {
-    log('Error adding custom command:', error.message);
+    log.error('Error adding custom command:', error.message);
   }
-}
\ No newline at end of file
+  
+  // Show the library as it is stored again
+  commands = previousCommands;
+  renderCommandList();
+  return false;
+}
@@ -0,0 +1,97 @@
+// Prompt chains: send a sequence of prompts, waiting for each response before the next
+import { createLogger } from '../../utils/logger.js';
+import { insertTextIntoInput, submitPrompt, waitForResponse } from '../../utils/domUtils.js';
+
+const log = createLogger('promptChain');
+
+/**
+ * Start running the steps of a prompt chain. Pausing takes effect once the
+ * current response has finished; cancelling stops waiting right away.
+ * @param {object} adapter - The platform adapter
+ * @param {Array<string>} steps - The step templates
+ * @param {object} options - Chain options
+ * @param {Function} options.renderStep - Async (template, previousResponse) => prompt text
+ * @param {Function} [options.onProgress] - Called with the chain state whenever it changes
+ * @returns {{pause: Function, resume: Function, cancel: Function, done: Promise<object>}} The chain controller
+ */
+export function runPromptChain(adapter, steps, { renderStep, onProgress = () => {} }) {
+  const abortController = new AbortController();
+  const state = { step: 0, total: steps.length, status: 'running', error: null };
+  let resumeChain = null;
+
+  const update = (changes) => {
+    Object.assign(state, changes);
+    onProgress({ ...state });
+  };
+
+  const waitWhilePaused = () => state.status === 'paused'
+    ? new Promise(resolve => { resumeChain = resolve; })
+    : Promise.resolve();
+
+  const run = async () => {
+    let previousResponse = '';
+
+    for (let index = 0; index < steps.length; index++) {
+      await waitWhilePaused();
+      if (abortController.signal.aborted) {
+        return;
+      }
+      update({ step: index + 1, status: 'running' });
+
+      const inputArea = adapter.getInputArea();
+      if (!inputArea) {
+        throw new Error('Could not find input area');
+      }
+
+      const previousCount = adapter.getMessages()
+        .filter(message => adapter.getRole(message) === 'assistant').length;
+      insertTextIntoInput(inputArea, await renderStep(steps[index], previousResponse), true);
+
+      if (!(await submitPrompt(adapter))) {
+        throw new Error('Could not find an enabled submit button');
+      }
+
+      const response = await waitForResponse(adapter, { previousCount, signal: abortController.signal });
+      const content = response && (adapter.getContent(response) || response);
+      previousResponse = content ? content.innerText.trim() : '';
+    }
+  };
+
+  const done = run()
+    .then(() => {
+      if (!abortController.signal.aborted) {
+        update({ status: 'done' });
+      }
+    })
+    .catch(error => {
+      if (abortController.signal.aborted) {
+        return;
+      }
+      log.error(`Prompt chain stopped at step ${state.step}:`, error.message);
+      update({ status: 'failed', error: error.message });
+    })
+    .then(() => ({ ...state }));
+
+  return {
+    pause() {
+      if (state.status === 'running') {
+        update({ status: 'paused' });
+      }
+    },
+    resume() {
+      if (state.status === 'paused') {
+        update({ status: 'running' });
+        resumeChain?.();
+        resumeChain = null;
+      }
+    },
+    cancel() {
+      if (state.status === 'running' || state.status === 'paused') {
+        abortController.abort();
+        update({ status: 'cancelled' });
+        resumeChain?.();
+      }
+    },
+    done
+  };
+}
@@ -1,25 +1,14 @@
 // Session Recorder for revisiting past conversations
-import { log } from '../../utils/logger.js';
-import { checkConsent } from '../../utils/consentManager.js';
+import { createLogger } from '../../utils/logger.js';
+import { checkConsent, revokeConsent } from '../../utils/consentManager.js';
+import { getPlatformAdapter } from '../platforms/index.js';
 
-// Platform-specific selectors
-const PLATFORM_SELECTORS = {
-  'chatgpt': {
-    chatContainer: '.chat-container',
-    messages: '[data-message-author-role]',
-    inputArea: 'textarea'
-  },
-  'mistral': {
-    chatContainer: '.chat-container',
-    messages: '.chat-message',
-    inputArea: '.chat-input textarea'
-  },
-  // Add more platforms as needed
-};
+const log = createLogger('sessionRecorder');
 
 let isRecording = false;
 let recordedSession = [];
 let recordingIndicator = null;
+let messageObserver = null;
 
 /**
  * Initialize session recorder
@@ -27,49 +16,65 @@ let recordingIndicator = null;
  */
 export async function initSessionRecorder(platform) {
   try {
-    const selectors = PLATFORM_SELECTORS[platform];
-    if (!selectors) {
+    const adapter = getPlatformAdapter(platform);
+    if (!adapter) {
       log(`Session recorder: Unsupported platform ${platform}`);
       return;
     }
     
-    // Check for consent
-    const hasConsent = await checkConsent();
-    if (!hasConsent) {
-      log('Session recording disabled: user consent not given');
-      return;
-    }
-    
-    // Create recording controls if they don't exist
+    // Create recording controls if they don't exist; without consent they offer to ask for it
     if (!document.querySelector('.recording-controls')) {
-      createRecordingControls(platform, selectors);
+      const hasConsent = await checkConsent(false, 'sessionRecording', platform);
+      createRecordingControls(platform, adapter, hasConsent);
     }
     
     // Set up message observer
-    setupMessageObserver(platform, selectors);
+    setupMessageObserver(adapter);
     
     log('Session recorder initialized');
   } catch (error) {
-    log('Session recorder initialization error:', error.message);
+    log.error('Session recorder initialization error:', error.message);
+  }
+}
+
+/**
+ * Stop recording, saving anything captured so far, and remove the controls
+ * @param {string} platform - The detected chatbot platform
+ */
+export async function destroySessionRecorder(platform) {
+  try {
+    if (isRecording) {
+      isRecording = false;
+      await saveSession(platform);
+    }
+    
+    messageObserver?.disconnect();
+    messageObserver = null;
+    document.querySelector('.recording-controls')?.remove();
+    log('Session recorder removed');
+  } catch (error) {
+    log.error('Error removing session recorder:', error.message);
   }
 }
 
 /**
  * Create recording controls
  * @param {string} platform - The detected chatbot platform
- * @param {object} selectors - Platform-specific selectors
+ * @param {object} adapter - The platform adapter
+ * @param {boolean} hasConsent - Whether recording is allowed on this platform
  */
-function createRecordingControls(platform, selectors) {
+function createRecordingControls(platform, adapter, hasConsent) {
   // Create controls container
   const controls = document.createElement('div');
   controls.className = 'recording-controls';
   
-  // Create recording toggle button
+  // Create recording toggle button; until consent is given it asks for it first
   const toggleButton = document.createElement('button');
   toggleButton.className = 'recording-toggle';
-  toggleButton.textContent = 'Start Recording';
-  toggleButton.addEventListener('click', () => {
-    toggleRecording(platform, selectors, toggleButton);
+  toggleButton.textContent = hasConsent ? 'Start Recording' : 'Allow Recording';
+  toggleButton.addEventListener('click', async () => {
+    await toggleRecording(platform, adapter, toggleButton);
+    revokeButton.hidden = !await checkConsent(false, 'sessionRecording', platform);
   });
   
   // Create recording indicator
@@ -77,34 +82,48 @@ function createRecordingControls(platform, selectors) {
   recordingIndicator.className = 'recording-indicator';
   recordingIndicator.textContent = '⚪ Not Recording';
   
+  // Create revoke button that also deletes recordings from this platform
+  const revokeButton = document.createElement('button');
+  revokeButton.className = 'recording-revoke';
+  revokeButton.textContent = 'Revoke Consent';
+  revokeButton.title = 'Stop recording and delete all sessions recorded on this site';
+  revokeButton.hidden = !hasConsent;
+  revokeButton.addEventListener('click', async () => {
+    isRecording = false;
+    recordedSession = [];
+    await revokeConsent('sessionRecording', platform);
+    toggleButton.textContent = 'Allow Recording';
+    recordingIndicator.textContent = '⚪ Not Recording';
+    recordingIndicator.classList.remove('recording-active');
+    revokeButton.hidden = true;
+  });
+  
   // Add elements to controls
   controls.appendChild(toggleButton);
   controls.appendChild(recordingIndicator);
+  controls.appendChild(revokeButton);
   
   // Add controls to page
-  const chatContainer = document.querySelector(selectors.chatContainer);
+  const chatContainer = adapter.getChatContainer();
   if (chatContainer) {
     chatContainer.appendChild(controls);
   } else {
     // Fallback to body if container not found
     document.body.appendChild(controls);
   }
-  
-  // Create session listing UI
-  createSessionListingUI(platform);
 }
 
 /**
  * Toggle recording state
  * @param {string} platform - The detected chatbot platform
- * @param {object} selectors - Platform-specific selectors
+ * @param {object} adapter - The platform adapter
  * @param {HTMLElement} toggleButton - The recording toggle button
  */
-async function toggleRecording(platform, selectors, toggleButton) {
+async function toggleRecording(platform, adapter, toggleButton) {
   try {
     // If starting recording, confirm consent
     if (!isRecording) {
-      const hasConsent = await checkConsent(true); // Force consent dialog
+      const hasConsent = await checkConsent(true, 'sessionRecording', platform); // Ask if not granted yet
       if (!hasConsent) {
         return;
       }
@@ -114,7 +133,7 @@ async function toggleRecording(platform, selectors, toggleButton) {
       recordedSession = [];
       
       // Capture existing messages
-      captureExistingMessages(platform, selectors);
+      captureExistingMessages(adapter);
       
       // Update UI
       toggleButton.textContent = 'Stop Recording';
@@ -127,7 +146,7 @@ async function toggleRecording(platform, selectors, toggleButton) {
       isRecording = false;
       
       // Save session
-      await saveSession();
+      await saveSession(platform);
       
       // Update UI
       toggleButton.textContent = 'Start Recording';
@@ -137,78 +156,53 @@ async function toggleRecording(platform, selectors, toggleButton) {
       log('Session recording stopped');
     }
   } catch (error) {
-    log('Error toggling recording:', error.message);
+    log.error('Error toggling recording:', error.message);
   }
 }
 
 /**
  * Capture existing messages in the chat
- * @param {string} platform - The detected chatbot platform
- * @param {object} selectors - Platform-specific selectors
+ * @param {object} adapter - The platform adapter
  */
-function captureExistingMessages(platform, selectors) {
-  const messages = document.querySelectorAll(selectors.messages);
+function captureExistingMessages(adapter) {
+  adapter.getMessages().forEach(message => recordMessage(adapter, message));
+}
+
+/**
+ * Add a message element to the recorded session
+ * @param {object} adapter - The platform adapter
+ * @param {Element} message - The message element
+ */
+function recordMessage(adapter, message) {
+  const role = adapter.getRole(message);
+  const content = adapter.getContent(message)?.innerHTML;
   
-  messages.forEach(message => {
-    let role, content;
-    
-    // Extract role and content based on platform
-    if (platform === 'chatgpt') {
-      role = message.getAttribute('data-message-author-role');
-      content = message.querySelector('.markdown').innerHTML;
-    } else if (platform === 'mistral') {
-      role = message.classList.contains('user-message') ? 'user' : 'assistant';
-      content = message.querySelector('.message-content').innerHTML;
-    }
-    
-    // Add to recorded session
-    if (role && content) {
-      recordedSession.push({
-        role,
-        content,
-        timestamp: new Date().toISOString()
-      });
-    }
-  });
+  // Add to recorded session
+  if (role && content) {
+    recordedSession.push({
+      role,
+      content,
+      timestamp: new Date().toISOString()
+    });
+  }
 }
 
 /**
  * Set up observer to capture new messages
- * @param {string} platform - The detected chatbot platform
- * @param {object} selectors - Platform-specific selectors
+ * @param {object} adapter - The platform adapter
  */
-function setupMessageObserver(platform, selectors) {
+function setupMessageObserver(adapter) {
   // Create mutation observer
-  const observer = new MutationObserver((mutations) => {
+  messageObserver?.disconnect();
+  messageObserver = new MutationObserver((mutations) => {
     if (!isRecording) return;
     
     mutations.forEach(mutation => {
       if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
         mutation.addedNodes.forEach(node => {
           // Check if node is a message
-          if (node.nodeType === Node.ELEMENT_NODE && 
-              ((platform === 'chatgpt' && node.hasAttribute('data-message-author-role')) ||
-               (platform === 'mistral' && node.classList.contains('chat-message')))) {
-            
-            let role, content;
-            
-            // Extract role and content based on platform
-            if (platform === 'chatgpt') {
-              role = node.getAttribute('data-message-author-role');
-              content = node.querySelector('.markdown')?.innerHTML;
-            } else if (platform === 'mistral') {
-              role = node.classList.contains('user-message') ? 'user' : 'assistant';
-              content = node.querySelector('.message-content')?.innerHTML;
-            }
-            
-            // Add to recorded session
-            if (role && content) {
-              recordedSession.push({
-                role,
-                content,
-                timestamp: new Date().toISOString()
-              });
-            }
+          if (adapter.isMessage(node)) {
+            recordMessage(adapter, node);
           }
         });
       }
@@ -216,16 +210,17 @@ function setupMessageObserver(platform, selectors) {
   });
   
   // Start observing chat container
-  const chatContainer = document.querySelector(selectors.chatContainer);
+  const chatContainer = adapter.getChatContainer();
   if (chatContainer) {
-    observer.observe(chatContainer, { childList: true, subtree: true });
+    messageObserver.observe(chatContainer, { childList: true, subtree: true });
   }
 }
 
 /**
  * Save recorded session
+ * @param {string} platform - The detected chatbot platform
  */
-async function saveSession() {
+async function saveSession(platform) {
   try {
     if (recordedSession.length === 0) {
       log('No session data to save');
@@ -237,18 +232,18 @@ async function saveSession() {
       chrome.runtime.sendMessage({
         type: 'SAVE_SESSION',
         content: recordedSession,
-        consentGiven: true
+        platform
       }, resolve);
     });
     
-    if (response.success) {
+    if (response?.success) {
       log('Session saved successfully');
       showSaveConfirmation();
     } else {
-      log('Failed to save session:', response.error);
+      log.error('Failed to save session:', response?.error);
     }
   } catch (error) {
-    log('Error saving session:', error.message);
+    log.error('Error saving session:', error.message);
   }
 }
 
@@ -265,29 +260,3 @@ function showSaveConfirmation() {
     confirmation.remove();
   }, 3000);
 }
-
-/**
- * Create session listing UI
- * @param {string} platform - The detected chatbot platform
- */
-function createSessionListingUI(platform) {
-  // Create sessions button in the popup
-  const popupScript = `
-    document.addEventListener('DOMContentLoaded', () => {
-      const sessionsButton = document.createElement('button');
-      sessionsButton.id = 'view-sessions-button';
-      sessionsButton.textContent = 'View Recorded Sessions';
-      sessionsButton.addEventListener('click', () => {
-        chrome.tabs.create({ url: chrome.runtime.getURL('popup/sessions.html') });
-      });
-      
-      document.body.appendChild(sessionsButton);
-    });
-  `;
-  
-  // Inject the script into popup
-  chrome.runtime.sendMessage({
-    type: 'INJECT_POPUP_SCRIPT',
-    script: popupScript
-  });
-}
\ No newline at end of file
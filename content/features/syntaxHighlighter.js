@@ -1,128 +1,564 @@
 // Syntax highlighting for code blocks in chat messages
-import { log } from '../../utils/logger.js';
-
-// Selector mapping for different platforms
-const PLATFORM_SELECTORS = {
-  'chatgpt': {
-    codeBlockSelector: '.markdown code',
-    messageSelector: '[data-message-author-role]'
-  },
-  'mistral': {
-    codeBlockSelector: '.chat-message code',
-    messageSelector: '.chat-message'
-  },
-  // Add more platforms as needed
-};
-
-/**
- * Initialize the syntax highlighter for code blocks
+import { createLogger } from '../../utils/logger.js';
+import { DETECTABLE_LANGUAGES, detectLanguage } from '../../utils/languageDetection.js';
+import { loadPrismLanguage, loadPrismPlugin } from '../../utils/prismLoader.js';
+import { getPlatformAdapter } from '../platforms/index.js';
+import { renderCodeBlockToolbar } from './codeBlockToolbar.js';
+
+const log = createLogger('syntaxHighlighter');
+
+// A block is highlighted once its text has stopped changing for this long
+const STABLE_DELAY = 800;
+
+// Changed messages are collected for this long before their blocks are checked
+const SCAN_DELAY = 200;
+
+// Blocks are tokenized in one go, then rendered this many top-level tokens at a time
+const CHUNK_TOKENS = 1000;
+
+// Idle time in milliseconds worth starting another chunk in
+const MIN_IDLE_TIME = 4;
+
+// Languages picked by the user, kept in chrome.storage.local by block key
+const LANGUAGE_OVERRIDES_KEY = 'languageOverrides';
+const MAX_LANGUAGE_OVERRIDES = 500;
+
+let adapter = null;
+let observer = null;
+let scanTimer = null;
+let idleHandle = null;
+
+// Per code block: the text waiting to settle, its timer and the text last highlighted
+const blockStates = new WeakMap();
+
+// Messages and added subtrees whose code blocks need checking
+const dirtyRoots = new Set();
+
+// Blocks ready to highlight, in order, mapped to their highlighting job
+const highlightQueue = new Map();
+
+let languageOverrides = {};
+
+// The codeBlocks settings: which Prism plugins to apply
+let options = { lineNumbers: false, diffHighlight: true };
+
+/**
+ * Initialize the syntax highlighter for code blocks. Blocks are tracked per
+ * message and only highlighted once they have finished streaming.
  * @param {string} platform - The detected chatbot platform
- * @param {boolean} isReinitialization - Whether this is a re-initialization after DOM changes
+ * @param {object} [codeBlockOptions] - The codeBlocks settings
  */
-export function initSyntaxHighlighter(platform, isReinitialization = false) {
+export async function initSyntaxHighlighter(platform, codeBlockOptions = {}) {
   try {
-    const selectors = PLATFORM_SELECTORS[platform];
-    if (!selectors) {
+    const platformAdapter = getPlatformAdapter(platform);
+    if (!platformAdapter) {
       log(`Syntax highlighter: Unsupported platform ${platform}`);
       return;
     }
     
-    // Find all code blocks
-    const codeBlocks = document.querySelectorAll(selectors.codeBlockSelector);
+    if (!window.Prism) {
+      log('Prism library not loaded, syntax highlighting disabled');
+      return;
+    }
+    
+    // Already initialized on this page
+    if (observer) {
+      return;
+    }
+    
+    adapter = platformAdapter;
+    options = { ...options, ...codeBlockOptions };
+    observer = new MutationObserver(handleMutations);
     
-    // Apply syntax highlighting to code blocks that haven't been processed yet
-    let highlightedCount = 0;
+    const data = await chrome.storage.local.get(LANGUAGE_OVERRIDES_KEY);
+    languageOverrides = data[LANGUAGE_OVERRIDES_KEY] || {};
     
-    codeBlocks.forEach(codeBlock => {
-      // Skip if already processed
-      if (codeBlock.classList.contains('prism-highlighted')) {
-        return;
-      }
-      
-      // Determine language (if specified)
-      let language = 'text'; // Default
-      
-      // Check for language class on the code block or parent pre element
-      const languageClass = Array.from(codeBlock.classList)
-        .find(cls => cls.startsWith('language-'));
-      
-      if (languageClass) {
-        language = languageClass.replace('language-', '');
-      } else if (codeBlock.parentElement.tagName === 'PRE') {
-        const preLanguageClass = Array.from(codeBlock.parentElement.classList)
-          .find(cls => cls.startsWith('language-'));
-        
-        if (preLanguageClass) {
-          language = preLanguageClass.replace('language-', '');
-        }
-      }
-      
-      // Apply highlighting if Prism is available
-      if (window.Prism) {
-        try {
-          // Create a wrapper for the highlighted code
-          const codeContent = codeBlock.textContent;
-          
-          // Handle code blocks with empty content
-          if (!codeContent.trim()) {
-            return;
-          }
-          
-          // Apply highlighting
-          const highlightedHTML = window.Prism.highlight(
-            codeContent,
-            window.Prism.languages[language] || window.Prism.languages.text,
-            language
-          );
-          
-          // Update the code block content
-          codeBlock.innerHTML = highlightedHTML;
-          
-          // Mark as processed
-          codeBlock.classList.add('prism-highlighted');
-          highlightedCount++;
-          
-          // Add language indicator if it's not already there
-          if (language !== 'text' && codeBlock.parentElement.tagName === 'PRE') {
-            const languageIndicator = document.createElement('div');
-            languageIndicator.className = 'code-language-indicator';
-            languageIndicator.textContent = language;
-            codeBlock.parentElement.appendChild(languageIndicator);
-          }
-          
-          // Add copy button if it's not already there
-          if (codeBlock.parentElement.tagName === 'PRE' && 
-              !codeBlock.parentElement.querySelector('.code-copy-button')) {
-            const copyButton = document.createElement('button');
-            copyButton.className = 'code-copy-button';
-            copyButton.textContent = 'Copy';
-            copyButton.addEventListener('click', () => {
-              navigator.clipboard.writeText(codeContent)
-                .then(() => {
-                  copyButton.textContent = 'Copied!';
-                  setTimeout(() => { copyButton.textContent = 'Copy'; }, 2000);
-                })
-                .catch(err => {
-                  log('Failed to copy code:', err);
-                  copyButton.textContent = 'Failed';
-                  setTimeout(() => { copyButton.textContent = 'Copy'; }, 2000);
-                });
-            });
-            codeBlock.parentElement.appendChild(copyButton);
-          }
-        } catch (err) {
-          log(`Syntax highlighting error for language ${language}:`, err.message);
-        }
-      } else {
-        log('Prism library not loaded, syntax highlighting disabled');
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    
+    // Existing conversation: everything is already complete
+    const codeBlocks = getFencedCodeBlocks(document);
+    codeBlocks.forEach(trackCodeBlock);
+    log(`Syntax highlighter: Tracking ${codeBlocks.length} code blocks`);
+  } catch (error) {
+    log.error('Syntax highlighter error:', error.message);
+  }
+}
+
+/**
+ * Stop highlighting new code blocks. Blocks already highlighted stay as they are.
+ */
+export function destroySyntaxHighlighter() {
+  observer?.disconnect();
+  observer = null;
+  clearTimeout(scanTimer);
+  cancelIdle(idleHandle);
+  idleHandle = null;
+  dirtyRoots.clear();
+  highlightQueue.clear();
+  log('Syntax highlighter stopped');
+}
+
+/**
+ * Apply changed plugin options by highlighting every highlighted block again
+ * @param {object} codeBlockOptions - The codeBlocks settings
+ */
+export function updateSyntaxHighlighterOptions(codeBlockOptions) {
+  options = { ...options, ...codeBlockOptions };
+  if (!observer) {
+    return;
+  }
+  
+  getFencedCodeBlocks(document)
+    .filter(codeBlock => codeBlock.classList.contains('prism-highlighted'))
+    .forEach(codeBlock => queueHighlight(codeBlock, codeBlock.textContent));
+}
+
+/**
+ * Collect the messages touched by DOM changes and check them shortly after
+ * @param {Array<MutationRecord>} mutations - The observed mutations
+ */
+function handleMutations(mutations) {
+  mutations.forEach(mutation => {
+    const target = mutation.target.nodeType === Node.ELEMENT_NODE
+      ? mutation.target
+      : mutation.target.parentElement;
+    const message = target?.closest(adapter.selectors.messages);
+    
+    if (message) {
+      dirtyRoots.add(message);
+      return;
+    }
+    
+    // Whole messages or conversations added outside any message
+    mutation.addedNodes.forEach(node => {
+      if (adapter.isRelevantNode(node)) {
+        dirtyRoots.add(node);
       }
     });
+  });
+  
+  if (dirtyRoots.size > 0 && !scanTimer) {
+    scanTimer = setTimeout(scanDirtyRoots, SCAN_DELAY);
+  }
+}
+
+/**
+ * Check the code blocks of every changed message
+ */
+function scanDirtyRoots() {
+  scanTimer = null;
+  const roots = [...dirtyRoots];
+  dirtyRoots.clear();
+  
+  roots
+    .filter(root => root.isConnected)
+    .forEach(root => getFencedCodeBlocks(root).forEach(trackCodeBlock));
+}
+
+/**
+ * Find the fenced code blocks in and below a root; inline code in prose is left alone
+ * @param {ParentNode} root - The message or subtree
+ * @returns {Array<Element>} The code elements inside `pre` elements
+ */
+function getFencedCodeBlocks(root) {
+  const codeBlocks = adapter.getCodeBlocks(root);
+  if (root.nodeType === Node.ELEMENT_NODE && root.matches(adapter.selectors.codeBlocks)) {
+    codeBlocks.unshift(root);
+  }
+  return codeBlocks.filter(codeBlock => codeBlock.parentElement?.tagName === 'PRE');
+}
+
+/**
+ * Wait for a code block to stop changing before highlighting it. Blocks whose
+ * text matches what was last highlighted, including our own output, are skipped.
+ * @param {Element} codeBlock - The code element
+ */
+function trackCodeBlock(codeBlock) {
+  const text = codeBlock.textContent;
+  const state = blockStates.get(codeBlock) || { highlightedText: null, pendingText: null, timer: null };
+  blockStates.set(codeBlock, state);
+  
+  if (text === state.highlightedText && codeBlock.classList.contains('prism-highlighted')) {
+    return;
+  }
+  if (text === state.pendingText && (state.timer || highlightQueue.has(codeBlock))) {
+    return;
+  }
+  
+  // The text changed again: restart the wait
+  clearTimeout(state.timer);
+  highlightQueue.delete(codeBlock);
+  state.pendingText = text;
+  state.timer = setTimeout(() => handleBlockSettled(codeBlock), STABLE_DELAY);
+}
+
+/**
+ * Queue a code block whose text has been stable for STABLE_DELAY
+ * @param {Element} codeBlock - The code element
+ */
+function handleBlockSettled(codeBlock) {
+  const state = blockStates.get(codeBlock);
+  state.timer = null;
+  
+  if (!observer || !codeBlock.isConnected) {
+    return;
+  }
+  if (codeBlock.textContent !== state.pendingText) {
+    trackCodeBlock(codeBlock);
+    return;
+  }
+  
+  // The model may just be pausing inside the block it is writing
+  if (isStillStreaming(codeBlock)) {
+    state.timer = setTimeout(() => handleBlockSettled(codeBlock), STABLE_DELAY);
+    return;
+  }
+  
+  if (!state.pendingText.trim()) {
+    return;
+  }
+  
+  queueHighlight(codeBlock, state.pendingText);
+}
+
+/**
+ * Load what a block's language needs, then queue it for highlighting
+ * @param {Element} codeBlock - The code element
+ * @param {string} text - The text to highlight
+ */
+async function queueHighlight(codeBlock, text) {
+  const job = createHighlightJob(codeBlock, text);
+  await loadGrammar(job);
+  
+  // Changed or stopped while the grammar loaded
+  if (!observer || !codeBlock.isConnected || codeBlock.textContent !== text) {
+    return;
+  }
+  
+  highlightQueue.set(codeBlock, job);
+  scheduleQueue();
+}
+
+/**
+ * Load the Prism grammar and plugins for a job. Diffs use the diff grammar;
+ * a `diff-<language>` block also highlights the code in its lines.
+ * Unknown languages are shown as plain text.
+ * @param {object} job - The highlighting job
+ */
+async function loadGrammar(job) {
+  const diffMatch = /^diff-([\w-]+)$/.exec(job.language);
+  
+  if (job.language === 'diff' || diffMatch) {
+    job.grammarId = await loadPrismLanguage('diff');
+    job.diffHighlight = options.diffHighlight && await loadPrismPlugin('diff-highlight');
+    if (diffMatch && job.diffHighlight) {
+      const innerId = await loadPrismLanguage(diffMatch[1]);
+      job.prismLanguage = `diff-${innerId || diffMatch[1]}`;
+    } else {
+      job.prismLanguage = 'diff';
+    }
+  } else {
+    job.grammarId = await loadPrismLanguage(job.language);
+    job.prismLanguage = job.grammarId || 'text';
+  }
+  
+  job.lineNumbers = options.lineNumbers && await loadPrismPlugin('line-numbers');
+}
+
+/**
+ * Check whether a code block is the one the platform is still writing
+ * @param {Element} codeBlock - The code element
+ * @returns {boolean} Whether it is the last block of a response in progress
+ */
+function isStillStreaming(codeBlock) {
+  if (!adapter.isGenerating()) {
+    return false;
+  }
+  
+  const lastMessage = adapter.getMessages().pop();
+  return Boolean(lastMessage?.contains(codeBlock)) &&
+    getFencedCodeBlocks(lastMessage).pop() === codeBlock;
+}
+
+/**
+ * Create the job that highlights a block
+ * @param {Element} codeBlock - The code element
+ * @param {string} text - The text to highlight
+ * @returns {object} The job: the block, its text, language, tokens and rendering progress
+ */
+function createHighlightJob(codeBlock, text) {
+  return { codeBlock, text, ...getCodeLanguage(codeBlock, text), tokens: null, renderedTokens: 0, output: null };
+}
+
+/**
+ * Tokenize a job's whole text, running the hooks Prism.highlight runs so
+ * plugins such as diff-highlight see the same tokens
+ * @param {object} job - The highlighting job
+ * @returns {Array<string|object>} The top-level tokens; the plain text if there is no grammar
+ */
+function tokenizeJob(job) {
+  const grammar = job.grammarId && window.Prism.languages[job.grammarId];
+  if (!grammar) {
+    return [job.text];
+  }
+  
+  const env = { code: job.text, grammar, language: job.prismLanguage };
+  window.Prism.hooks.run('before-tokenize', env);
+  env.tokens = window.Prism.tokenize(env.code, env.grammar);
+  window.Prism.hooks.run('after-tokenize', env);
+  return env.tokens;
+}
+
+/**
+ * Run queued highlighting when the page is idle
+ */
+function scheduleQueue() {
+  if (idleHandle === null && highlightQueue.size > 0) {
+    idleHandle = requestIdle(processQueue);
+  }
+}
+
+/**
+ * Highlight queued chunks until the idle period runs out. At least one chunk
+ * is rendered per call, since a busy page may never leave enough idle time.
+ * Blocks that changed since being scheduled may have emptied the queue.
+ * @param {IdleDeadline} deadline - The idle callback deadline
+ */
+function processQueue(deadline) {
+  idleHandle = null;
+  
+  let isFirstChunk = true;
+  while (highlightQueue.size > 0 && (isFirstChunk || deadline.timeRemaining() > MIN_IDLE_TIME)) {
+    const [codeBlock, job] = highlightQueue.entries().next().value;
+    if (highlightChunk(job)) {
+      highlightQueue.delete(codeBlock);
+    }
+    isFirstChunk = false;
+  }
+  
+  scheduleQueue();
+}
+
+/**
+ * Render the next chunk of a job's tokens, tokenizing the text on the first
+ * call, and swap the result into the block after the last chunk
+ * @param {object} job - The highlighting job
+ * @returns {boolean} Whether the job is finished
+ */
+function highlightChunk(job) {
+  const { codeBlock, language, prismLanguage } = job;
+  
+  // Changed while queued: the observer will queue it again
+  if (!codeBlock.isConnected || codeBlock.textContent !== job.text) {
+    return true;
+  }
+  
+  try {
+    if (!job.tokens) {
+      job.tokens = tokenizeJob(job);
+      job.output = document.createElement('code');
+    }
     
-    if (highlightedCount > 0 || isReinitialization) {
-      log(`Syntax highlighter: Processed ${highlightedCount} new code blocks`);
+    // Each top-level token renders to balanced markup, so chunks can be appended in turn
+    const chunk = job.tokens.slice(job.renderedTokens, job.renderedTokens + CHUNK_TOKENS);
+    job.output.insertAdjacentHTML('beforeend',
+      window.Prism.Token.stringify(window.Prism.util.encode(chunk), prismLanguage));
+    job.renderedTokens += chunk.length;
+    
+    if (job.renderedTokens < job.tokens.length) {
+      return false;
+    }
+    
+    const pre = codeBlock.parentElement;
+    codeBlock.replaceChildren(...job.output.childNodes);
+    codeBlock.classList.add('prism-highlighted');
+    pre.classList.toggle('diff-highlight', Boolean(job.diffHighlight));
+    pre.classList.toggle('line-numbers', Boolean(job.lineNumbers));
+    if (job.lineNumbers) {
+      // The plugin adds its rows from this hook, which Prism.highlight doesn't run
+      window.Prism.hooks.run('complete', { code: job.text, element: codeBlock, language: prismLanguage });
+    }
+    blockStates.get(codeBlock).highlightedText = job.text;
+    addCodeBlockControls(codeBlock, job);
+  } catch (error) {
+    log.error(`Syntax highlighting error for language ${language}:`, error.message);
+  }
+  return true;
+}
+
+/**
+ * Pick a code block's language: the user's choice for this block, then a
+ * `language-*` class on it or its `pre`, then a guess from its content
+ * @param {Element} codeBlock - The code element
+ * @param {string} text - The block's text
+ * @returns {{language: string, languageSource: string}} The language, 'text' if unknown,
+ *   and whether it was 'picked', 'labelled', 'detected' or 'unknown'
+ */
+function getCodeLanguage(codeBlock, text) {
+  const override = languageOverrides[getBlockKey(codeBlock)];
+  if (override) {
+    return { language: override, languageSource: 'picked' };
+  }
+  
+  for (const element of [codeBlock, codeBlock.parentElement]) {
+    const languageClass = Array.from(element.classList)
+      .find(cls => cls.startsWith('language-'));
+    if (languageClass) {
+      return { language: languageClass.replace('language-', ''), languageSource: 'labelled' };
     }
+  }
+  
+  const guess = detectLanguage(text);
+  return guess
+    ? { language: guess.language, languageSource: 'detected' }
+    : { language: 'text', languageSource: 'unknown' };
+}
+
+/**
+ * Identify a code block by its conversation, message and position in the message
+ * @param {Element} codeBlock - The code element
+ * @returns {string} The key its language override is stored under
+ */
+function getBlockKey(codeBlock) {
+  const message = codeBlock.closest(adapter.selectors.messages);
+  if (!message) {
+    return `${window.location.pathname}|-|${getFencedCodeBlocks(document).indexOf(codeBlock)}`;
+  }
+  
+  const messageKey = message.getAttribute('data-message-id') || adapter.getMessages().indexOf(message);
+  return `${window.location.pathname}|${messageKey}|${getFencedCodeBlocks(message).indexOf(codeBlock)}`;
+}
+
+/**
+ * Remember the language picked for a block and highlight it again
+ * @param {Element} codeBlock - The code element
+ * @param {string} language - The picked language
+ */
+async function overrideLanguage(codeBlock, language) {
+  const key = getBlockKey(codeBlock);
+  delete languageOverrides[key];
+  languageOverrides[key] = language;
+  
+  // Drop the oldest choices; keys keep their insertion order
+  const keys = Object.keys(languageOverrides);
+  keys.slice(0, Math.max(0, keys.length - MAX_LANGUAGE_OVERRIDES)).forEach(oldKey => {
+    delete languageOverrides[oldKey];
+  });
+  
+  queueHighlight(codeBlock, codeBlock.textContent);
+  
+  try {
+    await chrome.storage.local.set({ [LANGUAGE_OVERRIDES_KEY]: languageOverrides });
   } catch (error) {
-    log('Syntax highlighter error:', error.message);
+    log.error('Error saving language choice:', error.message);
+  }
+}
+
+/**
+ * Replace a block's language indicator with a dropdown of languages
+ * @param {Element} codeBlock - The code element
+ * @param {HTMLElement} indicator - The language indicator
+ */
+function showLanguagePicker(codeBlock, indicator) {
+  const select = document.createElement('select');
+  select.className = 'code-language-picker';
+  select.setAttribute('aria-label', 'Code language');
+  
+  const languages = { text: 'Plain text', ...DETECTABLE_LANGUAGES };
+  const current = indicator.dataset.language;
+  if (!languages[current]) {
+    languages[current] = current;
+  }
+  Object.entries(languages).forEach(([language, label]) => {
+    const option = document.createElement('option');
+    option.value = language;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = current;
+  
+  const close = () => {
+    select.remove();
+    indicator.hidden = false;
+  };
+  select.addEventListener('change', () => {
+    close();
+    if (select.value !== current) {
+      overrideLanguage(codeBlock, select.value);
+    }
+  });
+  select.addEventListener('blur', close);
+  select.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      close();
+    }
+  });
+  
+  indicator.hidden = true;
+  indicator.after(select);
+  select.focus();
+}
+
+/**
+ * Add or update the language indicator and toolbar of a highlighted block's `pre`
+ * @param {Element} codeBlock - The code element
+ * @param {object} job - The finished highlighting job with the block's language
+ */
+function addCodeBlockControls(codeBlock, { language, languageSource }) {
+  const pre = codeBlock.parentElement;
+  
+  // The indicator's text is the language name; session export reads it back
+  let languageIndicator = pre.querySelector('.code-language-indicator');
+  if (!languageIndicator) {
+    languageIndicator = document.createElement('button');
+    languageIndicator.type = 'button';
+    languageIndicator.className = 'code-language-indicator';
+    languageIndicator.addEventListener('click', () => showLanguagePicker(codeBlock, languageIndicator));
+  }
+  languageIndicator.textContent = language;
+  languageIndicator.dataset.language = language;
+  languageIndicator.classList.toggle('guessed', languageSource === 'detected');
+  languageIndicator.title = {
+    picked: 'Language you picked · click to change',
+    labelled: 'Click to change the language',
+    detected: 'Language guessed from the code · click to change',
+    unknown: 'Language not recognized · click to pick one'
+  }[languageSource];
+  
+  renderCodeBlockToolbar(codeBlock, {
+    language,
+    languageIndicator,
+    container: codeBlock.closest(adapter.selectors.messages) || pre.parentElement
+  });
+}
+
+/**
+ * Run a callback when the page is idle, falling back to a short timeout
+ * @param {Function} callback - Receives an IdleDeadline
+ * @returns {number} The handle for cancelIdle
+ */
+function requestIdle(callback) {
+  if (window.requestIdleCallback) {
+    return window.requestIdleCallback(callback, { timeout: 1000 });
+  }
+  return setTimeout(() => {
+    const start = Date.now();
+    callback({ didTimeout: false, timeRemaining: () => Math.max(0, 16 - (Date.now() - start)) });
+  }, 1);
+}
+
+/**
+ * Cancel a callback scheduled with requestIdle
+ * @param {number|null} handle - The handle
+ */
+function cancelIdle(handle) {
+  if (handle === null) {
+    return;
+  }
+  if (window.cancelIdleCallback) {
+    window.cancelIdleCallback(handle);
+  } else {
+    clearTimeout(handle);
   }
 }
 
@@ -142,4 +578,4 @@ export function updateSyntaxHighlighterTheme(theme) {
       document.body.classList.add('prism-light');
       break;
   }
-}
\ No newline at end of file
+}
@@ -1,36 +1,44 @@
 // Theme Manager for applying custom themes to chatbot interfaces
-import { log } from '../../utils/logger.js';
+import { createLogger } from '../../utils/logger.js';
 import { updateSyntaxHighlighterTheme } from './syntaxHighlighter.js';
+import { getPlatformAdapter } from '../platforms/index.js';
+import { THEME_OPTIONS } from '../../utils/settingsSchema.js';
+import {
+  CUSTOM_THEMES_KEY,
+  THEME_COLORS,
+  getCustomThemes,
+  getActiveCustomTheme,
+  getThemeVariables,
+  pickThemeSettings,
+  getThemeOption,
+  resolveTheme
+} from '../../utils/themes.js';
 
-// Available themes
-const AVAILABLE_THEMES = ['light', 'dark', 'high-contrast', 'custom'];
-
-// Platform-specific selectors for theme application
-const PLATFORM_SELECTORS = {
-  'chatgpt': {
-    mainContainer: '.overflow-hidden',
-    messageContainer: '[data-message-author-role]',
-    inputContainer: '.h-full form'
-  },
-  'mistral': {
-    mainContainer: '.app-container',
-    messageContainer: '.chat-message',
-    inputContainer: '.chat-input'
-  },
-  // Add more platforms as needed
-};
+const log = createLogger('themeManager');
 
 let currentTheme = 'light';
 let themeStylesheet = null;
 
+// The settings that pick the theme, and the system color scheme 'auto' follows
+let themeSettings = null;
+let colorSchemeQuery = null;
+
+// The custom theme chosen in the settings, and the colors the custom theme shows:
+// that theme's, or the ones the theme editor is previewing
+let customThemeId = null;
+let customColors = null;
+let isPreviewing = false;
+let handleCustomThemesChange = null;
+
 /**
  * Initialize theme manager
  * @param {string} platform - The detected chatbot platform
  * @param {string} initialTheme - The initial theme to apply
+ * @param {string|null} [initialCustomThemeId] - The custom theme the 'custom' theme shows
  */
-export function initThemeManager(platform, initialTheme = 'light') {
+export async function initThemeManager(platform, initialTheme = 'light', initialCustomThemeId = null) {
   try {
-    if (!PLATFORM_SELECTORS[platform]) {
+    if (!getPlatformAdapter(platform)) {
       log(`Theme manager: Unsupported platform ${platform}`);
       return;
     }
@@ -40,21 +48,88 @@ export function initThemeManager(platform, initialTheme = 'light') {
       createThemeControl(platform);
     }
     
+    // Leaving a preview: go back to the stored custom theme
+    customThemeId = initialCustomThemeId;
+    isPreviewing = false;
+    customColors = await loadCustomColors();
+    
+    // Pick up custom themes saved in the theme editor
+    if (!handleCustomThemesChange) {
+      handleCustomThemesChange = async (changes, areaName) => {
+        if (areaName !== 'local' || !changes[CUSTOM_THEMES_KEY] || isPreviewing) {
+          return;
+        }
+        customColors = await loadCustomColors();
+        if (currentTheme === 'custom') {
+          applyTheme(platform, 'custom');
+        }
+      };
+      chrome.storage.onChanged.addListener(handleCustomThemesChange);
+    }
+    
     // Apply initial theme
     applyTheme(platform, initialTheme);
     
     log(`Theme manager initialized with ${initialTheme} theme`);
   } catch (error) {
-    log('Theme manager initialization error:', error.message);
+    log.error('Theme manager initialization error:', error.message);
+  }
+}
+
+/**
+ * Show the theme the settings pick for this platform. While that is 'auto',
+ * the page follows the system switching between light and dark.
+ * @param {string} platform - The detected chatbot platform
+ * @param {object} settings - The settings, or just the ones in THEME_SETTING_KEYS
+ */
+export async function applyThemeSettings(platform, settings) {
+  themeSettings = pickThemeSettings(settings);
+  
+  if (!colorSchemeQuery) {
+    colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    colorSchemeQuery.addEventListener('change', () => {
+      if (resolveTheme(themeSettings, platform, colorSchemeQuery.matches) !== currentTheme) {
+        applyThemeSettings(platform, themeSettings);
+      }
+    });
+  }
+  
+  const theme = resolveTheme(themeSettings, platform, colorSchemeQuery.matches);
+  await initThemeManager(platform, theme, themeSettings.customThemeId);
+  
+  // The selector shows the option in effect, such as 'auto' or the scheduled
+  // theme, rather than the theme it resolved to
+  const themeSelector = document.querySelector('.theme-selector');
+  if (themeSelector) {
+    themeSelector.value = getThemeOption(themeSettings, platform);
   }
 }
 
+/**
+ * Show colors from the theme editor until the theme manager is initialized again
+ * @param {string} platform - The detected chatbot platform
+ * @param {object} colors - The previewed colors by key
+ */
+export function previewCustomTheme(platform, colors) {
+  isPreviewing = true;
+  customColors = colors;
+  applyTheme(platform, 'custom');
+}
+
+/**
+ * Read the colors of the custom theme chosen in the settings
+ * @returns {Promise<object|null>} The colors, or null if no custom theme exists
+ */
+async function loadCustomColors() {
+  return getActiveCustomTheme(await getCustomThemes(), customThemeId)?.colors || null;
+}
+
 /**
  * Create theme control UI
  * @param {string} platform - The detected chatbot platform
  */
 function createThemeControl(platform) {
-  const selectors = PLATFORM_SELECTORS[platform];
+  const adapter = getPlatformAdapter(platform);
   
   // Create theme control container
   const themeControl = document.createElement('div');
@@ -64,7 +139,7 @@ function createThemeControl(platform) {
   const themeSelector = document.createElement('select');
   themeSelector.className = 'theme-selector';
   
-  AVAILABLE_THEMES.forEach(theme => {
+  THEME_OPTIONS.forEach(theme => {
     const option = document.createElement('option');
     option.value = theme;
     option.textContent = theme.charAt(0).toUpperCase() + theme.slice(1).replace('-', ' ');
@@ -74,21 +149,12 @@ function createThemeControl(platform) {
   // Set current theme
   themeSelector.value = currentTheme;
   
-  // Handle theme change
+  // Save the theme; the background then switches every tab, this one included
   themeSelector.addEventListener('change', () => {
-    const newTheme = themeSelector.value;
-    applyTheme(platform, newTheme);
-    
-    // Save theme preference
-    chrome.runtime.sendMessage({ 
-      type: 'SAVE_SETTINGS', 
-      settings: { theme: newTheme }
-    });
-    
-    // Notify other tabs about theme change
-    chrome.runtime.sendMessage({ 
-      type: 'APPLY_THEME', 
-      theme: newTheme
+    chrome.runtime.sendMessage({
+      type: 'APPLY_THEME',
+      theme: themeSelector.value,
+      platform
     });
   });
   
@@ -96,7 +162,7 @@ function createThemeControl(platform) {
   themeControl.appendChild(themeSelector);
   
   // Add theme control to page
-  const container = document.querySelector(selectors.mainContainer);
+  const container = adapter.getMainContainer();
   if (container) {
     container.appendChild(themeControl);
   } else {
@@ -119,11 +185,17 @@ export function applyTheme(platform, theme) {
       themeStylesheet.remove();
     }
     
-    // Create new stylesheet
-    themeStylesheet = document.createElement('link');
-    themeStylesheet.rel = 'stylesheet';
-    themeStylesheet.href = chrome.runtime.getURL(`themes/${theme}.css`);
-    document.head.appendChild(themeStylesheet);
+    // Create new stylesheet; the custom one needs colors from the theme editor
+    if (theme === 'custom' && !customColors) {
+      themeStylesheet = null;
+      log('No custom theme defined yet; create one in the theme editor');
+    } else {
+      themeStylesheet = document.createElement('link');
+      themeStylesheet.rel = 'stylesheet';
+      themeStylesheet.href = chrome.runtime.getURL(`themes/${theme}.css`);
+      document.head.appendChild(themeStylesheet);
+    }
+    applyCustomColors(theme === 'custom' ? customColors : null);
     
     // Update body class for theme
     document.body.classList.remove('theme-light', 'theme-dark', 'theme-high-contrast', 'theme-custom');
@@ -133,14 +205,23 @@ export function applyTheme(platform, theme) {
     updateSyntaxHighlighterTheme(theme);
     
     log(`Applied theme: ${theme}`);
-    
-    // Update theme selector if it exists
-    const themeSelector = document.querySelector('.theme-selector');
-    if (themeSelector) {
-      themeSelector.value = theme;
-    }
   } catch (error) {
-    log('Error applying theme:', error.message);
+    log.error('Error applying theme:', error.message);
+  }
+}
+
+/**
+ * Set or clear the CSS variables of the custom theme on the root element
+ * @param {object|null} colors - The colors by key, or null to clear them
+ */
+function applyCustomColors(colors) {
+  const root = document.documentElement;
+  if (colors) {
+    Object.entries(getThemeVariables(colors)).forEach(([variable, value]) => {
+      root.style.setProperty(variable, value);
+    });
+  } else {
+    THEME_COLORS.forEach(({ variable }) => root.style.removeProperty(variable));
   }
 }
 
@@ -0,0 +1,4 @@
+// Runs before prism.js: the syntax highlighter decides what and when to
+// highlight, so Prism must not highlight the page on its own
+window.Prism = window.Prism || {};
+window.Prism.manual = true;
@@ -0,0 +1 @@
+Prism.languages.csv={value:/[^\r\n,"]+|"(?:[^"]|"")*"(?!")/,punctuation:/,/};
\ No newline at end of file
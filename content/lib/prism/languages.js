@@ -0,0 +1,414 @@
+// Grammar dependencies and aliases from Prism 1.29.0's components.json.
+// Regenerate this file when the vendored components are updated.
+
+/**
+ * Every bundled grammar. `require` must load first; `modify` and `optional`
+ * are loaded first when present, since the grammar extends them.
+ */
+export const PRISM_LANGUAGES = {
+  markup: {},
+  css: { modify: ['markup'] },
+  clike: {},
+  javascript: { require: ['clike'], modify: ['markup'], optional: ['regex'] },
+  abap: {},
+  abnf: {},
+  actionscript: { require: ['javascript'], modify: ['markup'] },
+  ada: {},
+  agda: {},
+  al: {},
+  antlr4: {},
+  apacheconf: {},
+  apex: { require: ['clike', 'sql'] },
+  apl: {},
+  applescript: {},
+  aql: {},
+  arduino: { require: ['cpp'] },
+  arff: {},
+  armasm: {},
+  arturo: { optional: ['bash', 'css', 'javascript', 'markup', 'markdown', 'sql'] },
+  asciidoc: {},
+  aspnet: { require: ['markup', 'csharp'] },
+  asm6502: {},
+  asmatmel: {},
+  autohotkey: {},
+  autoit: {},
+  avisynth: {},
+  'avro-idl': {},
+  awk: {},
+  bash: {},
+  basic: {},
+  batch: {},
+  bbcode: {},
+  bbj: {},
+  bicep: {},
+  birb: { require: ['clike'] },
+  bison: { require: ['c'] },
+  bnf: {},
+  bqn: {},
+  brainfuck: {},
+  brightscript: {},
+  bro: {},
+  bsl: {},
+  c: { require: ['clike'] },
+  csharp: { require: ['clike'] },
+  cpp: { require: ['c'] },
+  cfscript: { require: ['clike'] },
+  chaiscript: { require: ['clike', 'cpp'] },
+  cil: {},
+  cilkc: { require: ['c'] },
+  cilkcpp: { require: ['cpp'] },
+  clojure: {},
+  cmake: {},
+  cobol: {},
+  coffeescript: { require: ['javascript'] },
+  concurnas: {},
+  csp: {},
+  cooklang: {},
+  coq: {},
+  crystal: { require: ['ruby'] },
+  'css-extras': { require: ['css'], modify: ['css'] },
+  csv: {},
+  cue: {},
+  cypher: {},
+  d: { require: ['clike'] },
+  dart: { require: ['clike'] },
+  dataweave: {},
+  dax: {},
+  dhall: {},
+  diff: {},
+  django: { require: ['markup-templating'] },
+  'dns-zone-file': {},
+  docker: {},
+  dot: { optional: ['markup'] },
+  ebnf: {},
+  editorconfig: {},
+  eiffel: {},
+  ejs: { require: ['javascript', 'markup-templating'] },
+  elixir: {},
+  elm: {},
+  etlua: { require: ['lua', 'markup-templating'] },
+  erb: { require: ['ruby', 'markup-templating'] },
+  erlang: {},
+  'excel-formula': {},
+  fsharp: { require: ['clike'] },
+  factor: {},
+  false: {},
+  'firestore-security-rules': { require: ['clike'] },
+  flow: { require: ['javascript'] },
+  fortran: {},
+  ftl: { require: ['markup-templating'] },
+  gml: { require: ['clike'] },
+  gap: {},
+  gcode: {},
+  gdscript: {},
+  gedcom: {},
+  gettext: {},
+  gherkin: {},
+  git: {},
+  glsl: { require: ['c'] },
+  gn: {},
+  'linker-script': {},
+  go: { require: ['clike'] },
+  'go-module': {},
+  gradle: { require: ['clike'] },
+  graphql: { optional: ['markdown'] },
+  groovy: { require: ['clike'] },
+  haml: { require: ['ruby'], optional: ['css', 'css-extras', 'coffeescript', 'erb', 'javascript', 'less', 'markdown', 'scss', 'textile'] },
+  handlebars: { require: ['markup-templating'] },
+  haskell: {},
+  haxe: { require: ['clike'], optional: ['regex'] },
+  hcl: {},
+  hlsl: { require: ['c'] },
+  hoon: {},
+  http: { optional: ['csp', 'css', 'hpkp', 'hsts', 'javascript', 'json', 'markup', 'uri'] },
+  hpkp: {},
+  hsts: {},
+  ichigojam: {},
+  icon: {},
+  'icu-message-format': {},
+  idris: { require: ['haskell'] },
+  ignore: {},
+  inform7: {},
+  ini: {},
+  io: {},
+  j: {},
+  java: { require: ['clike'] },
+  javadoc: { require: ['markup', 'java', 'javadoclike'], modify: ['java'], optional: ['scala'] },
+  javadoclike: { modify: ['java', 'javascript', 'php'] },
+  javastacktrace: {},
+  jexl: {},
+  jolie: { require: ['clike'] },
+  jq: {},
+  jsdoc: { require: ['javascript', 'javadoclike', 'typescript'], modify: ['javascript'], optional: ['actionscript', 'coffeescript'] },
+  'js-extras': { require: ['javascript'], modify: ['javascript'], optional: ['actionscript', 'coffeescript', 'flow', 'n4js', 'typescript'] },
+  json: {},
+  json5: { require: ['json'] },
+  jsonp: { require: ['json'] },
+  jsstacktrace: {},
+  'js-templates': { require: ['javascript'], modify: ['javascript'], optional: ['css', 'css-extras', 'graphql', 'markdown', 'markup', 'sql'] },
+  julia: {},
+  keepalived: {},
+  keyman: {},
+  kotlin: { require: ['clike'] },
+  kumir: {},
+  kusto: {},
+  latex: {},
+  latte: { require: ['clike', 'markup-templating', 'php'] },
+  less: { require: ['css'], optional: ['css-extras'] },
+  lilypond: { require: ['scheme'] },
+  liquid: { require: ['markup-templating'] },
+  lisp: {},
+  livescript: {},
+  llvm: {},
+  log: { optional: ['javastacktrace'] },
+  lolcode: {},
+  lua: {},
+  magma: {},
+  makefile: {},
+  markdown: { require: ['markup'], optional: ['yaml'] },
+  'markup-templating': { require: ['markup'] },
+  mata: {},
+  matlab: {},
+  maxscript: {},
+  mel: {},
+  mermaid: {},
+  metafont: {},
+  mizar: {},
+  mongodb: { require: ['javascript'] },
+  monkey: {},
+  moonscript: {},
+  n1ql: {},
+  n4js: { require: ['javascript'], optional: ['jsdoc'] },
+  'nand2tetris-hdl': {},
+  naniscript: {},
+  nasm: {},
+  neon: {},
+  nevod: {},
+  nginx: {},
+  nim: {},
+  nix: {},
+  nsis: {},
+  objectivec: { require: ['c'] },
+  ocaml: {},
+  odin: {},
+  opencl: { require: ['c'], modify: ['c', 'cpp'] },
+  openqasm: {},
+  oz: {},
+  parigp: {},
+  parser: { require: ['markup'] },
+  pascal: {},
+  pascaligo: {},
+  psl: {},
+  pcaxis: {},
+  peoplecode: {},
+  perl: {},
+  php: { require: ['markup-templating'] },
+  phpdoc: { require: ['php', 'javadoclike'], modify: ['php'] },
+  'php-extras': { require: ['php'], modify: ['php'] },
+  'plant-uml': {},
+  plsql: { require: ['sql'] },
+  powerquery: {},
+  powershell: {},
+  processing: { require: ['clike'] },
+  prolog: {},
+  promql: {},
+  properties: {},
+  protobuf: { require: ['clike'] },
+  pug: { require: ['markup', 'javascript'], optional: ['coffeescript', 'ejs', 'handlebars', 'less', 'livescript', 'markdown', 'scss', 'stylus', 'twig'] },
+  puppet: {},
+  pure: { optional: ['c', 'cpp', 'fortran'] },
+  purebasic: { require: ['clike'] },
+  purescript: { require: ['haskell'] },
+  python: {},
+  qsharp: { require: ['clike'] },
+  q: {},
+  qml: { require: ['javascript'] },
+  qore: { require: ['clike'] },
+  r: {},
+  racket: { require: ['scheme'] },
+  cshtml: { require: ['markup', 'csharp'], optional: ['css', 'css-extras', 'javascript', 'js-extras'] },
+  jsx: { require: ['markup', 'javascript'], optional: ['jsdoc', 'js-extras', 'js-templates'] },
+  tsx: { require: ['jsx', 'typescript'] },
+  reason: { require: ['clike'] },
+  regex: {},
+  rego: {},
+  renpy: {},
+  rescript: {},
+  rest: {},
+  rip: {},
+  roboconf: {},
+  robotframework: {},
+  ruby: { require: ['clike'] },
+  rust: {},
+  sas: { optional: ['groovy', 'lua', 'sql'] },
+  sass: { require: ['css'], optional: ['css-extras'] },
+  scss: { require: ['css'], optional: ['css-extras'] },
+  scala: { require: ['java'] },
+  scheme: {},
+  'shell-session': { require: ['bash'] },
+  smali: {},
+  smalltalk: {},
+  smarty: { require: ['markup-templating'], optional: ['php'] },
+  sml: {},
+  solidity: { require: ['clike'] },
+  'solution-file': {},
+  soy: { require: ['markup-templating'] },
+  sparql: { require: ['turtle'] },
+  'splunk-spl': {},
+  sqf: { require: ['clike'] },
+  sql: {},
+  squirrel: { require: ['clike'] },
+  stan: {},
+  stata: { require: ['mata', 'java', 'python'] },
+  iecst: {},
+  stylus: {},
+  supercollider: {},
+  swift: {},
+  systemd: {},
+  't4-templating': {},
+  't4-cs': { require: ['t4-templating', 'csharp'] },
+  't4-vb': { require: ['t4-templating', 'vbnet'] },
+  tap: { require: ['yaml'] },
+  tcl: {},
+  tt2: { require: ['clike', 'markup-templating'] },
+  textile: { require: ['markup'], optional: ['css'] },
+  toml: {},
+  tremor: {},
+  turtle: {},
+  twig: { require: ['markup-templating'] },
+  typescript: { require: ['javascript'], optional: ['js-templates'] },
+  typoscript: {},
+  unrealscript: {},
+  uorazor: {},
+  uri: {},
+  v: { require: ['clike'] },
+  vala: { require: ['clike'], optional: ['regex'] },
+  vbnet: { require: ['basic'] },
+  velocity: { require: ['markup'] },
+  verilog: {},
+  vhdl: {},
+  vim: {},
+  'visual-basic': {},
+  warpscript: {},
+  wasm: {},
+  'web-idl': {},
+  wgsl: {},
+  wiki: { require: ['markup'] },
+  wolfram: {},
+  wren: {},
+  xeora: { require: ['markup'] },
+  'xml-doc': { require: ['markup'], modify: ['csharp', 'fsharp', 'vbnet'] },
+  xojo: {},
+  xquery: { require: ['markup'] },
+  yaml: {},
+  yang: {},
+  zig: {}
+};
+
+// Other names a grammar is known by, e.g. `js` for `javascript`
+export const PRISM_ALIASES = {
+  html: 'markup',
+  xml: 'markup',
+  svg: 'markup',
+  mathml: 'markup',
+  ssml: 'markup',
+  atom: 'markup',
+  rss: 'markup',
+  js: 'javascript',
+  g4: 'antlr4',
+  ino: 'arduino',
+  'arm-asm': 'armasm',
+  art: 'arturo',
+  adoc: 'asciidoc',
+  avs: 'avisynth',
+  avdl: 'avro-idl',
+  gawk: 'awk',
+  sh: 'bash',
+  shell: 'bash',
+  shortcode: 'bbcode',
+  rbnf: 'bnf',
+  oscript: 'bsl',
+  cs: 'csharp',
+  dotnet: 'csharp',
+  cfc: 'cfscript',
+  'cilk-c': 'cilkc',
+  'cilk-cpp': 'cilkcpp',
+  cilk: 'cilkcpp',
+  coffee: 'coffeescript',
+  conc: 'concurnas',
+  jinja2: 'django',
+  'dns-zone': 'dns-zone-file',
+  dockerfile: 'docker',
+  gv: 'dot',
+  eta: 'ejs',
+  xlsx: 'excel-formula',
+  xls: 'excel-formula',
+  gamemakerlanguage: 'gml',
+  po: 'gettext',
+  gni: 'gn',
+  ld: 'linker-script',
+  'go-mod': 'go-module',
+  hbs: 'handlebars',
+  mustache: 'handlebars',
+  hs: 'haskell',
+  idr: 'idris',
+  gitignore: 'ignore',
+  hgignore: 'ignore',
+  npmignore: 'ignore',
+  webmanifest: 'json',
+  kt: 'kotlin',
+  kts: 'kotlin',
+  kum: 'kumir',
+  tex: 'latex',
+  context: 'latex',
+  ly: 'lilypond',
+  emacs: 'lisp',
+  elisp: 'lisp',
+  'emacs-lisp': 'lisp',
+  md: 'markdown',
+  moon: 'moonscript',
+  n4jsd: 'n4js',
+  nani: 'naniscript',
+  objc: 'objectivec',
+  qasm: 'openqasm',
+  objectpascal: 'pascal',
+  px: 'pcaxis',
+  pcode: 'peoplecode',
+  plantuml: 'plant-uml',
+  pq: 'powerquery',
+  mscript: 'powerquery',
+  pbfasm: 'purebasic',
+  purs: 'purescript',
+  py: 'python',
+  qs: 'qsharp',
+  rkt: 'racket',
+  razor: 'cshtml',
+  rpy: 'renpy',
+  res: 'rescript',
+  robot: 'robotframework',
+  rb: 'ruby',
+  'sh-session': 'shell-session',
+  shellsession: 'shell-session',
+  smlnj: 'sml',
+  sol: 'solidity',
+  sln: 'solution-file',
+  rq: 'sparql',
+  sclang: 'supercollider',
+  t4: 't4-cs',
+  trickle: 'tremor',
+  troy: 'tremor',
+  trig: 'turtle',
+  ts: 'typescript',
+  tsconfig: 'typoscript',
+  uscript: 'unrealscript',
+  uc: 'unrealscript',
+  url: 'uri',
+  vb: 'visual-basic',
+  vba: 'visual-basic',
+  webidl: 'web-idl',
+  mathematica: 'wolfram',
+  nb: 'wolfram',
+  wl: 'wolfram',
+  xeoracube: 'xeora',
+  yml: 'yaml'
+};
@@ -0,0 +1,117 @@
+// Base implementation shared by the platform adapters
+
+/**
+ * @typedef {object} PlatformSelectors
+ * @property {string} messages - Every chat message, user and assistant
+ * @property {string} messageContent - The rendered content inside a message
+ * @property {string} inputArea - The prompt input
+ * @property {string} submitButton - The button that sends the prompt
+ * @property {string} codeBlocks - Code elements inside messages
+ * @property {string} chatContainer - The element that holds the conversation
+ * @property {string} mainContainer - The main application container
+ * @property {string} inputContainer - The element wrapping the prompt input
+ * @property {string} copyButtons - The platform's own "copy response" buttons
+ * @property {string} [stopButton] - The button shown while a response is being written
+ * @property {string} [userMessage] - Messages written by the user (custom sites only)
+ */
+
+/**
+ * @typedef {object} PlatformAdapter
+ * @property {string} id - Platform key used in settings and sessions, e.g. 'chatgpt'
+ * @property {string} name - Display name
+ * @property {Array<string>} hostnames - Hostnames the platform is served from
+ * @property {PlatformSelectors} selectors - CSS selectors for the platform's DOM
+ * @property {boolean} [custom] - Whether the adapter was defined by the user for a custom site
+ * @property {function(Location): boolean} matchesLocation - Whether a URL belongs to the platform
+ * @property {function(ParentNode): boolean} detectFromDOM - Fallback detection from page markup
+ * @property {function(ParentNode=): Array<Element>} getMessages - Messages in document order
+ * @property {function(Node): boolean} isMessage - Whether a node is a message
+ * @property {function(Node): boolean} isRelevantNode - Whether an added node may contain new content
+ * @property {function(Element): (string|null)} getRole - 'user' or 'assistant' for a message
+ * @property {function(Element): (Element|null)} getContent - The content element of a message
+ * @property {function(ParentNode=): (HTMLElement|null)} getInputArea - The prompt input
+ * @property {function(ParentNode=): (HTMLElement|null)} getSubmitButton - The send button
+ * @property {function(ParentNode=): Array<Element>} getCodeBlocks - Code elements in messages
+ * @property {function(ParentNode=): (Element|null)} getChatContainer - The conversation container
+ * @property {function(ParentNode=): (Element|null)} getMainContainer - The app container
+ * @property {function(ParentNode=): (Element|null)} getInputContainer - The input wrapper
+ * @property {function(HTMLElement): (Element|null)} getToggleMount - Where to place buttons next to the input
+ * @property {function(ParentNode=): boolean} isGenerating - Whether a response is still being written
+ */
+
+/**
+ * Create a platform adapter. Every lookup takes an optional root so adapters
+ * can be exercised against parsed HTML fixtures as well as the live page.
+ * @param {object} definition - id, name, hostnames, selectors and any method overrides
+ * @returns {PlatformAdapter} The adapter
+ */
+export function createPlatformAdapter(definition) {
+  const { selectors } = definition;
+
+  const adapter = {
+    matchesLocation(location) {
+      const hostname = location.hostname;
+      return this.hostnames.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    },
+
+    detectFromDOM(root) {
+      return Boolean(root.querySelector(selectors.messages));
+    },
+
+    getMessages(root = document) {
+      return Array.from(root.querySelectorAll(selectors.messages));
+    },
+
+    isMessage(node) {
+      return node.nodeType === Node.ELEMENT_NODE && node.matches(selectors.messages);
+    },
+
+    isRelevantNode(node) {
+      return node.nodeType === Node.ELEMENT_NODE &&
+        (node.matches(`${selectors.messages}, ${selectors.messageContent}`) ||
+         Boolean(node.querySelector(selectors.messages)));
+    },
+
+    getRole() {
+      return null;
+    },
+
+    getContent(message) {
+      return message.querySelector(selectors.messageContent);
+    },
+
+    getInputArea(root = document) {
+      return root.querySelector(selectors.inputArea);
+    },
+
+    getSubmitButton(root = document) {
+      return root.querySelector(selectors.submitButton);
+    },
+
+    getCodeBlocks(root = document) {
+      return Array.from(root.querySelectorAll(selectors.codeBlocks));
+    },
+
+    getChatContainer(root = document) {
+      return root.querySelector(selectors.chatContainer);
+    },
+
+    getMainContainer(root = document) {
+      return root.querySelector(selectors.mainContainer);
+    },
+
+    getInputContainer(root = document) {
+      return root.querySelector(selectors.inputContainer);
+    },
+
+    getToggleMount(inputArea) {
+      return inputArea.closest(selectors.inputContainer) || inputArea.parentElement;
+    },
+
+    isGenerating(root = document) {
+      return Boolean(selectors.stopButton && root.querySelector(selectors.stopButton));
+    }
+  };
+
+  return Object.freeze({ ...adapter, ...definition });
+}
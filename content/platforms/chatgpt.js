@@ -0,0 +1,34 @@
+// ChatGPT platform adapter
+import { createPlatformAdapter } from './adapter.js';
+
+export default createPlatformAdapter({
+  id: 'chatgpt',
+  name: 'ChatGPT',
+  hostnames: ['chatgpt.com', 'chat.openai.com'],
+  selectors: {
+    messages: '[data-message-author-role]',
+    // Responses are rendered markdown; prompts are shown as plain text
+    messageContent: '.markdown, [data-message-author-role="user"] .whitespace-pre-wrap',
+    // chatgpt.com uses a contenteditable composer; chat.openai.com used a textarea
+    inputArea: '#prompt-textarea, textarea',
+    submitButton: 'button[data-testid="send-button"], #composer-submit-button',
+    codeBlocks: '.markdown code',
+    chatContainer: '.chat-container, main',
+    mainContainer: '.overflow-hidden',
+    inputContainer: '.h-full form, form',
+    copyButtons: 'button[aria-label="Copy"], button[data-testid="copy-turn-action-button"]',
+    stopButton: 'button[data-testid="stop-button"]'
+  },
+
+  detectFromDOM(root) {
+    return Boolean(root.querySelector('.markdown'));
+  },
+
+  getRole(message) {
+    return message.getAttribute('data-message-author-role');
+  },
+
+  getToggleMount(inputArea) {
+    return inputArea.parentElement?.parentElement || null;
+  }
+});
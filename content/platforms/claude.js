@@ -0,0 +1,29 @@
+// Claude platform adapter
+import { createPlatformAdapter } from './adapter.js';
+
+export default createPlatformAdapter({
+  id: 'claude',
+  name: 'Claude',
+  hostnames: ['claude.ai'],
+  selectors: {
+    messages: '[data-testid="user-message"], .font-claude-message',
+    // Messages are their own content containers
+    messageContent: '[data-testid="user-message"], .font-claude-message',
+    inputArea: 'div.ProseMirror[contenteditable="true"]',
+    submitButton: 'button[aria-label="Send message"], button[aria-label="Send Message"]',
+    codeBlocks: '.font-claude-message code',
+    chatContainer: 'main, [data-testid="conversation"]',
+    mainContainer: 'main',
+    inputContainer: 'fieldset',
+    copyButtons: 'button[data-testid="action-bar-copy"]',
+    stopButton: 'button[aria-label="Stop response"]'
+  },
+
+  getRole(message) {
+    return message.matches('[data-testid="user-message"]') ? 'user' : 'assistant';
+  },
+
+  getContent(message) {
+    return message;
+  }
+});
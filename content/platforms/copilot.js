@@ -0,0 +1,29 @@
+// Microsoft Copilot platform adapter
+import { createPlatformAdapter } from './adapter.js';
+
+export default createPlatformAdapter({
+  id: 'copilot',
+  name: 'Copilot',
+  hostnames: ['copilot.microsoft.com'],
+  selectors: {
+    messages: '[data-content="user-message"], [data-content="ai-message"]',
+    // Messages are their own content containers
+    messageContent: '[data-content="user-message"], [data-content="ai-message"]',
+    inputArea: 'textarea#userInput, textarea[data-testid="composer-input"]',
+    submitButton: 'button[data-testid="submit-button"], button[aria-label="Submit message"]',
+    codeBlocks: '[data-content="ai-message"] code',
+    chatContainer: 'main',
+    mainContainer: 'main',
+    inputContainer: 'form, [data-testid="composer"]',
+    copyButtons: 'button[data-testid="copy-message-button"]',
+    stopButton: 'button[data-testid="stop-button"], button[aria-label="Stop responding"]'
+  },
+
+  getRole(message) {
+    return message.getAttribute('data-content') === 'user-message' ? 'user' : 'assistant';
+  },
+
+  getContent(message) {
+    return message;
+  }
+});
@@ -0,0 +1,64 @@
+// Adapters for user-defined custom sites, configured on the custom sites page
+import { createPlatformAdapter } from './adapter.js';
+import { isValidMatchPattern, matchPatternToRegExp } from '../../utils/matchPattern.js';
+
+// Used for selectors a custom site leaves empty
+const DEFAULT_SELECTORS = {
+  chatContainer: 'body',
+  mainContainer: 'body',
+  inputContainer: 'form',
+  copyButtons: 'button[aria-label="Copy"]'
+};
+
+/**
+ * Create an adapter from a stored custom site
+ * @param {object} site - id, name, pattern and selectors
+ * @returns {import('./adapter.js').PlatformAdapter|null} The adapter, or null if the site is unusable
+ */
+export function createCustomSiteAdapter(site) {
+  if (!site?.id || !isValidMatchPattern(site.pattern) || !site.selectors?.messages) {
+    return null;
+  }
+
+  const configured = Object.fromEntries(
+    Object.entries(site.selectors).filter(([, selector]) => typeof selector === 'string' && selector.trim())
+  );
+  const selectors = {
+    ...DEFAULT_SELECTORS,
+    // Without a content selector, the message element is its own content
+    messageContent: configured.messages,
+    ...configured
+  };
+  const urlPattern = matchPatternToRegExp(site.pattern);
+
+  return createPlatformAdapter({
+    id: site.id,
+    name: site.name || site.pattern,
+    hostnames: [],
+    selectors,
+    custom: true,
+
+    matchesLocation(location) {
+      return urlPattern.test(location.href.split('#')[0]);
+    },
+
+    // Custom sites are only ever identified by their URL pattern
+    detectFromDOM() {
+      return false;
+    },
+
+    getRole(message) {
+      if (!selectors.userMessage) {
+        return null;
+      }
+      const isUser = message.matches(selectors.userMessage) || Boolean(message.querySelector(selectors.userMessage));
+      return isUser ? 'user' : 'assistant';
+    },
+
+    getContent(message) {
+      return message.matches(selectors.messageContent)
+        ? message
+        : message.querySelector(selectors.messageContent);
+    }
+  });
+}
@@ -0,0 +1,28 @@
+// Gemini platform adapter
+import { createPlatformAdapter } from './adapter.js';
+
+export default createPlatformAdapter({
+  id: 'gemini',
+  name: 'Gemini',
+  hostnames: ['gemini.google.com'],
+  selectors: {
+    messages: 'user-query, model-response',
+    messageContent: 'user-query .query-text, model-response message-content',
+    inputArea: 'rich-textarea .ql-editor[contenteditable="true"]',
+    submitButton: 'button.send-button, button[aria-label="Send message"]',
+    codeBlocks: 'model-response code',
+    chatContainer: '.chat-history, infinite-scroller',
+    mainContainer: 'chat-window, main',
+    inputContainer: 'input-area-v2, .input-area-container',
+    copyButtons: 'copy-button button, button[data-test-id="copy-button"]',
+    stopButton: 'button.stop, button[aria-label="Stop response"]'
+  },
+
+  getRole(message) {
+    return message.tagName.toLowerCase() === 'user-query' ? 'user' : 'assistant';
+  },
+
+  getContent(message) {
+    return message.querySelector('.query-text, message-content');
+  }
+});
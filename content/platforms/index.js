@@ -0,0 +1,66 @@
+// Registry of chatbot platform adapters
+import chatgpt from './chatgpt.js';
+import mistral from './mistral.js';
+import claude from './claude.js';
+import gemini from './gemini.js';
+import copilot from './copilot.js';
+import perplexity from './perplexity.js';
+import { createCustomSiteAdapter } from './custom.js';
+
+// Adapters in detection order
+const adapters = new Map();
+
+/**
+ * Register a platform adapter
+ * @param {import('./adapter.js').PlatformAdapter} adapter - The adapter to add
+ */
+export function registerPlatformAdapter(adapter) {
+  adapters.set(adapter.id, adapter);
+}
+
+/**
+ * Get the adapter for a platform
+ * @param {string} platform - The platform key
+ * @returns {import('./adapter.js').PlatformAdapter|null} The adapter, or null if unsupported
+ */
+export function getPlatformAdapter(platform) {
+  return adapters.get(platform) || null;
+}
+
+/**
+ * Get every registered adapter
+ * @returns {Array<import('./adapter.js').PlatformAdapter>} The adapters
+ */
+export function getPlatformAdapters() {
+  return Array.from(adapters.values());
+}
+
+/**
+ * Replace the registered custom site adapters
+ * @param {Array<object>} sites - The stored custom sites
+ */
+export function registerCustomSites(sites = []) {
+  getPlatformAdapters()
+    .filter(adapter => adapter.custom)
+    .forEach(adapter => adapters.delete(adapter.id));
+
+  sites
+    .map(createCustomSiteAdapter)
+    .filter(Boolean)
+    .forEach(registerPlatformAdapter);
+}
+
+/**
+ * Find the adapter for a page, by URL first and page markup second
+ * @param {Location} location - The page location
+ * @param {ParentNode} root - The document to inspect
+ * @returns {import('./adapter.js').PlatformAdapter|null} The adapter, or null if none matches
+ */
+export function detectPlatformAdapter(location = window.location, root = document) {
+  const adapterList = getPlatformAdapters();
+  return adapterList.find(adapter => adapter.matchesLocation(location)) ||
+    adapterList.find(adapter => adapter.detectFromDOM(root)) ||
+    null;
+}
+
+[chatgpt, mistral, claude, gemini, copilot, perplexity].forEach(registerPlatformAdapter);
@@ -0,0 +1,23 @@
+// Mistral (Le Chat) platform adapter
+import { createPlatformAdapter } from './adapter.js';
+
+export default createPlatformAdapter({
+  id: 'mistral',
+  name: 'Mistral',
+  hostnames: ['mistral.ai'],
+  selectors: {
+    messages: '.chat-message',
+    messageContent: '.message-content',
+    inputArea: '.chat-input textarea',
+    submitButton: '.chat-input button[type="submit"]',
+    codeBlocks: '.chat-message code',
+    chatContainer: '.chat-container',
+    mainContainer: '.app-container',
+    inputContainer: '.chat-input',
+    copyButtons: '.chat-message button[aria-label="Copy"]'
+  },
+
+  getRole(message) {
+    return message.classList.contains('user-message') ? 'user' : 'assistant';
+  }
+});
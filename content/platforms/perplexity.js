@@ -0,0 +1,37 @@
+// Perplexity platform adapter
+import { createPlatformAdapter } from './adapter.js';
+
+// Perplexity renders questions as headings in a "group/query" container
+const QUERY_SELECTOR = '[class*="group/query"]';
+
+export default createPlatformAdapter({
+  id: 'perplexity',
+  name: 'Perplexity',
+  hostnames: ['perplexity.ai'],
+  selectors: {
+    messages: `${QUERY_SELECTOR}, div.prose`,
+    // Messages are their own content containers
+    messageContent: `${QUERY_SELECTOR}, div.prose`,
+    inputArea: 'textarea#ask-input, #ask-input[contenteditable="true"], textarea[placeholder]',
+    submitButton: 'button[aria-label="Submit"], button[data-testid="submit-button"]',
+    codeBlocks: 'div.prose code',
+    chatContainer: 'main',
+    mainContainer: 'main',
+    inputContainer: 'form, .grow.block',
+    copyButtons: 'button[aria-label="Copy"]',
+    stopButton: 'button[aria-label="Stop"]'
+  },
+
+  // .prose is too generic to identify the site from markup alone
+  detectFromDOM() {
+    return false;
+  },
+
+  getRole(message) {
+    return message.matches(QUERY_SELECTOR) ? 'user' : 'assistant';
+  },
+
+  getContent(message) {
+    return message;
+  }
+});
@@ -0,0 +1,520 @@
+// Command library manager: edit, delete, reorder, organize and share commands
+import {
+  COMMANDS_KEY,
+  getCommands,
+  saveCommands,
+  createCommandId,
+  normalizeCommand,
+  buildCommandPack,
+  mergeCommandPack,
+  isPromptChain
+} from '../utils/commands.js';
+import { INSERT_MODES, getTemplateVariables } from '../utils/promptTemplate.js';
+import { downloadFile } from '../utils/download.js';
+import { getPlatformAdapters, registerCustomSites } from '../content/platforms/index.js';
+import { getCustomSites } from '../utils/customSites.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('commands');
+
+// Sidebar entry that lists every command; '' is the "No folder" entry
+const ALL_FOLDERS = '*';
+
+// Line separating the steps of a prompt chain in the editor
+const STEP_SEPARATOR = '---';
+
+let commands = [];
+let activeFolder = ALL_FOLDERS;
+let editingCommandId = null;
+let draggedCommandId = null;
+
+/**
+ * Initialize the command manager
+ */
+async function initCommandsPage() {
+  try {
+    commands = await getCommands();
+
+    // Custom sites can be chosen for per-platform visibility too
+    registerCustomSites(await getCustomSites());
+    populateFormOptions();
+    renderAll();
+    editCommand(null);
+
+    document.getElementById('command-search').addEventListener('input', renderCommandList);
+    document.getElementById('new-command-button').addEventListener('click', () => editCommand(null));
+    document.getElementById('command-form').addEventListener('submit', handleSave);
+    document.getElementById('delete-command-button').addEventListener('click', deleteEditedCommand);
+    document.getElementById('command-text').addEventListener('input', updateVariableHint);
+    document.getElementById('command-kind').addEventListener('change', updateVariableHint);
+    document.getElementById('export-button').addEventListener('click', exportCommands);
+    document.getElementById('import-button').addEventListener('click', () => {
+      document.getElementById('import-file').click();
+    });
+    document.getElementById('import-file').addEventListener('change', importCommandPack);
+
+    // Pick up commands added from the command bar in a chatbot tab
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const newCommands = changes[COMMANDS_KEY]?.newValue;
+      if (areaName === 'local' && newCommands && JSON.stringify(newCommands) !== JSON.stringify(commands)) {
+        commands = newCommands;
+        renderAll();
+      }
+    });
+  } catch (error) {
+    log.error('Error initializing command manager:', error.message);
+    showStatus('Could not load commands');
+  }
+}
+
+/**
+ * Fill the insert mode and platform choices in the editor
+ */
+function populateFormOptions() {
+  const insertModeSelect = document.getElementById('command-insert-mode');
+  Object.entries(INSERT_MODES).forEach(([mode, label]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    insertModeSelect.appendChild(option);
+  });
+
+  const platformList = document.getElementById('command-platforms');
+  getPlatformAdapters().forEach(adapter => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = adapter.id;
+    label.append(checkbox, ` ${adapter.name}`);
+    platformList.appendChild(label);
+  });
+}
+
+/**
+ * Render the folders and the command list
+ */
+function renderAll() {
+  renderFolderList();
+  renderCommandList();
+}
+
+/**
+ * Get the folder names in use, sorted
+ * @returns {Array<string>} The folder names
+ */
+function getFolders() {
+  return [...new Set(commands.map(command => command.folder).filter(Boolean))].sort();
+}
+
+/**
+ * Render the folder sidebar; folders accept dropped commands
+ */
+function renderFolderList() {
+  const list = document.getElementById('folder-list');
+  list.innerHTML = '';
+
+  const folders = getFolders();
+  if (activeFolder !== ALL_FOLDERS && activeFolder !== '' && !folders.includes(activeFolder)) {
+    activeFolder = ALL_FOLDERS;
+  }
+
+  const entries = [
+    { folder: ALL_FOLDERS, label: 'All commands', count: commands.length },
+    ...folders.map(folder => ({
+      folder,
+      label: folder,
+      count: commands.filter(command => command.folder === folder).length
+    })),
+    { folder: '', label: 'No folder', count: commands.filter(command => !command.folder).length }
+  ];
+
+  entries.forEach(({ folder, label, count }) => {
+    const item = document.createElement('div');
+    item.className = 'folder-item';
+    item.classList.toggle('active', folder === activeFolder);
+
+    const name = document.createElement('span');
+    name.textContent = label;
+    const countLabel = document.createElement('span');
+    countLabel.className = 'folder-item-count';
+    countLabel.textContent = count;
+    item.append(name, countLabel);
+
+    item.addEventListener('click', () => {
+      activeFolder = folder;
+      renderAll();
+    });
+
+    // Dropping a command on a folder moves it there
+    if (folder !== ALL_FOLDERS) {
+      item.addEventListener('dragover', (event) => {
+        if (draggedCommandId) {
+          event.preventDefault();
+          item.classList.add('drop-target');
+        }
+      });
+      item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+      item.addEventListener('drop', (event) => {
+        event.preventDefault();
+        item.classList.remove('drop-target');
+        moveCommandToFolder(draggedCommandId, folder);
+      });
+    }
+
+    list.appendChild(item);
+  });
+
+  const folderOptions = document.getElementById('folder-options');
+  folderOptions.innerHTML = '';
+  folders.forEach(folder => {
+    const option = document.createElement('option');
+    option.value = folder;
+    folderOptions.appendChild(option);
+  });
+}
+
+/**
+ * Get the commands in the active folder that match the search
+ * @returns {Array<object>} The commands in library order
+ */
+function getVisibleCommands() {
+  const query = document.getElementById('command-search').value.trim().toLowerCase();
+
+  return commands.filter(command =>
+    (activeFolder === ALL_FOLDERS || command.folder === activeFolder) &&
+    (!query || `${command.name}\n${command.text}`.toLowerCase().includes(query))
+  );
+}
+
+/**
+ * Render the command list; rows can be dragged to reorder them
+ */
+function renderCommandList() {
+  const list = document.getElementById('command-list');
+  list.innerHTML = '';
+
+  const visibleCommands = getVisibleCommands();
+  if (visibleCommands.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'commands-placeholder';
+    empty.textContent = commands.length === 0 ? 'No commands yet.' : 'No commands here.';
+    list.appendChild(empty);
+    return;
+  }
+
+  const platformNames = new Map(getPlatformAdapters().map(adapter => [adapter.id, adapter.name]));
+
+  visibleCommands.forEach(command => {
+    const row = document.createElement('li');
+    row.className = 'command-row';
+    row.classList.toggle('active', command.id === editingCommandId);
+    row.draggable = true;
+
+    const handle = document.createElement('span');
+    handle.className = 'command-row-handle';
+    handle.textContent = '⋮⋮';
+    handle.setAttribute('aria-hidden', 'true');
+
+    const details = document.createElement('div');
+    details.className = 'command-row-details';
+
+    const name = document.createElement('div');
+    name.textContent = command.name;
+
+    const meta = document.createElement('div');
+    meta.className = 'command-row-meta';
+    const platforms = command.platforms.length > 0
+      ? command.platforms.map(platform => platformNames.get(platform) || platform).join(', ')
+      : 'All platforms';
+    const mode = isPromptChain(command) ? `Chain · ${command.steps.length} steps` : INSERT_MODES[command.insertMode];
+    meta.textContent = [command.folder, platforms, mode].filter(Boolean).join(' · ');
+
+    const text = document.createElement('div');
+    text.className = 'command-row-text';
+    text.textContent = command.text;
+
+    details.append(name, meta, text);
+    row.append(handle, details);
+    row.addEventListener('click', () => editCommand(command));
+
+    row.addEventListener('dragstart', (event) => {
+      draggedCommandId = command.id;
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', command.id);
+      row.classList.add('dragging');
+    });
+    row.addEventListener('dragend', () => {
+      draggedCommandId = null;
+      row.classList.remove('dragging');
+    });
+    row.addEventListener('dragover', (event) => {
+      if (!draggedCommandId || draggedCommandId === command.id) {
+        return;
+      }
+      event.preventDefault();
+      const after = isLowerHalf(row, event);
+      row.classList.toggle('drop-before', !after);
+      row.classList.toggle('drop-after', after);
+    });
+    row.addEventListener('dragleave', () => row.classList.remove('drop-before', 'drop-after'));
+    row.addEventListener('drop', (event) => {
+      event.preventDefault();
+      row.classList.remove('drop-before', 'drop-after');
+      reorderCommand(draggedCommandId, command.id, isLowerHalf(row, event));
+    });
+
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Check whether the pointer is over the lower half of an element
+ * @param {HTMLElement} element - The element
+ * @param {DragEvent} event - The drag event
+ * @returns {boolean} Whether the pointer is in the lower half
+ */
+function isLowerHalf(element, event) {
+  const rect = element.getBoundingClientRect();
+  return event.clientY > rect.top + rect.height / 2;
+}
+
+/**
+ * Move a command next to another one in the library order
+ * @param {string} commandId - The dragged command
+ * @param {string} targetId - The command it was dropped on
+ * @param {boolean} after - Whether to place it after the target
+ */
+async function reorderCommand(commandId, targetId, after) {
+  const command = commands.find(candidate => candidate.id === commandId);
+  if (!command || commandId === targetId) {
+    return;
+  }
+
+  const reordered = commands.filter(candidate => candidate.id !== commandId);
+  const targetIndex = reordered.findIndex(candidate => candidate.id === targetId);
+  reordered.splice(after ? targetIndex + 1 : targetIndex, 0, command);
+
+  const previousCommands = commands;
+  commands = reordered;
+  renderCommandList();
+  await persistCommands(previousCommands);
+}
+
+/**
+ * Move a command into a folder
+ * @param {string} commandId - The dragged command
+ * @param {string} folder - The folder name, or '' for none
+ */
+async function moveCommandToFolder(commandId, folder) {
+  const command = commands.find(candidate => candidate.id === commandId);
+  if (!command || command.folder === folder) {
+    return;
+  }
+
+  const previousCommands = commands;
+  commands = commands.map(candidate => candidate.id === commandId ? { ...candidate, folder } : candidate);
+  renderAll();
+  await persistCommands(previousCommands, folder ? `Moved ${command.name} to ${folder}` : `Removed ${command.name} from its folder`);
+}
+
+/**
+ * Show a command in the editor, or an empty editor for a new command
+ * @param {object|null} command - The command to edit, or null to add one
+ */
+function editCommand(command) {
+  editingCommandId = command?.id || null;
+
+  document.getElementById('command-form-title').textContent = command ? `Edit ${command.name}` : 'New command';
+  document.getElementById('command-name').value = command?.name || '';
+  document.getElementById('command-kind').value = command && isPromptChain(command) ? 'chain' : 'single';
+  document.getElementById('command-text').value = command && isPromptChain(command)
+    ? command.steps.join(`\n${STEP_SEPARATOR}\n`)
+    : command?.text || '';
+  document.getElementById('command-insert-mode').value = command?.insertMode || 'replace';
+  document.getElementById('command-folder').value = command
+    ? command.folder
+    : (activeFolder === ALL_FOLDERS ? '' : activeFolder);
+  document.querySelectorAll('#command-platforms input').forEach(checkbox => {
+    checkbox.checked = Boolean(command?.platforms.includes(checkbox.value));
+  });
+  document.getElementById('delete-command-button').disabled = !command;
+
+  updateVariableHint();
+  renderCommandList();
+}
+
+/**
+ * Split the editor text into chain steps at separator lines
+ * @param {string} text - The editor text
+ * @returns {Array<string>} The non-empty steps
+ */
+function splitSteps(text) {
+  return text
+    .split(new RegExp(`^\\s*${STEP_SEPARATOR}\\s*$`, 'm'))
+    .map(step => step.trim())
+    .filter(Boolean);
+}
+
+/**
+ * List the variables the edited text will ask for, and the steps of a chain
+ */
+function updateVariableHint() {
+  const text = document.getElementById('command-text').value;
+  const isChain = document.getElementById('command-kind').value === 'chain';
+  const variables = getTemplateVariables(text);
+  const hints = [];
+
+  if (isChain) {
+    hints.push(`${splitSteps(text).length} steps`);
+  }
+  if (variables.length > 0) {
+    hints.push(`Asks for: ${variables.join(', ')}`);
+  }
+
+  document.getElementById('command-variables').textContent = hints.join(' · ');
+  document.getElementById('command-insert-mode').disabled = isChain;
+  document.getElementById('command-chain-hint').hidden = !isChain;
+}
+
+/**
+ * Save the command in the editor
+ * @param {SubmitEvent} event - The form submission
+ */
+async function handleSave(event) {
+  event.preventDefault();
+
+  const text = document.getElementById('command-text').value;
+  const isChain = document.getElementById('command-kind').value === 'chain';
+  const command = normalizeCommand({
+    id: editingCommandId || createCommandId(),
+    name: document.getElementById('command-name').value,
+    text,
+    steps: isChain ? splitSteps(text) : [],
+    insertMode: document.getElementById('command-insert-mode').value,
+    folder: document.getElementById('command-folder').value,
+    platforms: Array.from(document.querySelectorAll('#command-platforms input:checked'), checkbox => checkbox.value)
+  });
+
+  if (!command || !command.text.trim()) {
+    showStatus('A command needs a name and text');
+    return;
+  }
+
+  if (isChain && command.steps.length < 2) {
+    showStatus(`A chain needs at least two steps separated by a ${STEP_SEPARATOR} line`);
+    return;
+  }
+
+  // Edits replace the command with the same ID in place
+  const exists = commands.some(candidate => candidate.id === command.id);
+  const previousCommands = commands;
+  commands = exists
+    ? commands.map(candidate => candidate.id === command.id ? command : candidate)
+    : [...commands, command];
+
+  editingCommandId = command.id;
+  renderAll();
+  editCommand(command);
+  await persistCommands(previousCommands, `Saved ${command.name}`);
+}
+
+/**
+ * Delete the command in the editor after confirmation
+ */
+async function deleteEditedCommand() {
+  const command = commands.find(candidate => candidate.id === editingCommandId);
+  if (!command || !confirm(`Delete the command "${command.name}"?`)) {
+    return;
+  }
+
+  const previousCommands = commands;
+  commands = commands.filter(candidate => candidate.id !== command.id);
+  editCommand(null);
+  renderAll();
+  await persistCommands(previousCommands, `Deleted ${command.name}`);
+}
+
+/**
+ * Download the commands in the selected folder as a command pack
+ */
+function exportCommands() {
+  const exported = activeFolder === ALL_FOLDERS
+    ? commands
+    : commands.filter(command => command.folder === activeFolder);
+
+  if (exported.length === 0) {
+    showStatus('There are no commands to export');
+    return;
+  }
+
+  const folderSuffix = activeFolder && activeFolder !== ALL_FOLDERS
+    ? `-${activeFolder.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`
+    : '';
+  downloadFile(
+    `chatbot-enhancer-commands${folderSuffix}.json`,
+    new Blob([buildCommandPack(exported)], { type: 'application/json' })
+  );
+  showStatus(`Exported ${exported.length} command${exported.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Import the chosen command pack file
+ * @param {Event} event - The file input change event
+ */
+async function importCommandPack(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) {
+    return;
+  }
+
+  try {
+    const result = mergeCommandPack(commands, await file.text());
+    if (result.error) {
+      showStatus(`Import failed: ${result.error}`);
+      return;
+    }
+
+    const previousCommands = commands;
+    commands = result.commands;
+    renderAll();
+    const report = `Imported ${file.name}: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`;
+    if (await persistCommands(previousCommands, report)) {
+      log(`Imported command pack ${file.name}`);
+    }
+  } catch (error) {
+    log.error('Failed to import command pack:', error.message);
+    showStatus(`Import failed: ${error.message}`);
+  }
+}
+
+/**
+ * Save the command library; open tabs pick it up from storage. If the save
+ * fails, the library goes back to how it was before the change.
+ * @param {Array<object>} previousCommands - The library before the change
+ * @param {string} [message] - Status to show once saved
+ * @returns {Promise<boolean>} Whether the commands were saved
+ */
+async function persistCommands(previousCommands, message) {
+  if (!await saveCommands(commands)) {
+    commands = previousCommands;
+    renderAll();
+    showStatus('Could not save commands');
+    return false;
+  }
+
+  if (message) {
+    showStatus(message);
+  }
+  return true;
+}
+
+/**
+ * Show a status message at the top of the page
+ * @param {string} message - The message to show
+ */
+function showStatus(message) {
+  document.getElementById('commands-status').textContent = message;
+}
+
+document.addEventListener('DOMContentLoaded', initCommandsPage);
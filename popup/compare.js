@@ -0,0 +1,242 @@
+// Comparison page: answers to a broadcast prompt side by side, with code blocks diffed
+import { getCustomSites } from '../utils/customSites.js';
+import { diffLines, countChanges, createDiffLine } from '../utils/diff.js';
+import { getPlatformAdapter, registerCustomSites } from '../content/platforms/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('compare');
+
+// Labels for the state of each tab's response
+const RESPONSE_STATES = {
+  pending: 'Waiting for the answer…',
+  done: 'Finished',
+  failed: 'Failed'
+};
+
+let broadcasts = [];
+let activeBroadcastId = null;
+
+// Tab whose code blocks the others are diffed against
+let baselineTabId = null;
+
+/**
+ * Initialize the comparison page
+ */
+async function initComparePage() {
+  try {
+    registerCustomSites(await getCustomSites());
+
+    activeBroadcastId = new URLSearchParams(window.location.search).get('id');
+    await loadBroadcasts();
+
+    document.getElementById('broadcast-select').addEventListener('change', (event) => {
+      activeBroadcastId = event.target.value;
+      baselineTabId = null;
+      render();
+    });
+    document.getElementById('baseline-select').addEventListener('change', (event) => {
+      baselineTabId = Number(event.target.value);
+      renderResponses();
+    });
+
+    // Responses are stored by the background as each tab finishes
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.broadcasts) {
+        loadBroadcasts();
+      }
+    });
+  } catch (error) {
+    log.error('Error initializing comparison page:', error.message);
+    showStatus('Could not load the answers');
+  }
+}
+
+/**
+ * Read the stored broadcasts and show the selected one
+ */
+async function loadBroadcasts() {
+  const data = await chrome.storage.local.get('broadcasts');
+  broadcasts = data.broadcasts || [];
+
+  if (!broadcasts.some(broadcast => broadcast.id === activeBroadcastId)) {
+    activeBroadcastId = broadcasts[broadcasts.length - 1]?.id || null;
+  }
+  render();
+}
+
+/**
+ * Get the broadcast being shown
+ * @returns {object|undefined} The broadcast
+ */
+function getActiveBroadcast() {
+  return broadcasts.find(broadcast => broadcast.id === activeBroadcastId);
+}
+
+/**
+ * Get a display name for a tab's chatbot
+ * @param {object} entry - The tab's entry in the broadcast
+ * @returns {string} The platform name
+ */
+function getPlatformName(entry) {
+  return getPlatformAdapter(entry.platform)?.name || entry.platform || 'Unknown';
+}
+
+/**
+ * Render the prompt picker, baseline picker and answers
+ */
+function render() {
+  const broadcastSelect = document.getElementById('broadcast-select');
+  broadcastSelect.innerHTML = '';
+  [...broadcasts].reverse().forEach(broadcast => {
+    const option = document.createElement('option');
+    option.value = broadcast.id;
+    option.textContent = `${new Date(broadcast.timestamp).toLocaleTimeString()} · ${broadcast.prompt.slice(0, 60)}`;
+    broadcastSelect.appendChild(option);
+  });
+  broadcastSelect.value = activeBroadcastId || '';
+
+  const broadcast = getActiveBroadcast();
+  document.getElementById('broadcast-prompt').textContent = broadcast?.prompt || '';
+  showStatus(broadcast ? '' : 'No prompts have been sent to all tabs yet. Use "Ask all tabs" in the command bar or the popup.');
+
+  renderBaselineOptions(broadcast);
+  renderResponses();
+}
+
+/**
+ * List the finished answers that code can be compared with
+ * @param {object|undefined} broadcast - The broadcast being shown
+ */
+function renderBaselineOptions(broadcast) {
+  const finished = (broadcast?.responses || []).filter(entry => entry.status === 'done');
+  if (!finished.some(entry => entry.tabId === baselineTabId)) {
+    baselineTabId = finished[0]?.tabId ?? null;
+  }
+
+  const baselineSelect = document.getElementById('baseline-select');
+  baselineSelect.innerHTML = '';
+  finished.forEach(entry => {
+    const option = document.createElement('option');
+    option.value = entry.tabId;
+    option.textContent = getPlatformName(entry);
+    baselineSelect.appendChild(option);
+  });
+  baselineSelect.value = baselineTabId ?? '';
+  baselineSelect.disabled = finished.length < 2;
+}
+
+/**
+ * Render one column per tab that received the prompt
+ */
+function renderResponses() {
+  const container = document.getElementById('response-columns');
+  container.innerHTML = '';
+
+  const broadcast = getActiveBroadcast();
+  if (!broadcast) {
+    return;
+  }
+
+  const baseline = broadcast.responses.find(entry => entry.tabId === baselineTabId);
+  broadcast.responses.forEach(entry => {
+    container.appendChild(createResponseColumn(entry, entry === baseline ? null : baseline));
+  });
+}
+
+/**
+ * Create the column for one tab's answer
+ * @param {object} entry - The tab's entry in the broadcast
+ * @param {object|null} baseline - The answer to diff code blocks against, or null
+ * @returns {HTMLElement} The column
+ */
+function createResponseColumn(entry, baseline) {
+  const column = document.createElement('section');
+  column.className = 'response-column';
+
+  const header = document.createElement('header');
+  header.className = 'response-column-header';
+
+  const name = document.createElement('h2');
+  name.textContent = getPlatformName(entry);
+
+  const title = document.createElement('span');
+  title.className = 'response-column-title';
+  title.textContent = entry.title || entry.url || '';
+  title.title = entry.url || '';
+
+  const state = document.createElement('span');
+  state.className = `response-state ${entry.status}`;
+  state.textContent = entry.status === 'failed' && entry.error
+    ? `${RESPONSE_STATES.failed}: ${entry.error}`
+    : RESPONSE_STATES[entry.status];
+
+  const openButton = document.createElement('button');
+  openButton.type = 'button';
+  openButton.textContent = 'Open tab';
+  openButton.addEventListener('click', () => {
+    chrome.tabs.update(entry.tabId, { active: true }).catch(() => showStatus('That tab has been closed'));
+  });
+
+  header.append(name, title, state, openButton);
+  column.appendChild(header);
+
+  if (entry.response) {
+    const text = document.createElement('div');
+    text.className = 'response-text';
+    text.textContent = entry.response.text;
+    column.appendChild(text);
+
+    entry.response.codeBlocks.forEach((block, index) => {
+      column.appendChild(createCodeBlock(block, index, baseline?.response?.codeBlocks[index], baseline));
+    });
+  }
+
+  return column;
+}
+
+/**
+ * Create a code block, marking the lines that differ from the baseline's block at the same position
+ * @param {object} block - The code block
+ * @param {number} index - Its position in the answer
+ * @param {object|undefined} baselineBlock - The baseline's block at the same position
+ * @param {object|null} baseline - The baseline answer
+ * @returns {HTMLElement} The code block
+ */
+function createCodeBlock(block, index, baselineBlock, baseline) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'response-code';
+
+  const header = document.createElement('div');
+  header.className = 'response-code-header';
+
+  const pre = document.createElement('pre');
+  const lines = baselineBlock
+    ? diffLines(baselineBlock.code, block.code)
+    : block.code.split('\n').map(text => ({ type: 'equal', text }));
+
+  // Without a baseline every line is unchanged, so there is nothing to mark
+  lines.forEach(line => pre.appendChild(createDiffLine(line, { marker: Boolean(baselineBlock) })));
+
+  const label = [`Code block ${index + 1}`, block.language].filter(Boolean).join(' · ');
+  if (baselineBlock) {
+    const { inserted, deleted } = countChanges(lines);
+    header.textContent = inserted || deleted
+      ? `${label} · +${inserted} −${deleted} compared with ${getPlatformName(baseline)}`
+      : `${label} · same as ${getPlatformName(baseline)}`;
+  } else {
+    header.textContent = label;
+  }
+
+  wrapper.append(header, pre);
+  return wrapper;
+}
+
+/**
+ * Show a status message at the top of the page
+ * @param {string} message - The message to show
+ */
+function showStatus(message) {
+  document.getElementById('compare-status').textContent = message;
+}
+
+document.addEventListener('DOMContentLoaded', initComparePage);
@@ -0,0 +1,234 @@
+// Popup control panel for feature toggles, theme and retention settings
+import { getSettings, saveSettings, broadcastPrompt } from '../utils/storage.js';
+import { THEME_OPTIONS } from '../utils/settingsSchema.js';
+import { getPlatformAdapters, registerCustomSites } from '../content/platforms/index.js';
+import { createLogger, buildDiagnostics } from '../utils/logger.js';
+import { shortcutFromEvent } from '../utils/shortcuts.js';
+import { getCustomSites } from '../utils/customSites.js';
+
+const log = createLogger('popup');
+
+/**
+ * Initialize the popup
+ */
+async function initPopup() {
+  try {
+    const [settings, customSites] = await Promise.all([getSettings(), getCustomSites()]);
+    populateThemeOptions(customSites);
+    document.querySelectorAll('[data-setting]').forEach(control => {
+      setControlValue(control, getSettingValue(settings, control.dataset.setting));
+      control.addEventListener('change', () => handleSettingChange(control));
+    });
+
+    document.getElementById('view-sessions-button').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('popup/sessions.html') });
+    });
+
+    document.getElementById('manage-commands-button').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('popup/commands.html') });
+    });
+
+    document.getElementById('manage-themes-button').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('popup/themes.html') });
+    });
+
+    document.getElementById('manage-sites-button').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('popup/sites.html') });
+    });
+
+    document.getElementById('shortcut-input').addEventListener('keydown', recordShortcut);
+
+    document.getElementById('broadcast-button').addEventListener('click', sendToAllTabs);
+
+    document.getElementById('copy-diagnostics-button').addEventListener('click', copyDiagnostics);
+  } catch (error) {
+    log.error('Error initializing popup:', error.message);
+    showStatus('Could not load settings');
+  }
+}
+
+/**
+ * Fill the theme pickers with the available themes, and add a picker for
+ * every platform so it can use a theme of its own
+ * @param {Array<object>} customSites - The custom sites, which get a picker too
+ */
+function populateThemeOptions(customSites) {
+  registerCustomSites(customSites);
+  const platformList = document.getElementById('platform-theme-list');
+  getPlatformAdapters().forEach(adapter => {
+    const row = document.createElement('label');
+    row.className = 'toggle-row';
+
+    const name = document.createElement('span');
+    name.textContent = adapter.name;
+
+    const select = document.createElement('select');
+    select.className = 'theme-options';
+    select.dataset.setting = `platformThemes.${adapter.id}`;
+    select.appendChild(new Option('Same as other sites', ''));
+
+    row.append(name, select);
+    platformList.appendChild(row);
+  });
+
+  document.querySelectorAll('.theme-options').forEach(themeSelect => {
+    THEME_OPTIONS.forEach(theme => {
+      const option = document.createElement('option');
+      option.value = theme;
+      option.textContent = theme === 'auto'
+        ? 'Auto (follow system)'
+        : theme.charAt(0).toUpperCase() + theme.slice(1).replace('-', ' ');
+      themeSelect.appendChild(option);
+    });
+  });
+}
+
+/**
+ * Read a possibly nested setting, e.g. 'sessionRecording.enabled'
+ * @param {object} settings - The settings object
+ * @param {string} path - The dot-separated setting path
+ * @returns {*} The setting value
+ */
+function getSettingValue(settings, path) {
+  return path.split('.').reduce((value, key) => value?.[key], settings);
+}
+
+/**
+ * Build a partial settings object for a dot-separated path
+ * @param {string} path - The dot-separated setting path
+ * @param {*} value - The new value
+ * @returns {object} The partial settings
+ */
+function buildSettingsPatch(path, value) {
+  return path.split('.').reduceRight((patch, key) => ({ [key]: patch }), value);
+}
+
+/**
+ * Show a setting value in its control
+ * @param {HTMLElement} control - The input or select element
+ * @param {*} value - The setting value
+ */
+function setControlValue(control, value) {
+  if (control.type === 'checkbox') {
+    control.checked = Boolean(value);
+  } else {
+    control.value = value ?? '';
+  }
+}
+
+/**
+ * Read the value of a control as a setting value
+ * @param {HTMLElement} control - The input or select element
+ * @returns {*} The setting value, or undefined if the input is invalid
+ */
+function getControlValue(control) {
+  if (control.type === 'checkbox') {
+    return control.checked;
+  }
+  if (control.type === 'number') {
+    const number = parseInt(control.value, 10);
+    return Number.isInteger(number) && number > 0 ? number : undefined;
+  }
+  return control.value;
+}
+
+/**
+ * Save a changed setting; the background applies it to open tabs
+ * @param {HTMLElement} control - The changed control
+ */
+async function handleSettingChange(control) {
+  const value = getControlValue(control);
+  if (value === undefined) {
+    showStatus('Please enter a positive number');
+    return;
+  }
+
+  const saved = await saveSettings(buildSettingsPatch(control.dataset.setting, value));
+  showStatus(saved ? 'Saved' : 'Could not save settings');
+}
+
+/**
+ * Record the pressed key combination as the new command bar shortcut
+ * @param {KeyboardEvent} event - The keydown event on the shortcut field
+ */
+function recordShortcut(event) {
+  // Let Tab move focus as usual
+  if (event.key === 'Tab') {
+    return;
+  }
+  event.preventDefault();
+
+  const shortcut = shortcutFromEvent(event);
+  if (!shortcut) {
+    return;
+  }
+  if (!/(^|\+)(Ctrl|Alt|Meta)\+/.test(shortcut) && !/^F\d+$/.test(shortcut)) {
+    showStatus('Use Ctrl, Alt or Meta with another key');
+    return;
+  }
+
+  const input = event.currentTarget;
+  if (input.value !== shortcut) {
+    input.value = shortcut;
+    input.dispatchEvent(new Event('change'));
+  }
+}
+
+/**
+ * Send the typed prompt to every open chatbot tab; the background opens the comparison page
+ */
+async function sendToAllTabs() {
+  const input = document.getElementById('broadcast-input');
+  const prompt = input.value.trim();
+  if (!prompt) {
+    showStatus('Type a prompt to send');
+    return;
+  }
+
+  const response = await broadcastPrompt(prompt);
+  if (response?.success) {
+    input.value = '';
+    showStatus(`Sent to ${response.broadcast.responses.length} tab(s)`);
+  } else {
+    showStatus(response?.error || 'Could not send the prompt');
+  }
+}
+
+/**
+ * Copy a diagnostics bundle for the active tab to the clipboard
+ */
+async function copyDiagnostics() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    // Prefer the page's own bundle, which includes the detected platform
+    let diagnostics = null;
+    if (tab?.id) {
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_DIAGNOSTICS' }).catch(() => null);
+      diagnostics = response?.success ? response.diagnostics : null;
+    }
+    diagnostics = diagnostics || await buildDiagnostics(null);
+
+    await navigator.clipboard.writeText(JSON.stringify(diagnostics, null, 2));
+    showStatus('Diagnostics copied to clipboard');
+  } catch (error) {
+    log.error('Failed to copy diagnostics:', error.message);
+    showStatus('Could not copy diagnostics');
+  }
+}
+
+/**
+ * Show a short status message
+ * @param {string} message - The message to show
+ */
+function showStatus(message) {
+  const status = document.getElementById('popup-status');
+  status.textContent = message;
+  setTimeout(() => {
+    if (status.textContent === message) {
+      status.textContent = '';
+    }
+  }, 2000);
+}
+
+document.addEventListener('DOMContentLoaded', initPopup);
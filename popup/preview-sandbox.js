@@ -0,0 +1,16 @@
+// Sandboxed page that renders a preview document. It is listed under
+// "sandbox" in the manifest, so it has an opaque origin, no extension APIs,
+// and a policy that lets the previewed code run inline scripts.
+
+window.addEventListener('message', (event) => {
+  if (event.source !== window.parent || event.data?.type !== 'RENDER_PREVIEW') {
+    return;
+  }
+
+  // Replaces this page, listener included; the preview page reloads the frame to render again
+  document.open();
+  document.write(event.data.html);
+  document.close();
+});
+
+window.parent.postMessage({ type: 'PREVIEW_READY' }, '*');
@@ -0,0 +1,71 @@
+// Preview page: renders HTML, CSS and JavaScript from a code block in a sandboxed frame
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('preview');
+
+let preview = null;
+
+/**
+ * Initialize the preview page
+ */
+async function initPreviewPage() {
+  try {
+    const id = new URLSearchParams(window.location.search).get('id');
+    const data = id ? await chrome.storage.session.get(id) : {};
+    preview = data[id];
+    if (id) {
+      // Only this page reads the preview; the reload button renders it from memory
+      await chrome.storage.session.remove(id);
+    }
+    if (!preview) {
+      showStatus('This preview is no longer available. Open it again from the code block.');
+      return;
+    }
+
+    if (preview.title) {
+      document.getElementById('preview-title').textContent = preview.title;
+      document.title = `${preview.title} - Chatbot Enhancer`;
+    }
+    document.getElementById('preview-source').textContent = preview.html;
+
+    const frame = document.getElementById('preview-frame');
+    window.addEventListener('message', (event) => {
+      if (event.source === frame.contentWindow && event.data?.type === 'PREVIEW_READY') {
+        // The sandbox has an opaque origin, so it can't be targeted by name
+        frame.contentWindow.postMessage({ type: 'RENDER_PREVIEW', html: preview.html }, '*');
+      }
+    });
+    // Load the sandbox only once it can be answered
+    frame.src = 'preview-sandbox.html';
+
+    document.getElementById('reload-button').addEventListener('click', () => {
+      frame.src = 'preview-sandbox.html';
+    });
+    document.getElementById('source-button').addEventListener('click', toggleSource);
+  } catch (error) {
+    log.error('Error initializing preview page:', error.message);
+    showStatus('Could not load the preview');
+  }
+}
+
+/**
+ * Switch between the rendered preview and its source
+ */
+function toggleSource() {
+  const button = document.getElementById('source-button');
+  const showSource = button.getAttribute('aria-pressed') !== 'true';
+  button.setAttribute('aria-pressed', String(showSource));
+  button.textContent = showSource ? 'Show preview' : 'Show source';
+  document.getElementById('preview-source').hidden = !showSource;
+  document.getElementById('preview-frame').hidden = showSource;
+}
+
+/**
+ * Show a status message at the top of the page
+ * @param {string} message - The message to show
+ */
+function showStatus(message) {
+  document.getElementById('preview-status').textContent = message;
+}
+
+document.addEventListener('DOMContentLoaded', initPreviewPage);
@@ -0,0 +1,281 @@
+// Save window: writes a code block to a file in a local project folder after showing the diff
+import { diffLines, countChanges, createDiffLine } from '../utils/diff.js';
+import { splitProjectPath } from '../utils/codeBlocks.js';
+import {
+  saveDirectoryHandle,
+  getDirectoryHandle,
+  findDirectoryHandleId,
+  ensureDirectoryAccess
+} from '../utils/directoryHandles.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('saveToProject');
+
+// Per conversation, in chrome.storage.local: the folder used and the path each suggested file name was saved to
+const PROJECT_MAPPINGS_KEY = 'projectMappings';
+const LAST_DIRECTORY_KEY = 'lastProjectDirectory';
+const MAX_PROJECT_MAPPINGS = 200;
+
+// Wait for typing to pause before reading the file again
+const DIFF_DELAY = 300;
+
+let request = null;
+let content = '';
+let directoryId = null;
+let directory = null;
+let diffTimer = null;
+
+// The file the shown diff was computed from: its path and text, null if it didn't exist
+let diffedFile = null;
+
+/**
+ * Initialize the save window
+ */
+async function initSavePage() {
+  try {
+    const id = new URLSearchParams(window.location.search).get('id');
+    const data = id ? await chrome.storage.session.get(id) : {};
+    request = data[id];
+    if (id) {
+      // Only this window reads the code block
+      await chrome.storage.session.remove(id);
+    }
+    if (!request) {
+      showStatus('This code block is no longer available. Use "Save to project" on it again.', true);
+      return;
+    }
+
+    // Files end with a newline; code blocks usually don't
+    content = request.code.endsWith('\n') ? request.code : `${request.code}\n`;
+    document.getElementById('save-conversation').textContent = request.title;
+
+    if (!window.showDirectoryPicker) {
+      showStatus('This browser can\'t save to local folders.', true);
+      document.getElementById('choose-folder-button').disabled = true;
+      return;
+    }
+
+    const mapping = await getProjectMapping(request.conversation);
+    const { [LAST_DIRECTORY_KEY]: lastDirectoryId } = await chrome.storage.local.get(LAST_DIRECTORY_KEY);
+    directoryId = mapping?.directoryId || lastDirectoryId || null;
+    directory = directoryId ? await getDirectoryHandle(directoryId) : null;
+
+    const filePath = document.getElementById('file-path');
+    filePath.value = mapping?.files[request.fileName] || request.fileName;
+    filePath.addEventListener('input', () => {
+      clearTimeout(diffTimer);
+      diffTimer = setTimeout(refreshDiff, DIFF_DELAY);
+    });
+
+    document.getElementById('choose-folder-button').addEventListener('click', chooseFolder);
+    document.getElementById('allow-access-button').addEventListener('click', async () => {
+      if (await ensureDirectoryAccess(directory)) {
+        refreshDiff();
+      }
+    });
+    document.getElementById('save-button').addEventListener('click', saveFile);
+    document.getElementById('cancel-button').addEventListener('click', () => window.close());
+
+    await refreshDiff();
+  } catch (error) {
+    log.error('Error initializing save window:', error.message);
+    showStatus('Could not load the code block', true);
+  }
+}
+
+/**
+ * Let the user pick the project folder
+ */
+async function chooseFolder() {
+  try {
+    const handle = await window.showDirectoryPicker({ id: 'chatbot-enhancer-project', mode: 'readwrite' });
+    directoryId = await findDirectoryHandleId(handle) || `directory-${Date.now()}`;
+    directory = handle;
+    await saveDirectoryHandle(directoryId, handle);
+    await refreshDiff();
+  } catch (error) {
+    // Closing the picker isn't an error
+    if (error.name !== 'AbortError') {
+      log.error('Error choosing folder:', error.message);
+      showStatus(`Could not open the folder: ${error.message}`, true);
+    }
+  }
+}
+
+/**
+ * Show the chosen folder and the diff between the file on disk and the code block
+ */
+async function refreshDiff() {
+  const saveButton = document.getElementById('save-button');
+  const allowButton = document.getElementById('allow-access-button');
+  document.getElementById('folder-name').textContent = directory ? directory.name : 'No folder chosen';
+  saveButton.disabled = true;
+  allowButton.hidden = true;
+  diffedFile = null;
+  showStatus('');
+
+  const parts = splitProjectPath(document.getElementById('file-path').value);
+  if (!directory) {
+    renderDiff(null, 'Choose the project folder to save the file in.');
+    return;
+  }
+  if (!parts) {
+    renderDiff(null, 'Enter a file path inside the project folder.');
+    return;
+  }
+
+  // Asking for access needs a click, so a remembered folder may need one first
+  if (!await ensureDirectoryAccess(directory, false)) {
+    allowButton.hidden = false;
+    renderDiff(null, `Allow access to ${directory.name} to compare with the file there.`);
+    return;
+  }
+
+  try {
+    const existing = await readProjectFile(parts);
+    diffedFile = { path: parts.join('/'), text: existing };
+    if (existing === null) {
+      renderDiff(content.split('\n').slice(0, -1).map(text => ({ type: 'insert', text })), 'New file');
+    } else if (existing === content) {
+      renderDiff(null, 'The file already has this content.');
+    } else {
+      const lines = diffLines(existing, content);
+      const { inserted, deleted } = countChanges(lines);
+      renderDiff(lines, `Replaces the existing file: +${inserted} −${deleted} lines`);
+    }
+    saveButton.disabled = existing === content;
+  } catch (error) {
+    log.error('Error reading file:', error.message);
+    renderDiff(null, `Could not read ${parts.join('/')}: ${error.message}`);
+  }
+}
+
+/**
+ * Render the diff, or only a summary
+ * @param {Array<object>|null} lines - Diff lines from diffLines, or null
+ * @param {string} summary - The summary above the lines
+ */
+function renderDiff(lines, summary) {
+  document.getElementById('diff-summary').textContent = summary;
+
+  const container = document.getElementById('diff-lines');
+  container.replaceChildren(...(lines || []).map(line => createDiffLine(line)));
+}
+
+/**
+ * Read a file in the project folder
+ * @param {Array<string>} parts - The path parts from splitProjectPath
+ * @returns {Promise<string|null>} The file's text, or null if it doesn't exist
+ */
+async function readProjectFile(parts) {
+  try {
+    const fileHandle = await getFileHandle(parts, false);
+    return await (await fileHandle.getFile()).text();
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a file handle in the project folder
+ * @param {Array<string>} parts - The path parts from splitProjectPath
+ * @param {boolean} create - Whether to create missing folders and the file
+ * @returns {Promise<FileSystemFileHandle>} The handle
+ */
+async function getFileHandle(parts, create) {
+  let folder = directory;
+  for (const name of parts.slice(0, -1)) {
+    folder = await folder.getDirectoryHandle(name, { create });
+  }
+  return folder.getFileHandle(parts[parts.length - 1], { create });
+}
+
+/**
+ * Write the code block to the chosen file and remember the folder and path
+ */
+async function saveFile() {
+  const parts = splitProjectPath(document.getElementById('file-path').value);
+  if (!directory || !parts) {
+    return;
+  }
+
+  const saveButton = document.getElementById('save-button');
+  saveButton.disabled = true;
+  try {
+    if (!await ensureDirectoryAccess(directory)) {
+      showStatus(`Access to ${directory.name} was not allowed.`, true);
+      saveButton.disabled = false;
+      return;
+    }
+
+    // Only write over what the user was shown; the file may have been edited since
+    const current = await readProjectFile(parts);
+    if (diffedFile?.path !== parts.join('/') || current !== diffedFile.text) {
+      await refreshDiff();
+      showStatus('The file changed since the diff was shown. Check the new diff and save again.', true);
+      return;
+    }
+
+    const writable = await (await getFileHandle(parts, true)).createWritable();
+    await writable.write(content);
+    await writable.close();
+
+    await rememberMapping(parts.join('/'));
+    showStatus(`Saved to ${directory.name}/${parts.join('/')}`);
+    setTimeout(() => window.close(), 1500);
+  } catch (error) {
+    log.error('Error saving file:', error.message);
+    showStatus(`Could not save the file: ${error.message}`, true);
+    saveButton.disabled = false;
+  }
+}
+
+/**
+ * Get the folder and file paths remembered for a conversation
+ * @param {string} conversation - The conversation key
+ * @returns {Promise<object|undefined>} The mapping: directoryId and files by suggested name
+ */
+async function getProjectMapping(conversation) {
+  const { [PROJECT_MAPPINGS_KEY]: mappings = {} } = await chrome.storage.local.get(PROJECT_MAPPINGS_KEY);
+  return mappings[conversation];
+}
+
+/**
+ * Remember the folder for this conversation and where its suggested file name was saved
+ * @param {string} path - The path the file was saved to
+ */
+async function rememberMapping(path) {
+  const { [PROJECT_MAPPINGS_KEY]: mappings = {} } = await chrome.storage.local.get(PROJECT_MAPPINGS_KEY);
+  const mapping = mappings[request.conversation] || { files: {} };
+
+  // Re-insert so the most recently used conversations are kept
+  delete mappings[request.conversation];
+  mappings[request.conversation] = {
+    directoryId,
+    files: request.fileName ? { ...mapping.files, [request.fileName]: path } : mapping.files,
+    updatedAt: new Date().toISOString()
+  };
+
+  const conversations = Object.keys(mappings);
+  conversations.slice(0, Math.max(0, conversations.length - MAX_PROJECT_MAPPINGS)).forEach(key => {
+    delete mappings[key];
+  });
+
+  await chrome.storage.local.set({ [PROJECT_MAPPINGS_KEY]: mappings, [LAST_DIRECTORY_KEY]: directoryId });
+}
+
+/**
+ * Show a status message at the top of the window
+ * @param {string} message - The message to show
+ * @param {boolean} [isError=false] - Whether the message reports a problem
+ */
+function showStatus(message, isError = false) {
+  const status = document.getElementById('save-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+document.addEventListener('DOMContentLoaded', initSavePage);
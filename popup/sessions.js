@@ -0,0 +1,402 @@
+// Session browser: list, search, replay and delete recorded sessions
+import { getSessions, deleteSessions } from '../utils/storage.js';
+import { sanitizeHTML, htmlToText } from '../utils/sanitize.js';
+import { EXPORT_FORMATS, exportSession, exportSessionsAsZip } from '../utils/sessionExport.js';
+import { importSessionsFromText } from '../utils/sessionImport.js';
+import { downloadFile } from '../utils/download.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('sessions');
+
+let sessions = [];
+let activeSessionId = null;
+const selectedSessionIds = new Set();
+
+// Plain text of every session, built once for full-text search
+const searchIndex = new Map();
+
+/**
+ * Initialize the sessions page
+ */
+async function initSessionsPage() {
+  try {
+    await loadSessions();
+
+    document.getElementById('session-search').addEventListener('input', renderSessionList);
+    document.getElementById('platform-filter').addEventListener('change', renderSessionList);
+    document.getElementById('select-all-button').addEventListener('click', selectAllVisible);
+    document.getElementById('delete-selected-button').addEventListener('click', deleteSelected);
+    document.getElementById('export-selected-button').addEventListener('click', exportSelected);
+    document.getElementById('import-button').addEventListener('click', () => {
+      document.getElementById('import-file').click();
+    });
+    document.getElementById('import-file').addEventListener('change', importSelectedFile);
+    populateExportFormats();
+
+    // Keep the list current when sessions are recorded or cleaned up elsewhere
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.sessions) {
+        loadSessions();
+      }
+    });
+  } catch (error) {
+    log.error('Error initializing sessions page:', error.message);
+  }
+}
+
+/**
+ * Load sessions from storage and rebuild the search index
+ */
+async function loadSessions() {
+  sessions = (await getSessions())
+    .slice()
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  searchIndex.clear();
+  sessions.forEach(session => {
+    const text = (session.content || [])
+      .map(message => htmlToText(message.content))
+      .join('\n');
+    searchIndex.set(session.id, text.toLowerCase());
+  });
+
+  // Drop selections for sessions that no longer exist
+  Array.from(selectedSessionIds).forEach(id => {
+    if (!searchIndex.has(id)) {
+      selectedSessionIds.delete(id);
+    }
+  });
+
+  populatePlatformFilter();
+  renderSessionList();
+
+  if (activeSessionId !== null && !searchIndex.has(activeSessionId)) {
+    activeSessionId = null;
+    renderTranscript(null);
+  }
+}
+
+/**
+ * Fill the platform filter with the platforms that have sessions
+ */
+function populatePlatformFilter() {
+  const filter = document.getElementById('platform-filter');
+  const current = filter.value;
+  const platforms = [...new Set(sessions.map(session => session.platform || 'unknown'))].sort();
+
+  filter.length = 1;
+  platforms.forEach(platform => {
+    const option = document.createElement('option');
+    option.value = platform;
+    option.textContent = platform;
+    filter.appendChild(option);
+  });
+
+  filter.value = platforms.includes(current) ? current : '';
+}
+
+/**
+ * Get the sessions matching the search and platform filter
+ * @returns {Array<object>} The visible sessions
+ */
+function getVisibleSessions() {
+  const query = document.getElementById('session-search').value.trim().toLowerCase();
+  const platform = document.getElementById('platform-filter').value;
+
+  return sessions.filter(session =>
+    (!platform || (session.platform || 'unknown') === platform) &&
+    (!query || searchIndex.get(session.id).includes(query))
+  );
+}
+
+/**
+ * Render the session list grouped by date
+ */
+function renderSessionList() {
+  const list = document.getElementById('session-list');
+  const query = document.getElementById('session-search').value.trim().toLowerCase();
+  const visibleSessions = getVisibleSessions();
+  list.innerHTML = '';
+
+  if (visibleSessions.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'sessions-placeholder';
+    empty.textContent = sessions.length === 0 ? 'No recorded sessions yet.' : 'No sessions match your search.';
+    list.appendChild(empty);
+  }
+
+  let currentDate = null;
+  visibleSessions.forEach(session => {
+    const date = new Date(session.timestamp).toLocaleDateString();
+    if (date !== currentDate) {
+      currentDate = date;
+      const group = document.createElement('div');
+      group.className = 'session-date-group';
+      group.textContent = date;
+      list.appendChild(group);
+    }
+
+    list.appendChild(createSessionListItem(session, query));
+  });
+
+  updateSelectionButtons();
+}
+
+/**
+ * Create the list entry for a session
+ * @param {object} session - The session
+ * @param {string} query - The lower-cased search query
+ * @returns {HTMLElement} The list item
+ */
+function createSessionListItem(session, query) {
+  const item = document.createElement('div');
+  item.className = 'session-list-item';
+  item.classList.toggle('active', session.id === activeSessionId);
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = selectedSessionIds.has(session.id);
+  checkbox.setAttribute('aria-label', 'Select session');
+  checkbox.addEventListener('click', (event) => event.stopPropagation());
+  checkbox.addEventListener('change', () => {
+    if (checkbox.checked) {
+      selectedSessionIds.add(session.id);
+    } else {
+      selectedSessionIds.delete(session.id);
+    }
+    updateSelectionButtons();
+  });
+
+  const details = document.createElement('div');
+  details.className = 'session-list-item-details';
+
+  const title = document.createElement('div');
+  title.className = 'session-list-item-title';
+  title.textContent = getSessionTitle(session);
+
+  const meta = document.createElement('div');
+  meta.className = 'session-list-item-meta';
+  const time = new Date(session.timestamp).toLocaleTimeString();
+  meta.textContent = `${session.platform || 'unknown'} · ${time} · ${(session.content || []).length} messages`;
+
+  details.appendChild(title);
+  details.appendChild(meta);
+
+  if (query) {
+    details.appendChild(createMatchExcerpt(searchIndex.get(session.id), query));
+  }
+
+  item.appendChild(checkbox);
+  item.appendChild(details);
+  item.addEventListener('click', () => {
+    activeSessionId = session.id;
+    renderSessionList();
+    renderTranscript(session);
+  });
+
+  return item;
+}
+
+/**
+ * Get a short title for a session from its first user message
+ * @param {object} session - The session
+ * @returns {string} The title
+ */
+function getSessionTitle(session) {
+  if (session.title) {
+    return session.title;
+  }
+  
+  const firstUserMessage = (session.content || []).find(message => message.role === 'user');
+  const text = firstUserMessage ? htmlToText(firstUserMessage.content).trim() : '';
+  return text || `Session ${new Date(session.timestamp).toLocaleString()}`;
+}
+
+/**
+ * Create an excerpt around the first search match
+ * @param {string} text - The lower-cased session text
+ * @param {string} query - The lower-cased search query
+ * @returns {HTMLElement} The excerpt element
+ */
+function createMatchExcerpt(text, query) {
+  const index = text.indexOf(query);
+  const start = Math.max(0, index - 30);
+  const end = Math.min(text.length, index + query.length + 30);
+
+  const excerpt = document.createElement('div');
+  excerpt.className = 'session-list-item-meta';
+  excerpt.appendChild(document.createTextNode(`${start > 0 ? '…' : ''}${text.slice(start, index)}`));
+
+  const mark = document.createElement('mark');
+  mark.textContent = text.slice(index, index + query.length);
+  excerpt.appendChild(mark);
+
+  excerpt.appendChild(document.createTextNode(`${text.slice(index + query.length, end)}${end < text.length ? '…' : ''}`));
+  return excerpt;
+}
+
+/**
+ * Replay a session as a read-only transcript
+ * @param {object|null} session - The session, or null to clear the view
+ */
+function renderTranscript(session) {
+  const transcript = document.getElementById('session-transcript');
+  transcript.innerHTML = '';
+
+  if (!session) {
+    const placeholder = document.createElement('p');
+    placeholder.className = 'sessions-placeholder';
+    placeholder.textContent = 'Select a session to replay it.';
+    transcript.appendChild(placeholder);
+    return;
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'transcript-actions';
+  const exportButton = document.createElement('button');
+  exportButton.type = 'button';
+  exportButton.textContent = 'Export this session';
+  exportButton.addEventListener('click', () => {
+    const file = exportSession(session, getExportFormat());
+    downloadFile(file.name, new Blob([file.content], { type: file.mimeType }));
+  });
+  actions.appendChild(exportButton);
+  transcript.appendChild(actions);
+
+  (session.content || []).forEach(message => {
+    const messageElement = document.createElement('article');
+    messageElement.className = `transcript-message role-${message.role}`;
+
+    const header = document.createElement('div');
+    header.className = 'transcript-message-header';
+
+    const role = document.createElement('span');
+    role.className = 'transcript-message-role';
+    role.textContent = message.role;
+
+    const timestamp = document.createElement('time');
+    timestamp.dateTime = message.timestamp;
+    timestamp.textContent = new Date(message.timestamp).toLocaleString();
+
+    header.appendChild(role);
+    header.appendChild(timestamp);
+
+    // Recorded content is raw page HTML and must be sanitized before rendering
+    const body = document.createElement('div');
+    body.className = 'transcript-message-content';
+    body.appendChild(sanitizeHTML(message.content));
+
+    messageElement.appendChild(header);
+    messageElement.appendChild(body);
+    transcript.appendChild(messageElement);
+  });
+}
+
+/**
+ * Select every session currently shown in the list
+ */
+function selectAllVisible() {
+  getVisibleSessions().forEach(session => selectedSessionIds.add(session.id));
+  renderSessionList();
+}
+
+/**
+ * Enable the delete and export buttons when sessions are selected
+ */
+function updateSelectionButtons() {
+  const count = selectedSessionIds.size;
+  const suffix = count > 0 ? ` (${count})` : '';
+
+  const deleteButton = document.getElementById('delete-selected-button');
+  deleteButton.disabled = count === 0;
+  deleteButton.textContent = `Delete selected${suffix}`;
+
+  const exportButton = document.getElementById('export-selected-button');
+  exportButton.disabled = count === 0;
+  exportButton.textContent = `Export selected${suffix}`;
+}
+
+/**
+ * Delete the selected sessions after confirmation
+ */
+async function deleteSelected() {
+  const count = selectedSessionIds.size;
+  if (count === 0 || !confirm(`Delete ${count} recorded session${count === 1 ? '' : 's'}? This cannot be undone.`)) {
+    return;
+  }
+
+  const deleted = await deleteSessions(Array.from(selectedSessionIds));
+  if (deleted) {
+    selectedSessionIds.clear();
+    log(`Deleted ${count} sessions`);
+  } else {
+    log.error('Failed to delete sessions');
+  }
+
+  // The storage listener reloads the list
+}
+
+/**
+ * Fill the export format picker
+ */
+function populateExportFormats() {
+  const select = document.getElementById('export-format');
+  Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Get the selected export format
+ * @returns {string} A key of EXPORT_FORMATS
+ */
+function getExportFormat() {
+  return document.getElementById('export-format').value;
+}
+
+/**
+ * Export the selected sessions; several sessions are bundled as a ZIP
+ */
+function exportSelected() {
+  try {
+    const selected = sessions.filter(session => selectedSessionIds.has(session.id));
+    if (selected.length === 1) {
+      const file = exportSession(selected[0], getExportFormat());
+      downloadFile(file.name, new Blob([file.content], { type: file.mimeType }));
+    } else if (selected.length > 1) {
+      const archive = exportSessionsAsZip(selected, getExportFormat());
+      downloadFile(archive.name, archive.blob);
+    }
+  } catch (error) {
+    log.error('Failed to export sessions:', error.message);
+  }
+}
+
+/**
+ * Import sessions from the file chosen in the file picker
+ * @param {Event} event - The change event of the file input
+ */
+async function importSelectedFile(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) {
+    return;
+  }
+
+  const status = document.getElementById('import-status');
+  status.textContent = `Importing ${file.name}…`;
+
+  try {
+    const report = await importSessionsFromText(await file.text());
+    status.textContent = `Imported ${report.imported}, skipped ${report.skipped} already present or empty, failed ${report.failed}.`;
+    report.errors.forEach(error => log.warn('Import:', error));
+  } catch (error) {
+    log.error('Failed to import sessions:', error.message);
+    status.textContent = `Import failed: ${error.message}`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', initSessionsPage);
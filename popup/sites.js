@@ -0,0 +1,459 @@
+// Custom sites page: register chatbot sites the extension doesn't know and configure their selectors
+import { getCustomSites, saveCustomSites } from '../utils/customSites.js';
+import { isValidMatchPattern, getSitePattern } from '../utils/matchPattern.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('sites');
+
+// Selectors a custom site can define. `pick` tells the element picker whether
+// the selector should match one element or every element like the clicked one.
+const SELECTOR_FIELDS = [
+  { key: 'messages', label: 'Messages', hint: 'Every chat message, yours and the assistant\'s', required: true, pick: 'all', target: 'a message' },
+  { key: 'userMessage', label: 'Your messages', hint: 'Matches your messages; every other message counts as the assistant\'s', required: true, pick: 'all', target: 'one of your messages' },
+  { key: 'messageContent', label: 'Message content', hint: 'Optional. The rendered text inside a message', pick: 'all', target: 'the content of a message' },
+  { key: 'inputArea', label: 'Prompt input', hint: 'The textarea or editable element you type in', required: true, pick: 'one', target: 'the prompt input' },
+  { key: 'submitButton', label: 'Send button', required: true, pick: 'one', target: 'the send button' },
+  { key: 'codeBlocks', label: 'Code blocks', hint: 'Code elements inside messages', required: true, pick: 'all', target: 'a code block' },
+  { key: 'chatContainer', label: 'Conversation container', hint: 'Optional. Defaults to the page body', pick: 'one', target: 'the conversation container' },
+  { key: 'mainContainer', label: 'App container', hint: 'Optional. Themes are applied here; defaults to the page body', pick: 'one', target: 'the app container' },
+  { key: 'inputContainer', label: 'Input wrapper', hint: 'Optional. The command bar button is placed here', pick: 'one', target: 'the area around the prompt input' },
+  { key: 'stopButton', label: 'Stop button', hint: 'Optional. Shown while a response is being written; lets prompt chains wait for it', pick: 'one', target: 'the stop button while a response is being written' }
+];
+
+let customSites = [];
+let editingSiteId = null;
+
+/**
+ * Initialize the custom sites page
+ */
+async function initSitesPage() {
+  try {
+    renderSelectorFields();
+
+    customSites = await getCustomSites();
+    await renderSiteList();
+    editSite(null);
+
+    document.getElementById('new-site-button').addEventListener('click', () => editSite(null));
+    document.getElementById('site-form').addEventListener('submit', handleSave);
+    document.getElementById('test-selectors-button').addEventListener('click', testSelectors);
+
+    // Accept a plain page URL and turn it into a pattern for the whole site
+    const patternInput = document.getElementById('site-pattern');
+    patternInput.addEventListener('change', () => {
+      const value = patternInput.value.trim();
+      if (value && !isValidMatchPattern(value)) {
+        patternInput.value = getSitePattern(value) || getSitePattern(`https://${value}`) || value;
+      }
+    });
+
+    // Reflect permissions granted or removed from chrome://extensions
+    chrome.permissions.onAdded.addListener(renderSiteList);
+    chrome.permissions.onRemoved.addListener(renderSiteList);
+  } catch (error) {
+    log.error('Error initializing custom sites page:', error.message);
+    showStatus('Could not load custom sites');
+  }
+}
+
+/**
+ * Create an input row for every selector field
+ */
+function renderSelectorFields() {
+  const container = document.getElementById('selector-fields');
+
+  SELECTOR_FIELDS.forEach(field => {
+    const row = document.createElement('div');
+    row.className = 'selector-row';
+
+    const label = document.createElement('label');
+    label.htmlFor = `selector-${field.key}`;
+    label.textContent = field.required ? `${field.label} *` : field.label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `selector-${field.key}`;
+    input.dataset.selector = field.key;
+    input.spellcheck = false;
+
+    const pickButton = document.createElement('button');
+    pickButton.type = 'button';
+    pickButton.textContent = 'Pick';
+    pickButton.title = `Click ${field.target} in the site's tab`;
+    pickButton.addEventListener('click', () => pickSelector(field));
+
+    const hint = document.createElement('small');
+    hint.id = `selector-${field.key}-hint`;
+    hint.textContent = field.hint || '';
+
+    row.append(label, input, pickButton, hint);
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Render the list of custom sites with their permission state
+ */
+async function renderSiteList() {
+  const list = document.getElementById('site-list');
+  const permissions = await Promise.all(customSites.map(site => hasSitePermission(site.pattern)));
+  list.innerHTML = '';
+
+  if (customSites.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'sites-placeholder';
+    empty.textContent = 'No custom sites yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  customSites.forEach((site, index) => {
+    const item = document.createElement('div');
+    item.className = 'site-list-item';
+    item.classList.toggle('active', site.id === editingSiteId);
+
+    const name = document.createElement('div');
+    name.textContent = site.name;
+
+    const pattern = document.createElement('div');
+    pattern.className = 'site-list-item-meta';
+    pattern.textContent = site.pattern;
+
+    const actions = document.createElement('div');
+    actions.className = 'site-list-item-actions';
+
+    if (!permissions[index]) {
+      const warning = document.createElement('span');
+      warning.className = 'site-list-item-meta site-permission-missing';
+      warning.textContent = 'No access';
+
+      const grantButton = document.createElement('button');
+      grantButton.type = 'button';
+      grantButton.textContent = 'Grant access';
+      grantButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        chrome.permissions.request({ origins: [site.pattern] });
+      });
+      actions.append(warning, grantButton);
+    }
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      deleteSite(site);
+    });
+    actions.appendChild(deleteButton);
+
+    item.append(name, pattern, actions);
+    item.addEventListener('click', () => editSite(site));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Show a site in the form, or an empty form for a new site
+ * @param {object|null} site - The site to edit, or null to add one
+ */
+function editSite(site) {
+  editingSiteId = site?.id || null;
+  document.getElementById('site-form-title').textContent = site ? `Edit ${site.name}` : 'Add site';
+  document.getElementById('site-name').value = site?.name || '';
+  document.getElementById('site-pattern').value = site?.pattern || '';
+
+  SELECTOR_FIELDS.forEach(field => {
+    document.getElementById(`selector-${field.key}`).value = site?.selectors?.[field.key] || '';
+    showFieldHint(field, field.hint || '');
+  });
+
+  document.querySelectorAll('.site-list-item').forEach((item, index) => {
+    item.classList.toggle('active', customSites[index]?.id === editingSiteId);
+  });
+}
+
+/**
+ * Read the form into a site object
+ * @returns {object} The site
+ */
+function readForm() {
+  const selectors = {};
+  SELECTOR_FIELDS.forEach(field => {
+    const value = document.getElementById(`selector-${field.key}`).value.trim();
+    if (value) {
+      selectors[field.key] = value;
+    }
+  });
+
+  return {
+    id: editingSiteId || `custom-${Date.now().toString(36)}`,
+    name: document.getElementById('site-name').value.trim(),
+    pattern: document.getElementById('site-pattern').value.trim(),
+    selectors
+  };
+}
+
+/**
+ * Check a site for missing or malformed values
+ * @param {object} site - The site from the form
+ * @returns {string|null} An error message, or null if the site is valid
+ */
+function validateSite(site) {
+  if (!site.name) {
+    return 'Enter a name for the site';
+  }
+  if (!isValidMatchPattern(site.pattern)) {
+    return 'Enter a URL pattern such as https://chat.example.com/*';
+  }
+
+  const missing = SELECTOR_FIELDS.find(field => field.required && !site.selectors[field.key]);
+  if (missing) {
+    return `Enter a selector for ${missing.label}`;
+  }
+
+  const invalid = SELECTOR_FIELDS.find(field => site.selectors[field.key] && !isValidSelector(site.selectors[field.key]));
+  if (invalid) {
+    return `The selector for ${invalid.label} is not valid CSS`;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a string parses as a CSS selector
+ * @param {string} selector - The selector
+ * @returns {boolean} Whether it is valid
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Save the site in the form and request access to its pages
+ * @param {SubmitEvent} event - The form submission
+ */
+async function handleSave(event) {
+  event.preventDefault();
+
+  const site = readForm();
+  const error = validateSite(site);
+  if (error) {
+    showStatus(error);
+    return;
+  }
+
+  // Requested before anything else is awaited, while the click still counts as a user gesture
+  const granted = await chrome.permissions.request({ origins: [site.pattern] });
+
+  const previous = customSites.find(existing => existing.id === site.id);
+  const nextSites = previous
+    ? customSites.map(existing => existing.id === site.id ? site : existing)
+    : [...customSites, site];
+
+  if (!await saveCustomSites(nextSites)) {
+    showStatus('Could not save the site');
+    return;
+  }
+  customSites = nextSites;
+
+  if (previous && previous.pattern !== site.pattern) {
+    await releasePermission(previous.pattern);
+  }
+
+  log(`Saved custom site ${site.name}`);
+  editingSiteId = site.id;
+  await renderSiteList();
+  showStatus(granted
+    ? `Saved. Reload any open ${site.name} tabs to start using the extension there.`
+    : 'Saved, but the extension cannot run on the site until access is granted.');
+}
+
+/**
+ * Delete a custom site after confirmation
+ * @param {object} site - The site to delete
+ */
+async function deleteSite(site) {
+  if (!confirm(`Remove ${site.name} from the custom sites?`)) {
+    return;
+  }
+
+  const nextSites = customSites.filter(existing => existing.id !== site.id);
+  if (!await saveCustomSites(nextSites)) {
+    showStatus('Could not delete the site');
+    return;
+  }
+  customSites = nextSites;
+
+  await releasePermission(site.pattern);
+  if (editingSiteId === site.id) {
+    editSite(null);
+  }
+  await renderSiteList();
+  showStatus(`Removed ${site.name}`);
+}
+
+/**
+ * Give up access to a pattern that no custom site uses any more
+ * @param {string} pattern - The match pattern
+ */
+async function releasePermission(pattern) {
+  if (customSites.some(site => site.pattern === pattern)) {
+    return;
+  }
+
+  // Fails for hosts the manifest requires, which is fine
+  await chrome.permissions.remove({ origins: [pattern] }).catch(() => false);
+}
+
+/**
+ * Check whether the extension may run on a pattern
+ * @param {string} pattern - The match pattern
+ * @returns {Promise<boolean>} Whether access is granted
+ */
+async function hasSitePermission(pattern) {
+  return chrome.permissions.contains({ origins: [pattern] }).catch(() => false);
+}
+
+/**
+ * Find an open tab of the site being edited, asking for access first if needed
+ * @returns {Promise<chrome.tabs.Tab|null>} The tab, or null with a status shown
+ */
+async function findSiteTab() {
+  const pattern = document.getElementById('site-pattern').value.trim();
+  if (!isValidMatchPattern(pattern)) {
+    showStatus('Enter the site\'s URL pattern first');
+    return null;
+  }
+
+  const granted = await chrome.permissions.request({ origins: [pattern] });
+  if (!granted) {
+    showStatus('Access to the site is needed to inspect its pages');
+    return null;
+  }
+
+  const [tab] = await chrome.tabs.query({ url: pattern });
+  if (!tab) {
+    showStatus('Open the site in another tab, then try again');
+    return null;
+  }
+
+  return tab;
+}
+
+/**
+ * Let the user click an element in the site's tab and fill in a selector for it
+ * @param {object} field - The selector field from SELECTOR_FIELDS
+ */
+async function pickSelector(field) {
+  const tab = await findSiteTab();
+  if (!tab) {
+    return;
+  }
+
+  const currentTab = await chrome.tabs.getCurrent();
+  let result = null;
+  try {
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+
+    await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content/elementPicker.js'] });
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (mode, target) => window.chatbotEnhancerPickElement(mode, target),
+      args: [field.pick, field.target]
+    });
+    result = injection?.result || null;
+  } catch (error) {
+    log.error('Element picker failed:', error.message);
+    showStatus('Could not start the element picker on that page');
+  } finally {
+    // Come back to this page with the result, even if a window was closed meanwhile
+    try {
+      await chrome.tabs.update(currentTab.id, { active: true });
+      await chrome.windows.update(currentTab.windowId, { focused: true });
+    } catch (error) {
+      log.warn('Could not return to the custom sites page:', error.message);
+    }
+  }
+
+  if (result) {
+    document.getElementById(`selector-${field.key}`).value = result.selector;
+    showMatchCount(field, result.matchCount);
+  }
+}
+
+/**
+ * Count the matches for every entered selector in the site's tab
+ */
+async function testSelectors() {
+  const { selectors } = readForm();
+  const invalid = SELECTOR_FIELDS.find(field => selectors[field.key] && !isValidSelector(selectors[field.key]));
+  if (invalid) {
+    showStatus(`The selector for ${invalid.label} is not valid CSS`);
+    return;
+  }
+
+  const tab = await findSiteTab();
+  if (!tab) {
+    return;
+  }
+
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (entries) => Object.fromEntries(
+        entries.map(([key, selector]) => [key, document.querySelectorAll(selector).length])
+      ),
+      args: [Object.entries(selectors)]
+    });
+
+    SELECTOR_FIELDS.forEach(field => {
+      if (field.key in injection.result) {
+        showMatchCount(field, injection.result[field.key]);
+      }
+    });
+    showStatus(`Tested against ${tab.title || tab.url}`);
+  } catch (error) {
+    log.error('Selector test failed:', error.message);
+    showStatus('Could not test the selectors on that page');
+  }
+}
+
+/**
+ * Show how many elements a selector matched under its input
+ * @param {object} field - The selector field
+ * @param {number} count - The number of matches
+ */
+function showMatchCount(field, count) {
+  const hint = showFieldHint(field, `Matches ${count} element${count === 1 ? '' : 's'} on the page`);
+  hint.classList.add('selector-match-count');
+  hint.classList.toggle('no-match', count === 0);
+}
+
+/**
+ * Replace the hint under a selector input
+ * @param {object} field - The selector field
+ * @param {string} text - The hint text
+ * @returns {HTMLElement} The hint element
+ */
+function showFieldHint(field, text) {
+  const hint = document.getElementById(`selector-${field.key}-hint`);
+  hint.className = '';
+  hint.textContent = text;
+  return hint;
+}
+
+/**
+ * Show a status message at the top of the page
+ * @param {string} message - The message to show
+ */
+function showStatus(message) {
+  document.getElementById('sites-status').textContent = message;
+}
+
+document.addEventListener('DOMContentLoaded', initSitesPage);
@@ -0,0 +1,406 @@
+// Theme editor: create named custom themes, preview them live and share them as files
+import { getSettings, saveSettings } from '../utils/storage.js';
+import { downloadFile } from '../utils/download.js';
+import {
+  CUSTOM_THEMES_KEY,
+  MAX_CUSTOM_THEMES,
+  THEME_COLORS,
+  DEFAULT_THEME_COLORS,
+  MIN_CONTRAST_RATIO,
+  normalizeHexColor,
+  checkThemeContrast,
+  describeThemeColor,
+  getThemeVariables,
+  getCustomThemes,
+  getActiveCustomTheme,
+  buildThemePack,
+  mergeThemePack,
+  createThemeId
+} from '../utils/themes.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('themes');
+
+// Wait this long after the last color change before previewing it in the chat tabs
+const PREVIEW_DELAY = 150;
+
+let themes = [];
+let settings = null;
+let editingThemeId = null;
+
+// The colors in the form, including changes not saved yet
+let draftColors = { ...DEFAULT_THEME_COLORS };
+
+// Connection the background previews colors through; it restores the saved theme when this page closes
+let previewPort = null;
+let previewTimer = null;
+
+/**
+ * Initialize the theme editor
+ */
+async function initThemesPage() {
+  try {
+    renderColorFields();
+
+    [settings, themes] = await Promise.all([getSettings(), getCustomThemes()]);
+    renderThemeList();
+    editTheme(getActiveCustomTheme(themes, settings.customThemeId));
+
+    // Only preview once the user changes something
+    clearTimeout(previewTimer);
+    previewPort = chrome.runtime.connect({ name: 'theme-preview' });
+
+    document.getElementById('new-theme-button').addEventListener('click', () => editTheme(null));
+    document.getElementById('theme-form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      saveTheme(false);
+    });
+    document.getElementById('use-theme-button').addEventListener('click', () => saveTheme(true));
+    document.getElementById('export-theme-button').addEventListener('click', () => exportThemes([readForm()]));
+    document.getElementById('export-button').addEventListener('click', () => exportThemes(themes));
+    document.getElementById('import-button').addEventListener('click', () => {
+      document.getElementById('import-file').click();
+    });
+    document.getElementById('import-file').addEventListener('change', importThemes);
+    document.getElementById('live-preview').addEventListener('change', schedulePreview);
+  } catch (error) {
+    log.error('Error initializing theme editor:', error.message);
+    showStatus('Could not load custom themes');
+  }
+}
+
+/**
+ * Create a color picker and hex field for every theme color, grouped as in THEME_COLORS
+ */
+function renderColorFields() {
+  const container = document.getElementById('color-fields');
+  const groups = new Map();
+
+  THEME_COLORS.forEach(({ key, label, group }) => {
+    if (!groups.has(group)) {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = group;
+      fieldset.appendChild(legend);
+      container.appendChild(fieldset);
+      groups.set(group, fieldset);
+    }
+
+    const row = document.createElement('div');
+    row.className = 'color-row';
+
+    const name = document.createElement('label');
+    name.htmlFor = `color-${key}`;
+    name.textContent = label;
+
+    const picker = document.createElement('input');
+    picker.type = 'color';
+    picker.id = `color-${key}`;
+    picker.addEventListener('input', () => setDraftColor(key, picker.value));
+
+    const hex = document.createElement('input');
+    hex.type = 'text';
+    hex.id = `color-${key}-hex`;
+    hex.spellcheck = false;
+    hex.setAttribute('aria-label', `${describeThemeColor(key)} hex value`);
+    hex.addEventListener('input', () => {
+      const color = normalizeHexColor(hex.value);
+      hex.classList.toggle('invalid', !color);
+      if (color) {
+        setDraftColor(key, color);
+      }
+    });
+
+    row.append(name, picker, hex);
+    groups.get(group).appendChild(row);
+  });
+}
+
+/**
+ * Change one color of the theme being edited
+ * @param {string} key - The color key
+ * @param {string} color - The new '#rrggbb' color
+ */
+function setDraftColor(key, color) {
+  draftColors = { ...draftColors, [key]: color };
+
+  const picker = document.getElementById(`color-${key}`);
+  const hex = document.getElementById(`color-${key}-hex`);
+  picker.value = color;
+  if (normalizeHexColor(hex.value) !== color) {
+    hex.value = color;
+    hex.classList.remove('invalid');
+  }
+
+  renderSample();
+  schedulePreview();
+}
+
+/**
+ * List the saved themes
+ */
+function renderThemeList() {
+  const list = document.getElementById('theme-list');
+  list.innerHTML = '';
+
+  if (themes.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'themes-placeholder';
+    empty.textContent = 'No custom themes yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  const activeTheme = settings.theme === 'custom' ? getActiveCustomTheme(themes, settings.customThemeId) : null;
+  themes.forEach(theme => {
+    const item = document.createElement('div');
+    item.className = 'theme-list-item';
+    item.classList.toggle('active', theme.id === editingThemeId);
+
+    const name = document.createElement('div');
+    name.textContent = theme.name;
+
+    const swatches = document.createElement('div');
+    swatches.className = 'theme-list-item-swatches';
+    ['background', 'surface', 'text', 'accent', 'codeBackground', 'tokenKeyword'].forEach(key => {
+      const swatch = document.createElement('span');
+      swatch.style.background = theme.colors[key];
+      swatches.appendChild(swatch);
+    });
+
+    item.append(name, swatches);
+
+    if (theme === activeTheme) {
+      const inUse = document.createElement('div');
+      inUse.className = 'theme-list-item-meta';
+      inUse.textContent = 'In use';
+      item.appendChild(inUse);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'theme-list-item-actions';
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      deleteTheme(theme);
+    });
+    actions.appendChild(deleteButton);
+
+    item.appendChild(actions);
+    item.addEventListener('click', () => editTheme(theme));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Show a theme in the form, or the default colors for a new theme
+ * @param {object|null} theme - The theme to edit, or null to create one
+ */
+function editTheme(theme) {
+  editingThemeId = theme?.id || null;
+  document.getElementById('theme-form-title').textContent = theme ? `Edit ${theme.name}` : 'New theme';
+  document.getElementById('theme-name').value = theme?.name || '';
+
+  draftColors = { ...DEFAULT_THEME_COLORS, ...theme?.colors };
+  THEME_COLORS.forEach(({ key }) => setDraftColor(key, draftColors[key]));
+
+  document.querySelectorAll('.theme-list-item').forEach((item, index) => {
+    item.classList.toggle('active', themes[index]?.id === editingThemeId);
+  });
+}
+
+/**
+ * Read the form into a theme object
+ * @returns {object} The theme
+ */
+function readForm() {
+  return {
+    id: editingThemeId || createThemeId(),
+    name: document.getElementById('theme-name').value.trim(),
+    colors: { ...draftColors }
+  };
+}
+
+/**
+ * Apply the draft colors to the sample and list the pairs that fail WCAG AA
+ */
+function renderSample() {
+  const sample = document.getElementById('theme-sample');
+  Object.entries(getThemeVariables(draftColors)).forEach(([variable, value]) => {
+    sample.style.setProperty(variable, value);
+  });
+
+  const warnings = document.getElementById('contrast-warnings');
+  warnings.innerHTML = '';
+  const results = checkThemeContrast(draftColors);
+  results.filter(result => !result.passes).forEach(result => {
+    const warning = document.createElement('li');
+    warning.textContent = `${describeThemeColor(result.foreground)} on ${describeThemeColor(result.background).toLowerCase()}: ` +
+      `contrast ${result.ratio.toFixed(2)}:1 is below the WCAG AA minimum of ${MIN_CONTRAST_RATIO}:1`;
+    warnings.appendChild(warning);
+  });
+
+  if (results.every(result => result.passes)) {
+    const passes = document.createElement('li');
+    passes.className = 'passes';
+    passes.textContent = 'All text colors meet WCAG AA contrast';
+    warnings.appendChild(passes);
+  }
+}
+
+/**
+ * Preview the draft colors on open chatbot tabs shortly after the last change,
+ * or bring back the saved theme when previewing is switched off
+ */
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(() => {
+    if (!previewPort) {
+      return;
+    }
+    const livePreview = document.getElementById('live-preview').checked;
+    previewPort.postMessage(livePreview ? { customTheme: { colors: draftColors } } : {});
+  }, PREVIEW_DELAY);
+}
+
+/**
+ * Save the theme in the form
+ * @param {boolean} use - Whether to also switch the chatbot tabs to it
+ */
+async function saveTheme(use) {
+  const theme = readForm();
+  if (!theme.name) {
+    showStatus('Enter a name for the theme');
+    return;
+  }
+
+  const previous = themes.find(existing => existing.id === theme.id);
+  if (!previous && themes.length >= MAX_CUSTOM_THEMES) {
+    showStatus(`There can be at most ${MAX_CUSTOM_THEMES} custom themes; delete one first`);
+    return;
+  }
+
+  const saved = await persistThemes(previous
+    ? themes.map(existing => existing.id === theme.id ? theme : existing)
+    : [...themes, theme]);
+  if (!saved) {
+    return;
+  }
+
+  editingThemeId = theme.id;
+  if (use) {
+    if (!await saveSettings({ theme: 'custom', customThemeId: theme.id })) {
+      showStatus('Saved the theme, but could not switch to it');
+      return;
+    }
+    settings = { ...settings, theme: 'custom', customThemeId: theme.id };
+  }
+
+  log(`Saved custom theme ${theme.name}`);
+  editTheme(theme);
+  renderThemeList();
+  showStatus(use ? `Saved ${theme.name} and switched the chatbot tabs to it` : `Saved ${theme.name}`);
+}
+
+/**
+ * Delete a theme after confirmation
+ * @param {object} theme - The theme to delete
+ */
+async function deleteTheme(theme) {
+  if (!confirm(`Delete the theme ${theme.name}?`)) {
+    return;
+  }
+
+  if (!await persistThemes(themes.filter(existing => existing.id !== theme.id))) {
+    return;
+  }
+  if (editingThemeId === theme.id) {
+    editTheme(null);
+  }
+  renderThemeList();
+  showStatus(`Deleted ${theme.name}`);
+}
+
+/**
+ * Download themes as a theme file
+ * @param {Array<object>} exported - The themes to export
+ */
+function exportThemes(exported) {
+  if (exported.length === 0) {
+    showStatus('There are no themes to export');
+    return;
+  }
+  if (exported.some(theme => !theme.name)) {
+    showStatus('Enter a name for the theme before exporting it');
+    return;
+  }
+
+  const nameSuffix = exported.length === 1
+    ? `-${exported[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`
+    : '';
+  downloadFile(
+    `chatbot-enhancer-themes${nameSuffix}.json`,
+    new Blob([buildThemePack(exported)], { type: 'application/json' })
+  );
+  showStatus(`Exported ${exported.length} theme${exported.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Import the chosen theme file
+ * @param {Event} event - The file input change event
+ */
+async function importThemes(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) {
+    return;
+  }
+
+  try {
+    const result = mergeThemePack(themes, await file.text());
+    if (result.error) {
+      showStatus(`Import failed: ${result.error}`);
+      return;
+    }
+
+    if (!await persistThemes(result.themes)) {
+      return;
+    }
+    renderThemeList();
+    showStatus(`Imported ${file.name}: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`);
+    log(`Imported theme file ${file.name}`);
+  } catch (error) {
+    log.error('Failed to import theme file:', error.message);
+    showStatus(`Import failed: ${error.message}`);
+  }
+}
+
+/**
+ * Store the theme list; open chatbot tabs pick up changes to the theme they show
+ * @param {Array<object>} nextThemes - The themes to store
+ * @returns {Promise<boolean>} Whether they were saved
+ */
+async function persistThemes(nextThemes) {
+  try {
+    await chrome.storage.local.set({ [CUSTOM_THEMES_KEY]: nextThemes });
+    themes = nextThemes;
+    return true;
+  } catch (error) {
+    log.error('Error saving custom themes:', error.message);
+    showStatus('Could not save the themes');
+    return false;
+  }
+}
+
+/**
+ * Show a status message at the top of the page
+ * @param {string} message - The message to show
+ */
+function showStatus(message) {
+  document.getElementById('themes-status').textContent = message;
+}
+
+document.addEventListener('DOMContentLoaded', initThemesPage);
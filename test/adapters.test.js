@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers/dom.js';
+import { getPlatformAdapter } from '../content/platforms/index.js';
+
+// Each saved page holds one finished exchange: a prompt, a response with a code
+// block, and an idle composer. The stop button is the markup the platform
+// swaps in for the send button while a response is being written.
+const FIXTURES = {
+  chatgpt: {
+    prompt: 'How do I reverse a list in Python?',
+    response: 'Use slicing',
+    code: 'items = [1, 2, 3]\nprint(items[::-1])',
+    inputArea: '#prompt-textarea',
+    stopButton: '<button aria-label="Stop streaming" data-testid="stop-button"></button>'
+  },
+  claude: {
+    prompt: 'Write a bash loop over text files',
+    response: 'Here is one:',
+    code: 'for f in *.txt; do\n  echo "$f"\ndone',
+    inputArea: '.ProseMirror',
+    stopButton: '<button aria-label="Stop response" type="button"></button>'
+  },
+  gemini: {
+    prompt: 'Explain a JavaScript closure',
+    response: 'A closure keeps the variables',
+    code: 'function counter() {\n  let n = 0;\n  return () => ++n;\n}',
+    inputArea: '.ql-editor',
+    stopButton: '<button class="mat-mdc-icon-button send-button stop" aria-label="Stop response"></button>'
+  },
+  copilot: {
+    prompt: 'Convert 5 miles to kilometers',
+    response: '5 miles is about 8.05 km.',
+    code: 'print(5 * 1.60934)',
+    inputArea: '#userInput',
+    stopButton: '<button data-testid="stop-button" aria-label="Stop responding"></button>'
+  },
+  perplexity: {
+    prompt: 'What is the capital of Australia?',
+    response: 'The capital of Australia is Canberra.',
+    code: "SELECT name FROM capitals WHERE country = 'Australia';",
+    inputArea: '#ask-input',
+    stopButton: '<button aria-label="Stop" type="button"></button>'
+  }
+};
+
+Object.entries(FIXTURES).forEach(([platform, expected]) => {
+  test(`${platform} adapter reads a saved conversation page`, () => {
+    const page = loadFixture(`${platform}.html`);
+    const adapter = getPlatformAdapter(platform);
+
+    const messages = adapter.getMessages(page);
+    assert.deepEqual(messages.map(message => adapter.getRole(message)), ['user', 'assistant']);
+    assert.ok(messages.every(message => adapter.isMessage(message)));
+
+    const [prompt, response] = messages.map(message => adapter.getContent(message).textContent.trim());
+    assert.equal(prompt, expected.prompt);
+    assert.ok(response.startsWith(expected.response), response);
+    assert.ok(response.includes(expected.code), response);
+
+    // Callers only count fenced blocks, not inline code in prose
+    const fenced = adapter.getCodeBlocks(page).filter(code => code.closest('pre'));
+    assert.deepEqual(fenced.map(code => code.textContent.trim()), [expected.code]);
+    assert.ok(adapter.getChatContainer(page)?.contains(messages[0]));
+    assert.ok(page.querySelector(adapter.selectors.copyButtons));
+
+    const inputArea = adapter.getInputArea(page);
+    assert.ok(inputArea?.matches(expected.inputArea));
+    assert.ok(adapter.getToggleMount(inputArea)?.contains(inputArea));
+    assert.ok(adapter.getInputContainer(page)?.contains(inputArea));
+    assert.ok(adapter.getSubmitButton(page));
+  });
+
+  test(`${platform} adapter tells when a response is being written`, () => {
+    const page = loadFixture(`${platform}.html`);
+    const adapter = getPlatformAdapter(platform);
+    assert.equal(adapter.isGenerating(page), false);
+
+    adapter.getSubmitButton(page).outerHTML = expected.stopButton;
+    assert.equal(adapter.isGenerating(page), true);
+  });
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/dom.js';
+import { diffLines, lineSimilarity, maxLineSimilarity, createDiffLine } from '../utils/diff.js';
+
+test('bounds line similarity from above without diffing', () => {
+  const pairs = [
+    ['a\nb\nc', 'a\nb\nc'],
+    ['a\nb\nc', 'c\nb\na'],
+    ['a\nb\nc\nd', 'a\nx\nc'],
+    ['one\ntwo', 'three\nfour\nfive'],
+    ['x\nx\ny', 'x\ny\ny']
+  ];
+
+  pairs.forEach(([before, after]) => {
+    assert.ok(maxLineSimilarity(before, after) >= lineSimilarity(before, after), `${before} → ${after}`);
+  });
+  assert.equal(maxLineSimilarity('a\nb', 'a\nb'), 1);
+  assert.equal(maxLineSimilarity('one\ntwo', 'three\nfour'), 0);
+});
+
+test('renders diff lines with markers, highlighting and empty cells', () => {
+  const lines = diffLines('keep\n<old>', 'keep\nnew');
+  const rendered = lines.map(line => createDiffLine(line));
+  assert.deepEqual(rendered.map(element => element.className), ['diff-line equal', 'diff-line delete', 'diff-line insert']);
+  assert.deepEqual(rendered.map(element => element.textContent), ['  keep', '- <old>', '+ new']);
+
+  const highlighted = createDiffLine(lines[2], {
+    className: 'code-diff-line',
+    marker: false,
+    highlight: text => `<span class="token">${text}</span>`
+  });
+  assert.equal(highlighted.innerHTML, '<span class="token">new</span>');
+  assert.equal(createDiffLine(lines[1], { highlight: () => null }).textContent, '- <old>');
+  assert.equal(createDiffLine(null, { className: 'code-diff-line' }).className, 'code-diff-line empty');
+});
@@ -0,0 +1,27 @@
+// Test helpers: browser globals for modules written for the page, and saved page fixtures
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!DOCTYPE html><body></body>', { url: 'https://example.com/' });
+['window', 'document', 'Node', 'DOMParser', 'MutationObserver', 'Event', 'HTMLElement'].forEach(name => {
+  globalThis[name] = window[name];
+});
+
+/**
+ * Parse HTML into its own document
+ * @param {string} html - The page markup
+ * @param {string} [url='https://example.com/'] - The page URL
+ * @returns {Document} The document
+ */
+export function parseHTML(html, url = 'https://example.com/') {
+  return new JSDOM(html, { url }).window.document;
+}
+
+/**
+ * Load a saved page from test/fixtures
+ * @param {string} name - The fixture file name, e.g. 'chatgpt.html'
+ * @returns {Document} The parsed page
+ */
+export function loadFixture(name) {
+  return parseHTML(readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8'));
+}
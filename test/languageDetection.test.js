@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, scoreLanguages } from '../utils/languageDetection.js';
+
+test('detects common languages from their content', () => {
+  const samples = {
+    css: '.card > .title, .card:hover {\n  color: #333;\n  margin: 0 auto;\n}\n',
+    javascript: 'const total = items.reduce((sum, item) => sum + item, 0);\nconsole.log(total === 0);\n',
+    python: 'def greet(name):\n    print(f"Hello {name}")\n    return None\n',
+    docker: 'FROM node:20-alpine\nWORKDIR /app\nCOPY . .\nRUN npm ci\n'
+  };
+
+  Object.entries(samples).forEach(([language, text]) => {
+    assert.equal(detectLanguage(text)?.language, language, text);
+  });
+});
+
+test('does not count blocks opened by functions and conditions as CSS rules', () => {
+  const code = 'function load(url) {\n  if (cache[url] === undefined) {\n    cache[url] = fetch(url);\n  }\n}\n';
+  assert.equal(scoreLanguages(code).css, 0);
+});
+
+test('scores long lines without braces in linear time', () => {
+  // These used to make the CSS selector rule backtrack exponentially
+  const lines = [
+    'a'.repeat(4000),
+    'word '.repeat(800),
+    `${'a-b.c#d:e '.repeat(400)}!`,
+    `${'.x > .y ~ .z, '.repeat(300)};`
+  ];
+
+  lines.forEach(line => {
+    const start = performance.now();
+    scoreLanguages(`${line}\n${line}`);
+    assert.ok(performance.now() - start < 1000, `took ${Math.round(performance.now() - start)}ms on "${line.slice(0, 20)}…"`);
+  });
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCommandPack, mergeCommandPack } from '../utils/commands.js';
+import { MAX_CUSTOM_THEMES, DEFAULT_THEME_COLORS, buildThemePack, mergeThemePack } from '../utils/themes.js';
+
+const command = { id: 'cmd-1', name: 'Review', text: 'Review this: ', insertMode: 'replace', folder: '', platforms: [], steps: [] };
+const theme = { id: 'theme-1', name: 'Dusk', colors: { ...DEFAULT_THEME_COLORS } };
+
+test('replaces items with the same ID and appends the rest', () => {
+  const renamed = { ...command, name: 'Code review' };
+  const added = { ...command, id: 'cmd-2', name: 'Explain' };
+  const result = mergeCommandPack([command], buildCommandPack([renamed, added]));
+
+  assert.equal(result.error, null);
+  assert.deepEqual(result.commands.map(item => item.name), ['Code review', 'Explain']);
+  assert.equal(result.added, 1);
+  assert.equal(result.updated, 1);
+});
+
+test('accepts a bare array of commands but not of themes', () => {
+  assert.equal(mergeCommandPack([], JSON.stringify([command])).added, 1);
+  assert.equal(mergeThemePack([], JSON.stringify([theme])).error, 'Unrecognized file: expected a Chatbot Enhancer theme file');
+});
+
+test('rejects invalid JSON, other files and newer versions', () => {
+  assert.match(mergeCommandPack([], '{').error, /^File is not valid JSON/);
+  assert.equal(mergeCommandPack([], buildThemePack([theme])).error, 'Unrecognized file: expected a Chatbot Enhancer command pack');
+
+  const newer = { ...JSON.parse(buildThemePack([theme])), version: 99 };
+  assert.equal(mergeThemePack([], JSON.stringify(newer)).error, 'This theme file was made by a newer version of the extension');
+});
+
+test('skips themes beyond the limit and gives themes without an ID distinct IDs', () => {
+  const themes = Array.from({ length: MAX_CUSTOM_THEMES + 2 }, (_, index) => ({ name: `Theme ${index}`, colors: theme.colors }));
+  const result = mergeThemePack([], buildThemePack(themes));
+
+  assert.equal(result.added, MAX_CUSTOM_THEMES);
+  assert.equal(result.skipped, 2);
+  assert.equal(new Set(result.themes.map(item => item.id)).size, MAX_CUSTOM_THEMES);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHTML } from './helpers/dom.js';
+import { createPlatformAdapter } from '../content/platforms/adapter.js';
+import {
+  detectPlatformAdapter,
+  getPlatformAdapter,
+  getPlatformAdapters,
+  registerCustomSites
+} from '../content/platforms/index.js';
+
+const CUSTOM_SITE = {
+  id: 'custom-intranet',
+  name: 'Intranet chat',
+  pattern: 'https://chat.example.com/*',
+  selectors: { messages: '.turn', userMessage: '.turn.mine', inputArea: 'textarea' }
+};
+
+test('detects each built-in platform from its URL', () => {
+  const urls = {
+    chatgpt: 'https://chatgpt.com/c/123',
+    mistral: 'https://chat.mistral.ai/chat',
+    claude: 'https://claude.ai/chat/abc',
+    gemini: 'https://gemini.google.com/app',
+    copilot: 'https://copilot.microsoft.com/',
+    perplexity: 'https://www.perplexity.ai/search/xyz'
+  };
+
+  Object.entries(urls).forEach(([platform, url]) => {
+    assert.equal(detectPlatformAdapter(new URL(url), parseHTML('')).id, platform, url);
+  });
+  assert.equal(detectPlatformAdapter(new URL('https://chat.openai.com/'), parseHTML('')).id, 'chatgpt');
+});
+
+test('falls back to page markup when the URL is unknown', () => {
+  const page = parseHTML('<div data-message-author-role="user"><div class="markdown">Hi</div></div>');
+  assert.equal(detectPlatformAdapter(new URL('https://mirror.example.org/'), page).id, 'chatgpt');
+  assert.equal(detectPlatformAdapter(new URL('https://mirror.example.org/'), parseHTML('<p>Hi</p>')), null);
+});
+
+test('registers custom sites and replaces them on the next registration', () => {
+  registerCustomSites([CUSTOM_SITE, { id: 'broken', pattern: 'not a pattern', selectors: { messages: 'p' } }]);
+  assert.equal(getPlatformAdapter('broken'), null);
+  assert.equal(detectPlatformAdapter(new URL('https://chat.example.com/room/1'), parseHTML('')).id, CUSTOM_SITE.id);
+
+  const page = parseHTML('<div class="turn mine">Question</div><div class="turn">Answer</div><textarea></textarea>');
+  const adapter = getPlatformAdapter(CUSTOM_SITE.id);
+  assert.deepEqual(adapter.getMessages(page).map(message => adapter.getRole(message)), ['user', 'assistant']);
+  assert.equal(adapter.getContent(adapter.getMessages(page)[1]).textContent, 'Answer');
+  assert.equal(adapter.getInputArea(page).tagName, 'TEXTAREA');
+
+  registerCustomSites([]);
+  assert.equal(getPlatformAdapter(CUSTOM_SITE.id), null);
+  assert.ok(getPlatformAdapters().every(registered => !registered.custom));
+});
+
+test('base adapter looks elements up under the given root', () => {
+  const adapter = createPlatformAdapter({
+    id: 'test',
+    name: 'Test',
+    hostnames: ['chat.test'],
+    selectors: {
+      messages: '.message',
+      messageContent: '.body',
+      inputArea: 'textarea',
+      submitButton: 'button.send',
+      codeBlocks: '.message code',
+      chatContainer: '.log',
+      mainContainer: 'main',
+      inputContainer: 'form',
+      copyButtons: 'button.copy',
+      stopButton: 'button.stop'
+    }
+  });
+  const page = parseHTML(`
+    <main><div class="log">
+      <div class="message"><div class="body">Run <code>ls</code></div></div>
+    </div>
+    <form><textarea></textarea><button class="send">Send</button></form></main>`);
+
+  assert.ok(adapter.matchesLocation(new URL('https://eu.chat.test/')));
+  assert.ok(!adapter.matchesLocation(new URL('https://notchat.test/')));
+  assert.equal(adapter.getMessages(page).length, 1);
+  assert.equal(adapter.getContent(adapter.getMessages(page)[0]).className, 'body');
+  assert.equal(adapter.getCodeBlocks(page)[0].textContent, 'ls');
+  assert.equal(adapter.getSubmitButton(page).textContent, 'Send');
+  assert.equal(adapter.getToggleMount(adapter.getInputArea(page)).tagName, 'FORM');
+  assert.ok(adapter.isRelevantNode(page.querySelector('.log')));
+  assert.ok(!adapter.isGenerating(page));
+
+  page.querySelector('form').insertAdjacentHTML('beforeend', '<button class="stop">Stop</button>');
+  assert.ok(adapter.isGenerating(page));
+});
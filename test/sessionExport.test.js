@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/dom.js';
+import {
+  SESSION_EXPORT_SCHEMA,
+  htmlToMarkdown,
+  sessionToMarkdown,
+  buildJSONExport,
+  exportSessionsAsZip
+} from '../utils/sessionExport.js';
+
+const session = {
+  id: 7,
+  timestamp: '2026-03-01T10:15:00.000Z',
+  platform: 'claude',
+  url: 'https://claude.ai/chat/abc',
+  content: [
+    { role: 'user', content: '<p>Sort a list in <strong>Python</strong></p>', timestamp: '2026-03-01T10:15:00.000Z' },
+    {
+      role: 'assistant',
+      content: '<p>Use sorted:</p><pre><span class="code-language-indicator">python</span><code class="language-python">print(sorted(items))\n</code><button>Copy</button></pre>',
+      timestamp: '2026-03-01T10:15:05.000Z'
+    }
+  ]
+};
+
+/**
+ * Check a value against the parts of JSON Schema that SESSION_EXPORT_SCHEMA uses
+ * @param {*} value - The value to check
+ * @param {object} schema - The schema
+ * @param {string} [path='$'] - Where the value is, for error messages
+ * @returns {Array<string>} The problems found
+ */
+function validate(value, schema, path = '$') {
+  const types = [].concat(schema.type || []);
+  const typeOf = item => item === null ? 'null' : Array.isArray(item) ? 'array' : typeof item;
+  if (types.length > 0 && !types.includes(typeOf(value))) {
+    return [`${path} should be ${types.join(' or ')}`];
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [`${path} should be ${schema.const}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.join(', ')}`];
+  }
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    return [`${path} should be a date-time`];
+  }
+
+  const problems = (schema.required || [])
+    .filter(key => !(key in value))
+    .map(key => `${path}.${key} is required`);
+  Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+    if (value[key] !== undefined) {
+      problems.push(...validate(value[key], propertySchema, `${path}.${key}`));
+    }
+  });
+  if (schema.items) {
+    value.forEach((item, index) => problems.push(...validate(item, schema.items, `${path}[${index}]`)));
+  }
+  return problems;
+}
+
+test('converts message HTML to Markdown, keeping code block languages', () => {
+  assert.equal(htmlToMarkdown(session.content[1].content), 'Use sorted:\n\n```python\nprint(sorted(items))\n```');
+  assert.equal(htmlToMarkdown('<pre><code>a\n```\nb</code></pre>'), '````\na\n```\nb\n````');
+});
+
+test('writes a Markdown transcript with a heading per message', () => {
+  const markdown = sessionToMarkdown(session);
+
+  assert.match(markdown, /^# Sort a list in Python\n/);
+  assert.match(markdown, /- Platform: claude\n/);
+  assert.match(markdown, /- URL: https:\/\/claude\.ai\/chat\/abc\n/);
+  assert.match(markdown, /## User\n\n_.+_\n\nSort a list in \*\*Python\*\*\n/);
+  assert.match(markdown, /## Assistant\n\n_.+_\n\nUse sorted:\n\n```python\nprint\(sorted\(items\)\)\n```\n$/);
+});
+
+test('builds a JSON export that matches its schema', () => {
+  const exported = buildJSONExport([session, { id: 'imported-1', timestamp: session.timestamp, platform: null, content: [] }]);
+
+  assert.deepEqual(validate(exported, SESSION_EXPORT_SCHEMA), []);
+  assert.equal(exported.sessions[0].messages[1].markdown, 'Use sorted:\n\n```python\nprint(sorted(items))\n```');
+  assert.doesNotMatch(exported.sessions[0].messages[1].html, /<button/);
+  assert.deepEqual(validate({ ...exported, version: 2 }, SESSION_EXPORT_SCHEMA), ['$.version should be 1']);
+});
+
+test('zips one file per session, numbering files whose names collide', async () => {
+  const { name, blob } = exportSessionsAsZip([session, { ...session, id: 8 }], 'markdown');
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+
+  assert.match(name, /^chatbot-sessions-\d{4}-\d{2}-\d{2}\.zip$/);
+  assert.equal(view.getUint32(0, true), 0x04034b50);
+
+  // The end of central directory record holds the file count and the directory's offset
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+
+  const names = [];
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < 2; i++) {
+    const nameLength = view.getUint16(offset + 28, true);
+    names.push(new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength)));
+    offset += 46 + nameLength;
+  }
+  assert.deepEqual(names, [
+    '2026-03-01-10-15_claude_sort-a-list-in-python.md',
+    '2026-03-01-10-15_claude_sort-a-list-in-python-2.md'
+  ]);
+
+  const firstName = new TextDecoder().decode(bytes.subarray(30, 30 + view.getUint16(26, true)));
+  const firstSize = view.getUint32(18, true);
+  const firstContent = new TextDecoder().decode(bytes.subarray(30 + firstName.length, 30 + firstName.length + firstSize));
+  assert.equal(firstContent, sessionToMarkdown(session));
+});
@@ -0,0 +1,141 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/dom.js';
+import { importSessionsFromText } from '../utils/sessionImport.js';
+import { EXPORT_FORMAT_ID, EXPORT_FORMAT_VERSION } from '../utils/sessionExport.js';
+
+// The stored sessions, and the sessions the importer last asked the background to add
+let storedSessions = [];
+let addedSessions = null;
+let canAddSessions = true;
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: (key, callback) => callback({ sessions: storedSessions })
+    }
+  },
+  runtime: {
+    sendMessage: (message, callback) => {
+      if (message.type === 'ADD_SESSIONS') {
+        addedSessions = message.sessions;
+        callback?.({ success: canAddSessions });
+      }
+    }
+  }
+};
+
+beforeEach(() => {
+  storedSessions = [];
+  addedSessions = null;
+  canAddSessions = true;
+});
+
+/**
+ * Build a node of a ChatGPT conversation mapping
+ * @param {string} id - The node ID
+ * @param {string|null} parent - The parent node ID
+ * @param {object|null} message - The node's message
+ * @returns {object} The node
+ */
+function node(id, parent, message = null) {
+  return { id, parent, children: [], message };
+}
+
+/**
+ * Build a ChatGPT export message
+ * @param {string} role - The author role
+ * @param {object|string} content - The text, or the full content object
+ * @returns {object} The message
+ */
+function message(role, content) {
+  return {
+    author: { role },
+    create_time: 1767261600,
+    content: typeof content === 'string' ? { content_type: 'text', parts: [content] } : content
+  };
+}
+
+// A prompt that was answered, then regenerated; the second answer is the one shown
+const conversation = {
+  id: 'conv-1',
+  title: 'Sorting',
+  create_time: 1767261600,
+  current_node: 'answer-2',
+  mapping: {
+    root: node('root', null),
+    system: node('system', 'root', { ...message('system', 'You are helpful'), metadata: { is_visually_hidden_from_conversation: true } }),
+    prompt: node('prompt', 'system', message('user', 'How do I sort a list?')),
+    'answer-1': node('answer-1', 'prompt', message('assistant', 'First answer')),
+    'answer-2': node('answer-2', 'prompt', message('assistant', 'Use sorted:\n\n```python\nsorted(items)\n```'))
+  }
+};
+
+test('follows the branch ending at the current node of a ChatGPT conversation', async () => {
+  const report = await importSessionsFromText(JSON.stringify([conversation]));
+
+  assert.deepEqual(report, { imported: 1, skipped: 0, failed: 0, errors: [] });
+  const [session] = addedSessions;
+  assert.equal(session.platform, 'chatgpt');
+  assert.equal(session.url, 'https://chatgpt.com/c/conv-1');
+  assert.equal(session.importedFrom, 'chatgpt-export');
+  assert.deepEqual(session.content.map(item => item.role), ['user', 'assistant']);
+  assert.equal(session.content[1].content, '<p>Use sorted:</p><pre><code class="language-python">sorted(items)</code></pre>');
+  assert.ok(!('id' in session));
+});
+
+test('reads the last leaf when a conversation has no current node', async () => {
+  const mapping = structuredClone(conversation.mapping);
+  mapping.prompt.children = ['answer-1', 'answer-2'];
+  mapping['answer-2'].message.content = { content_type: 'code', language: 'javascript', text: 'items.sort()' };
+  await importSessionsFromText(JSON.stringify([{ ...conversation, current_node: undefined, mapping }]));
+
+  assert.equal(addedSessions[0].content[1].content, '<pre><code class="language-javascript">items.sort()</code></pre>');
+});
+
+test('skips conversations that are already stored or repeated in the file', async () => {
+  // A recorded session holds the page's HTML, buttons and all
+  storedSessions = [{
+    id: 1,
+    content: [
+      { role: 'user', content: '<div><p>How do I sort a list?</p><button>Edit</button></div>' },
+      { role: 'assistant', content: '<p>Use sorted:</p><pre><code class="language-python">sorted(items)\n</code></pre>' }
+    ]
+  }];
+  const other = { ...conversation, id: 'conv-2', current_node: 'answer-1' };
+  const report = await importSessionsFromText(JSON.stringify([conversation, other, other]));
+
+  assert.deepEqual(report, { imported: 1, skipped: 2, failed: 0, errors: [] });
+  assert.equal(addedSessions[0].url, 'https://chatgpt.com/c/conv-2');
+});
+
+test('counts empty sessions as skipped and broken ones as failed', async () => {
+  const file = {
+    format: EXPORT_FORMAT_ID,
+    version: EXPORT_FORMAT_VERSION,
+    sessions: [
+      { timestamp: '2026-03-01T10:15:00.000Z', platform: 'claude', messages: [{ role: 'user', markdown: 'Hello' }] },
+      { timestamp: '2026-03-01T10:16:00.000Z', messages: [] },
+      { timestamp: '2026-03-01T10:17:00.000Z' }
+    ]
+  };
+  const report = await importSessionsFromText(JSON.stringify(file));
+
+  assert.deepEqual(report, { imported: 1, skipped: 1, failed: 1, errors: ['Item 3: Session has no messages array'] });
+  assert.equal(addedSessions[0].content[0].content, '<p>Hello</p>');
+});
+
+test('reports files it cannot read or sessions it cannot save', async () => {
+  assert.match((await importSessionsFromText('{')).errors[0], /^File is not valid JSON/);
+  assert.deepEqual((await importSessionsFromText('{"sessions": []}')).errors, [
+    'Unrecognized file: expected ChatGPT conversations.json or a Chatbot Enhancer JSON export'
+  ]);
+
+  canAddSessions = false;
+  assert.deepEqual(await importSessionsFromText(JSON.stringify([conversation])), {
+    imported: 0,
+    skipped: 0,
+    failed: 1,
+    errors: ['Could not save imported sessions']
+  });
+});
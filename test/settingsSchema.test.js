@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SETTINGS_VERSION, normalizeSettings } from '../utils/settingsSchema.js';
+
+test('drops custom sites and commands from the synced settings once they moved to local storage', () => {
+  const site = { id: 'custom-1', name: 'Intranet chat', pattern: 'https://chat.example.com/*', selectors: { messages: '.turn' } };
+  const command = { id: 'cmd-1', name: 'Review', text: 'Review this: ', insertMode: 'replace', folder: '', platforms: [], steps: [] };
+  const settings = normalizeSettings({ version: 3, theme: 'dark', customSites: [site], commands: [command] });
+
+  assert.equal(settings.version, SETTINGS_VERSION);
+  assert.equal(settings.theme, 'dark');
+  assert.ok(!('customSites' in settings));
+  assert.ok(!('commands' in settings));
+});
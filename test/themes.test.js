@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getThemeOption, getThemeSchedulePause } from '../utils/themes.js';
+
+const schedule = { enabled: true, theme: 'dark', start: '19:00', end: '07:00', pausedUntil: null };
+const settings = { theme: 'light', themeSchedule: schedule, platformThemes: {} };
+const night = new Date(2026, 0, 1, 22, 0);
+const nextMorning = new Date(2026, 0, 2, 7, 0);
+
+test('shows the scheduled theme while the schedule runs and a platform theme over both', () => {
+  assert.equal(getThemeOption(settings, 'chatgpt', night), 'dark');
+  assert.equal(getThemeOption(settings, 'chatgpt', new Date(2026, 0, 1, 12, 0)), 'light');
+  assert.equal(getThemeOption({ ...settings, platformThemes: { chatgpt: 'high-contrast' } }, 'chatgpt', night), 'high-contrast');
+});
+
+test('shows a theme picked while the schedule runs until the schedule ends', () => {
+  const pausedUntil = getThemeSchedulePause(schedule, night);
+  assert.equal(pausedUntil, nextMorning.getTime());
+
+  const paused = { ...settings, theme: 'high-contrast', themeSchedule: { ...schedule, pausedUntil } };
+  assert.equal(getThemeOption(paused, 'chatgpt', night), 'high-contrast');
+  assert.equal(getThemeOption(paused, 'chatgpt', new Date(2026, 0, 2, 19, 30)), 'dark');
+});
+
+test('does not pause a schedule that is not showing its theme', () => {
+  assert.equal(getThemeSchedulePause(schedule, new Date(2026, 0, 1, 12, 0)), null);
+  assert.equal(getThemeSchedulePause({ ...schedule, enabled: false }, night), null);
+});
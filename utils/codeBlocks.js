@@ -0,0 +1,182 @@
+// Helpers for acting on code blocks: file names, shell prompts, previews and project paths
+import { resolvePrismLanguage } from './prismLoader.js';
+
+// File extension by Prism grammar id
+const FILE_EXTENSIONS = {
+  javascript: 'js',
+  typescript: 'ts',
+  jsx: 'jsx',
+  tsx: 'tsx',
+  python: 'py',
+  bash: 'sh',
+  powershell: 'ps1',
+  batch: 'bat',
+  json: 'json',
+  sql: 'sql',
+  go: 'go',
+  rust: 'rs',
+  java: 'java',
+  kotlin: 'kt',
+  scala: 'scala',
+  c: 'c',
+  cpp: 'cpp',
+  csharp: 'cs',
+  objectivec: 'm',
+  swift: 'swift',
+  ruby: 'rb',
+  php: 'php',
+  perl: 'pl',
+  lua: 'lua',
+  r: 'r',
+  dart: 'dart',
+  haskell: 'hs',
+  elixir: 'ex',
+  yaml: 'yml',
+  toml: 'toml',
+  ini: 'ini',
+  markup: 'html',
+  css: 'css',
+  scss: 'scss',
+  less: 'less',
+  markdown: 'md',
+  diff: 'diff',
+  graphql: 'graphql',
+  makefile: 'mk',
+  hcl: 'tf'
+};
+
+// Files that are conventionally named without an extension
+const FILE_NAMES = {
+  docker: 'Dockerfile',
+  makefile: 'Makefile'
+};
+
+// Shell grammars whose snippets may start lines with a `$ ` prompt
+const SHELL_LANGUAGES = ['bash', 'powershell', 'batch', 'shell-session'];
+
+// Languages a browser can render in the preview page
+export const PREVIEW_LANGUAGES = ['markup', 'css', 'javascript'];
+
+// A relative path ending in a file name with an extension, or an extensionless build file
+const FILE_PATH_PATTERN = /(?:^|[\s`'"(*])((?:[\w@.-]+\/)*(?:[\w@-][\w@.-]*\.[a-z][a-z0-9]{0,9}|Dockerfile|Makefile))(?=$|[\s`'"),:*])/i;
+
+// A comment on a block's first line, e.g. `// src/app.js`, `# file: main.py` or `<!-- index.html -->`
+const FILE_COMMENT_PATTERN = /^\s*(?:\/\/|#|--|\/\*|<!--|;)\s*(?:file(?:name)?\s*:\s*)?(\S+)\s*(?:\*\/|-->)?\s*$/i;
+
+/**
+ * Choose a file name for saving a code block
+ * @param {string} language - The block's language
+ * @param {string} [baseName='snippet'] - The name without extension
+ * @returns {string} The file name, e.g. 'snippet.py' or 'Dockerfile'
+ */
+export function getCodeFileName(language, baseName = 'snippet') {
+  const id = resolvePrismLanguage(language);
+  if (FILE_NAMES[id]) {
+    return FILE_NAMES[id];
+  }
+  return `${baseName}.${FILE_EXTENSIONS[id] || 'txt'}`;
+}
+
+/**
+ * Check whether a language is a shell whose snippets may contain prompts
+ * @param {string} language - The block's language
+ * @returns {boolean} Whether prompts can be stripped
+ */
+export function isShellLanguage(language) {
+  return SHELL_LANGUAGES.includes(resolvePrismLanguage(language));
+}
+
+/**
+ * Get the commands of a shell snippet: lines starting with a `$ ` prompt
+ * lose it, and when any line has a prompt the output lines without one
+ * are dropped
+ * @param {string} text - The snippet
+ * @returns {string} The commands ready to paste into a terminal
+ */
+export function stripShellPrompts(text) {
+  const lines = text.split('\n');
+  const prompt = /^\s*\$\s/;
+  if (!lines.some(line => prompt.test(line))) {
+    return text;
+  }
+
+  return lines
+    .filter(line => prompt.test(line))
+    .map(line => line.replace(prompt, ''))
+    .join('\n');
+}
+
+/**
+ * Resolve a block's language to one the preview can render
+ * @param {string} language - The block's language
+ * @returns {string|null} 'markup', 'css' or 'javascript', or null
+ */
+export function getPreviewLanguage(language) {
+  const id = resolvePrismLanguage(language);
+  return PREVIEW_LANGUAGES.includes(id) ? id : null;
+}
+
+/**
+ * Build an HTML document from the HTML, CSS and JavaScript blocks of a response.
+ * Styles go at the end of the head and scripts at the end of the body.
+ * @param {object} parts - The code to combine
+ * @param {string} [parts.html] - The markup; a sample page is used if there is none
+ * @param {Array<string>} [parts.css] - Stylesheets
+ * @param {Array<string>} [parts.js] - Scripts
+ * @returns {string} The document
+ */
+export function buildPreviewDocument({ html = '', css = [], js = [] }) {
+  // `</` would end the element early, e.g. a string containing '</script>'
+  const styles = css.map(code => `<style>\n${code.replace(/<\/(style)/gi, '<\\/$1')}\n</style>`).join('\n');
+  const scripts = js.map(code => `<script>\n${code.replace(/<\/(script)/gi, '<\\/$1')}\n</script>`).join('\n');
+
+  let page = html.trim() || [
+    '<h1>Heading</h1>',
+    '<p>A paragraph with a <a href="#">link</a> and <strong>bold text</strong>.</p>',
+    '<ul><li>First item</li><li>Second item</li></ul>',
+    '<button type="button">Button</button>',
+    '<div id="app"></div>'
+  ].join('\n');
+
+  if (!/<html[\s>]/i.test(page)) {
+    page = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="UTF-8">\n</head>\n<body>\n${page}\n</body>\n</html>`;
+  }
+
+  page = /<\/head>/i.test(page) ? page.replace(/<\/head>/i, `${styles}\n</head>`) : `${styles}\n${page}`;
+  page = /<\/body>/i.test(page) ? page.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${scripts}\n</body>`) : `${page}\n${scripts}`;
+  return page;
+}
+
+/**
+ * Find a file path mentioned in a short text, such as the heading before a code block
+ * @param {string} text - The text
+ * @returns {string|null} The path, e.g. 'src/app.js', or null if there is none
+ */
+export function findFilePath(text) {
+  const match = FILE_PATH_PATTERN.exec(text);
+  return match ? match[1].replace(/^\.\//, '') : null;
+}
+
+/**
+ * Find a file path named in a comment on the first line of a code block
+ * @param {string} code - The block's text
+ * @returns {string|null} The path, or null if the first line isn't such a comment
+ */
+export function findFilePathInComment(code) {
+  const match = FILE_COMMENT_PATTERN.exec(code.split('\n', 1)[0]);
+  return match ? findFilePath(match[1]) : null;
+}
+
+/**
+ * Split a path relative to a project folder into its parts
+ * @param {string} path - The path, with `/` or `\` separators
+ * @returns {Array<string>|null} The folder names and the file name, or null if the
+ *   path is empty or leaves the folder
+ */
+export function splitProjectPath(path) {
+  const parts = String(path).trim().split(/[/\\]+/).filter(part => part && part !== '.');
+  if (parts.length === 0 || parts.includes('..')) {
+    return null;
+  }
+  return parts;
+}
@@ -0,0 +1,138 @@
+// Command library: defaults, stable IDs, storage and command pack import/export
+import { INSERT_MODES } from './promptTemplate.js';
+import { createLogger } from './logger.js';
+import { buildPack, mergePack } from './packs.js';
+
+const log = createLogger('commands');
+
+// The library is kept in chrome.storage.local; a few long prompt chains
+// would overflow the size limit of the synced settings item
+export const COMMANDS_KEY = 'commands';
+
+export const COMMAND_PACK_FORMAT_ID = 'chatbot-enhancer-commands';
+export const COMMAND_PACK_VERSION = 1;
+
+// A bare array of commands is accepted as well as a full pack
+const COMMAND_PACK = {
+  id: COMMAND_PACK_FORMAT_ID,
+  version: COMMAND_PACK_VERSION,
+  itemsKey: 'commands',
+  name: 'command pack',
+  acceptsBareArray: true
+};
+
+// IDs of the defaults are fixed so packs and recents can refer to them
+export const DEFAULT_COMMANDS = [
+  { id: 'default-explain', name: 'Explain', text: 'Explain this in simple terms: ', insertMode: 'replace', folder: '', platforms: [], steps: [] },
+  { id: 'default-summarize', name: 'Summarize', text: 'Summarize this text: ', insertMode: 'replace', folder: '', platforms: [], steps: [] },
+  { id: 'default-translate', name: 'Translate', text: 'Translate this to English: ', insertMode: 'replace', folder: '', platforms: [], steps: [] },
+  { id: 'default-code', name: 'Code', text: 'Write code to: ', insertMode: 'replace', folder: '', platforms: [], steps: [] },
+  { id: 'default-fix', name: 'Fix', text: 'Fix this code: ', insertMode: 'wrap', folder: '', platforms: [], steps: [] }
+];
+
+/**
+ * Read the command library
+ * @returns {Promise<Array<object>>} The commands, or the defaults if none were saved yet
+ */
+export async function getCommands() {
+  const { [COMMANDS_KEY]: commands } = await chrome.storage.local.get(COMMANDS_KEY);
+  return Array.isArray(commands) ? commands : structuredClone(DEFAULT_COMMANDS);
+}
+
+/**
+ * Replace the command library
+ * @param {Array<object>} commands - Every command, in library order
+ * @returns {Promise<boolean>} Whether the commands were saved
+ */
+export async function saveCommands(commands) {
+  try {
+    await chrome.storage.local.set({ [COMMANDS_KEY]: commands });
+    return true;
+  } catch (error) {
+    log.error('Error saving commands:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Create a new unique command ID
+ * @returns {string} The ID
+ */
+export function createCommandId() {
+  return `cmd-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Fill in missing fields of a stored or imported command. A command with
+ * `steps` is a prompt chain; its `text` mirrors the first step for search.
+ * @param {object} command - The command
+ * @returns {object|null} The complete command, or null if it has no name or text
+ */
+export function normalizeCommand(command) {
+  const steps = Array.isArray(command?.steps)
+    ? command.steps.filter(step => typeof step === 'string' && step.trim())
+    : [];
+  const text = steps.length > 0 ? steps[0] : command?.text;
+
+  if (typeof command?.name !== 'string' || typeof text !== 'string' || !command.name.trim()) {
+    return null;
+  }
+
+  return {
+    id: typeof command.id === 'string' && command.id ? command.id : createCommandId(),
+    name: command.name.trim(),
+    text,
+    steps,
+    insertMode: command.insertMode in INSERT_MODES ? command.insertMode : 'replace',
+    folder: typeof command.folder === 'string' ? command.folder.trim() : '',
+    platforms: Array.isArray(command.platforms) ? command.platforms.filter(platform => typeof platform === 'string') : []
+  };
+}
+
+/**
+ * Check whether a command is a prompt chain
+ * @param {object} command - The command
+ * @returns {boolean} Whether it runs several steps
+ */
+export function isPromptChain(command) {
+  return Array.isArray(command.steps) && command.steps.length > 0;
+}
+
+/**
+ * Get every template a command sends
+ * @param {object} command - The command
+ * @returns {Array<string>} The step templates, or the command text alone
+ */
+export function getCommandTemplates(command) {
+  return isPromptChain(command) ? command.steps : [command.text];
+}
+
+/**
+ * Check whether a command is shown on a platform
+ * @param {object} command - The command
+ * @param {string} platform - The platform key
+ * @returns {boolean} Whether the command is visible there; no platforms means everywhere
+ */
+export function isCommandVisibleOn(command, platform) {
+  return !command.platforms?.length || command.platforms.includes(platform);
+}
+
+/**
+ * Build a shareable command pack
+ * @param {Array<object>} commands - The commands to include
+ * @returns {string} The pack as JSON
+ */
+export function buildCommandPack(commands) {
+  return buildPack(COMMAND_PACK, commands);
+}
+
+/**
+ * Merge a command pack into a command list. Commands whose ID already
+ * exists replace the existing entry in place; the rest are appended.
+ * @param {Array<object>} commands - The current commands
+ * @param {string} packText - The pack file contents
+ * @returns {{commands: Array<object>, added: number, updated: number, skipped: number, error: (string|null)}} The merged list and a report
+ */
+export function mergeCommandPack(commands, packText) {
+  return mergePack(COMMAND_PACK, commands, packText, normalizeCommand);
+}
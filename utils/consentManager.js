@@ -0,0 +1,180 @@
+// Consent management for features that collect conversation data
+import { createLogger } from './logger.js';
+import { recordConsentDecision as storeConsentDecision } from './storage.js';
+
+const log = createLogger('consent');
+
+// Features that require explicit consent, with the text shown in the dialog
+export const CONSENT_FEATURES = {
+  sessionRecording: {
+    title: 'Allow session recording?',
+    description: 'Chatbot Enhancer will store the messages of conversations you record on this site in your browser. ' +
+      'Recordings never leave your device and are deleted according to your retention settings.'
+  },
+  clipboardHistory: {
+    title: 'Allow clipboard history?',
+    description: 'Chatbot Enhancer will keep the code and responses you copy on this site in a local history ' +
+      'so you can reuse them. Revoking consent deletes the history collected on this site.'
+  }
+};
+
+/**
+ * Check whether the user has consented to a feature on a platform
+ * @param {boolean} forceDialog - Ask the user if consent has not been granted yet
+ * @param {string} feature - The feature key from CONSENT_FEATURES
+ * @param {string} platform - The platform the consent applies to
+ * @returns {Promise<boolean>} Whether consent has been granted
+ */
+export async function checkConsent(forceDialog, feature, platform) {
+  try {
+    const record = await getConsentRecord(feature, platform);
+    if (record?.granted) {
+      return true;
+    }
+
+    if (!forceDialog) {
+      return false;
+    }
+
+    const granted = await showConsentDialog(feature);
+    if (granted) {
+      await grantConsent(feature, platform);
+    } else {
+      await recordConsentDecision(feature, platform, 'denied');
+    }
+    return granted;
+  } catch (error) {
+    log.error('Error checking consent:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the stored consent state for every feature and platform
+ * @returns {Promise<object>} Consent records keyed by feature, then platform
+ */
+export async function getConsentState() {
+  const data = await chrome.storage.local.get('consent');
+  return data.consent || {};
+}
+
+/**
+ * Get the consent audit log
+ * @returns {Promise<Array>} Audit entries, oldest first
+ */
+export async function getConsentAuditLog() {
+  const data = await chrome.storage.local.get('consentAuditLog');
+  return data.consentAuditLog || [];
+}
+
+/**
+ * Grant consent for a feature on a platform
+ * @param {string} feature - The feature key from CONSENT_FEATURES
+ * @param {string} platform - The platform the consent applies to
+ */
+export async function grantConsent(feature, platform) {
+  await recordConsentDecision(feature, platform, 'granted');
+  log(`Consent granted for ${feature} on ${platform}`);
+}
+
+/**
+ * Revoke consent for a feature on a platform and purge the data collected under it
+ * @param {string} feature - The feature key from CONSENT_FEATURES
+ * @param {string} platform - The platform the consent applies to
+ * @returns {Promise<number>} The number of purged items
+ */
+export async function revokeConsent(feature, platform) {
+  try {
+    const { purgedCount } = await recordConsentDecision(feature, platform, 'revoked');
+    log(`Consent revoked for ${feature} on ${platform}, purged ${purgedCount} items`);
+    return purgedCount;
+  } catch (error) {
+    log.error('Error revoking consent:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Get the consent record for a feature on a platform
+ * @param {string} feature - The feature key from CONSENT_FEATURES
+ * @param {string} platform - The platform the consent applies to
+ * @returns {Promise<object|undefined>} The consent record
+ */
+async function getConsentRecord(feature, platform) {
+  const consent = await getConsentState();
+  return consent[feature]?.[platform];
+}
+
+/**
+ * Store a consent decision and append it to the audit log. The background
+ * makes the change, so decisions made in several tabs at once are all kept;
+ * revoking also purges the data collected under the consent there.
+ * @param {string} feature - The feature key from CONSENT_FEATURES
+ * @param {string} platform - The platform the consent applies to
+ * @param {string} action - 'granted', 'denied' or 'revoked'
+ * @returns {Promise<{purgedCount: number}>} The number of purged items
+ */
+async function recordConsentDecision(feature, platform, action) {
+  if (!CONSENT_FEATURES[feature]) {
+    throw new Error(`Unknown consent feature: ${feature}`);
+  }
+
+  const response = await storeConsentDecision(feature, platform, action);
+  if (!response?.success) {
+    throw new Error(response?.error || 'Could not store the consent decision');
+  }
+  return { purgedCount: response.purgedCount };
+}
+
+/**
+ * Show the consent dialog for a feature
+ * @param {string} feature - The feature key from CONSENT_FEATURES
+ * @returns {Promise<boolean>} Whether the user agreed
+ */
+function showConsentDialog(feature) {
+  const { title, description } = CONSENT_FEATURES[feature];
+
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'consent-dialog-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'consent-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+
+    const text = document.createElement('p');
+    text.textContent = description;
+
+    const actions = document.createElement('div');
+    actions.className = 'consent-dialog-actions';
+
+    const close = (granted) => {
+      overlay.remove();
+      resolve(granted);
+    };
+
+    const denyButton = document.createElement('button');
+    denyButton.className = 'consent-deny';
+    denyButton.textContent = 'No thanks';
+    denyButton.addEventListener('click', () => close(false));
+
+    const allowButton = document.createElement('button');
+    allowButton.className = 'consent-allow';
+    allowButton.textContent = 'Allow';
+    allowButton.addEventListener('click', () => close(true));
+
+    actions.appendChild(denyButton);
+    actions.appendChild(allowButton);
+    dialog.appendChild(heading);
+    dialog.appendChild(text);
+    dialog.appendChild(actions);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    allowButton.focus();
+  });
+}
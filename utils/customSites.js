@@ -0,0 +1,32 @@
+// Custom sites: chatbot sites the extension doesn't know, with the selectors the user configured
+import { createLogger } from './logger.js';
+
+const log = createLogger('customSites');
+
+// Custom sites are kept in chrome.storage.local as [{ id, name, pattern, selectors }];
+// a few sites with long selectors would overflow the size limit of the synced settings item
+export const CUSTOM_SITES_KEY = 'customSites';
+
+/**
+ * Read the stored custom sites
+ * @returns {Promise<Array<object>>} The sites
+ */
+export async function getCustomSites() {
+  const { [CUSTOM_SITES_KEY]: sites } = await chrome.storage.local.get(CUSTOM_SITES_KEY);
+  return Array.isArray(sites) ? sites : [];
+}
+
+/**
+ * Replace the stored custom sites
+ * @param {Array<object>} sites - Every custom site
+ * @returns {Promise<boolean>} Whether the sites were saved
+ */
+export async function saveCustomSites(sites) {
+  try {
+    await chrome.storage.local.set({ [CUSTOM_SITES_KEY]: sites });
+    return true;
+  } catch (error) {
+    log.error('Error saving custom sites:', error.message);
+    return false;
+  }
+}
@@ -0,0 +1,167 @@
+// Line-based diff for comparing code blocks, and the elements that show it
+
+// Above this many line pairs the diff falls back to replacing everything,
+// which keeps the comparison table within a few megabytes
+const MAX_DIFF_CELLS = 4000000;
+
+// Text that starts each line when a diff is shown with + and - markers
+const LINE_MARKERS = { insert: '+', delete: '-', equal: ' ' };
+
+/**
+ * Diff two texts line by line using their longest common subsequence
+ * @param {string} before - The original text
+ * @param {string} after - The changed text
+ * @returns {Array<{type: string, text: string}>} Lines marked 'equal', 'delete' or 'insert', in order
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'delete', text })),
+      ...b.map(text => ({ type: 'insert', text }))
+    ];
+  }
+
+  // lengths[i][j] is the length of the common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'delete', text: a[i++] });
+    } else {
+      lines.push({ type: 'insert', text: b[j++] });
+    }
+  }
+  while (i < a.length) {
+    lines.push({ type: 'delete', text: a[i++] });
+  }
+  while (j < b.length) {
+    lines.push({ type: 'insert', text: b[j++] });
+  }
+
+  return lines;
+}
+
+/**
+ * Count the changed lines of a diff
+ * @param {Array<{type: string}>} lines - The result of diffLines
+ * @returns {{inserted: number, deleted: number}} The number of added and removed lines
+ */
+export function countChanges(lines) {
+  return {
+    inserted: lines.filter(line => line.type === 'insert').length,
+    deleted: lines.filter(line => line.type === 'delete').length
+  };
+}
+
+/**
+ * Measure how alike two texts are by their lines
+ * @param {string} before - One text
+ * @param {string} after - The other text
+ * @returns {number} From 0 when no lines are shared to 1 when the texts are the same
+ */
+export function lineSimilarity(before, after) {
+  const lines = diffLines(before, after);
+  const { inserted, deleted } = countChanges(lines);
+  const shared = lines.length - inserted - deleted;
+  return (2 * shared) / (2 * shared + inserted + deleted);
+}
+
+/**
+ * Bound lineSimilarity from above by counting the lines both texts contain,
+ * in any order. Takes linear time, so it can rule texts out before diffing.
+ * @param {string} before - One text
+ * @param {string} after - The other text
+ * @returns {number} At least the lineSimilarity of the texts
+ */
+export function maxLineSimilarity(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  const counts = new Map();
+  a.forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+
+  let shared = 0;
+  b.forEach(line => {
+    const count = counts.get(line);
+    if (count) {
+      counts.set(line, count - 1);
+      shared++;
+    }
+  });
+  return (2 * shared) / (a.length + b.length);
+}
+
+/**
+ * Arrange a diff in two columns. Removed lines are paired with the lines
+ * added in their place; unpaired lines face an empty cell.
+ * @param {Array<{type: string, text: string}>} lines - The result of diffLines
+ * @returns {Array<{before: object|null, after: object|null}>} Rows of the old and new line
+ */
+export function pairDiffLines(lines) {
+  const rows = [];
+  let index = 0;
+  while (index < lines.length) {
+    if (lines[index].type === 'equal') {
+      rows.push({ before: lines[index], after: lines[index] });
+      index++;
+      continue;
+    }
+
+    const deleted = [];
+    const inserted = [];
+    while (index < lines.length && lines[index].type !== 'equal') {
+      (lines[index].type === 'delete' ? deleted : inserted).push(lines[index]);
+      index++;
+    }
+    for (let row = 0; row < Math.max(deleted.length, inserted.length); row++) {
+      rows.push({ before: deleted[row] || null, after: inserted[row] || null });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Create the element for one diff line, classed with the line's type
+ * @param {{type: string, text: string}|null} line - A line from diffLines, or null for an empty cell
+ * @param {object} [options] - How to show the line
+ * @param {string} [options.className='diff-line'] - The class every line gets
+ * @param {boolean} [options.marker=true] - Whether the text starts with +, - or a space
+ * @param {function(string): (string|null)} [options.highlight] - Turns the line's text into
+ *   highlighted HTML, or returns null to show it as plain text
+ * @returns {HTMLElement} The line
+ */
+export function createDiffLine(line, { className = 'diff-line', marker = true, highlight = null } = {}) {
+  const element = document.createElement('span');
+  element.className = `${className} ${line ? line.type : 'empty'}`;
+  if (!line) {
+    return element;
+  }
+
+  if (marker) {
+    element.append(`${LINE_MARKERS[line.type]} `);
+  }
+  const html = highlight ? highlight(line.text) : null;
+  if (html === null) {
+    element.append(line.text);
+  } else {
+    element.insertAdjacentHTML('beforeend', html);
+  }
+  return element;
+}
@@ -0,0 +1,96 @@
+// Project folders picked with the File System Access API. Directory handles can't go
+// into chrome.storage, so they are kept in the extension's IndexedDB; only use this
+// from extension pages, where that database belongs to the extension's origin.
+
+const DATABASE_NAME = 'chatbot-enhancer';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'directoryHandles';
+
+let databasePromise = null;
+
+/**
+ * Open the database, creating the handle store on first use
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a failed open be retried
+    databasePromise.catch(() => { databasePromise = null; });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run one request against the handle store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+async function withStore(mode, makeRequest) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Store a directory handle
+ * @param {string} id - The id to store it under
+ * @param {FileSystemDirectoryHandle} handle - The handle
+ * @returns {Promise<void>}
+ */
+export async function saveDirectoryHandle(id, handle) {
+  await withStore('readwrite', store => store.put(handle, id));
+}
+
+/**
+ * Look up a stored directory handle
+ * @param {string} id - The id it was stored under
+ * @returns {Promise<FileSystemDirectoryHandle|null>} The handle, or null if there is none
+ */
+export async function getDirectoryHandle(id) {
+  return (await withStore('readonly', store => store.get(id))) || null;
+}
+
+/**
+ * Find a stored handle for the same folder as a newly picked one, so picking
+ * a folder again doesn't store it twice
+ * @param {FileSystemDirectoryHandle} handle - The picked handle
+ * @returns {Promise<string|null>} The id of the stored handle, or null
+ */
+export async function findDirectoryHandleId(handle) {
+  const [ids, handles] = await Promise.all([
+    withStore('readonly', store => store.getAllKeys()),
+    withStore('readonly', store => store.getAll())
+  ]);
+
+  for (let index = 0; index < handles.length; index++) {
+    if (await handles[index].isSameEntry(handle)) {
+      return ids[index];
+    }
+  }
+  return null;
+}
+
+/**
+ * Make sure the extension may read and write a folder, asking the user if needed.
+ * Asking needs a user gesture, such as the click that started the save.
+ * @param {FileSystemDirectoryHandle} handle - The folder
+ * @param {boolean} [ask=true] - Whether to ask when permission isn't granted yet
+ * @returns {Promise<boolean>} Whether access is granted
+ */
+export async function ensureDirectoryAccess(handle, ask = true) {
+  const descriptor = { mode: 'readwrite' };
+  if (await handle.queryPermission(descriptor) === 'granted') {
+    return true;
+  }
+  return ask && await handle.requestPermission(descriptor) === 'granted';
+}
@@ -1,60 +1,23 @@
-// DOM utility functions for the extension
-import { log } from './logger.js';
-
-/**
- * Detect the chatbot platform based on URL and DOM elements
- * @returns {string|null} The detected platform or null if not detected
- */
-export function detectChatbotPlatform() {
-  const url = window.location.href;
-  
-  if (url.includes('chat.openai.com')) {
-    return 'chatgpt';
-  } else if (url.includes('mistral.ai')) {
-    return 'mistral';
-  }
-  
-  // Fallback detection based on DOM elements
-  if (document.querySelector('.markdown')) {
-    return 'chatgpt';
-  } else if (document.querySelector('.chat-message')) {
-    return 'mistral';
-  }
-  
-  return null;
-}
+// DOM utility functions for the extension. Functions that depend on the
+// chatbot's markup take the platform adapter from content/platforms.
 
 /**
  * Set up mutation observer to track DOM changes
- * @param {string} platform - The detected chatbot platform
+ * @param {import('../content/platforms/adapter.js').PlatformAdapter} adapter - The platform adapter
  * @param {Function} callback - The callback to run when DOM changes
  * @returns {MutationObserver} The mutation observer
  */
-export function observeDOMChanges(platform, callback) {
+export function observeDOMChanges(adapter, callback) {
   const targetNode = document.body;
   const config = { childList: true, subtree: true };
   
   // Set up observer with callback
   const observer = new MutationObserver((mutations) => {
-    let shouldCallback = false;
-    
     // Check if relevant elements were added
-    mutations.forEach(mutation => {
-      if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-        mutation.addedNodes.forEach(node => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check for platform-specific elements
-            if ((platform === 'chatgpt' && 
-                 (node.classList.contains('markdown') || 
-                  node.hasAttribute('data-message-author-role'))) ||
-                (platform === 'mistral' && 
-                 node.classList.contains('chat-message'))) {
-              shouldCallback = true;
-            }
-          }
-        });
-      }
-    });
+    const shouldCallback = adapter && mutations.some(mutation =>
+      mutation.type === 'childList' &&
+      Array.from(mutation.addedNodes).some(node => adapter.isRelevantNode(node))
+    );
     
     // Execute callback if relevant changes were found
     if (shouldCallback) {
@@ -91,4 +54,132 @@ export function waitForElement(selector, timeout = 5000) {
     
     checkElement();
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Insert text into a chat input, at the cursor or replacing its contents
+ * @param {HTMLElement} inputArea - A textarea, input or contenteditable element
+ * @param {string} text - The text to insert
+ * @param {boolean} replace - Whether to replace the current contents
+ */
+export function insertTextIntoInput(inputArea, text, replace = false) {
+  inputArea.focus();
+  
+  if (inputArea.isContentEditable) {
+    if (replace) {
+      document.execCommand('selectAll', false, null);
+    }
+    document.execCommand('insertText', false, text);
+  } else {
+    if (replace) {
+      inputArea.value = text;
+    } else {
+      const start = inputArea.selectionStart ?? inputArea.value.length;
+      const end = inputArea.selectionEnd ?? inputArea.value.length;
+      inputArea.setRangeText(text, start, end, 'end');
+    }
+    
+    // Trigger input event so the page's framework picks up the change
+    inputArea.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+}
+
+/**
+ * Click the platform's send button once the page has enabled it
+ * @param {import('../content/platforms/adapter.js').PlatformAdapter} adapter - The platform adapter
+ * @param {number} timeout - Maximum time to wait in milliseconds
+ * @returns {Promise<boolean>} Whether the prompt was submitted
+ */
+export async function submitPrompt(adapter, timeout = 2000) {
+  const startTime = Date.now();
+  
+  // Pages usually enable the button only after reacting to the input event
+  while (adapter && Date.now() - startTime < timeout) {
+    const submitButton = adapter.getSubmitButton();
+    if (submitButton && !submitButton.disabled && submitButton.getAttribute('aria-disabled') !== 'true') {
+      submitButton.click();
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  
+  return false;
+}
+
+/**
+ * Read the text currently in a chat input
+ * @param {HTMLElement} inputArea - A textarea, input or contenteditable element
+ * @returns {string} The draft text
+ */
+export function getInputText(inputArea) {
+  return inputArea.isContentEditable ? inputArea.innerText : inputArea.value;
+}
+
+/**
+ * Wait for the next assistant response to appear and finish streaming.
+ * A response counts as finished once its content has stopped changing for
+ * `quietPeriod` and the platform no longer shows its stop button.
+ * @param {import('../content/platforms/adapter.js').PlatformAdapter} adapter - The platform adapter
+ * @param {object} options - Wait options
+ * @param {number} options.previousCount - Assistant messages on the page before the prompt was sent
+ * @param {number} [options.timeout=180000] - Maximum time to wait in milliseconds
+ * @param {number} [options.quietPeriod=1500] - How long the content must stay unchanged
+ * @param {AbortSignal} [options.signal] - Aborts the wait
+ * @returns {Promise<Element>} The finished assistant message
+ */
+export function waitForResponse(adapter, { previousCount, timeout = 180000, quietPeriod = 1500, signal } = {}) {
+  const getAssistantMessages = () => adapter.getMessages()
+    .filter(message => adapter.getRole(message) === 'assistant');
+  
+  return new Promise((resolve, reject) => {
+    let pageObserver = null;
+    let messageObserver = null;
+    let quietTimer = null;
+    
+    const finish = (settle, value) => {
+      pageObserver?.disconnect();
+      messageObserver?.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(timeoutTimer);
+      signal?.removeEventListener('abort', handleAbort);
+      settle(value);
+    };
+    
+    const handleAbort = () => finish(reject, new Error('Cancelled'));
+    const timeoutTimer = setTimeout(() => finish(reject, new Error('Timed out waiting for the response')), timeout);
+    
+    // Restart the quiet period on every change to the streaming message
+    const scheduleCheck = () => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(() => {
+        if (adapter.isGenerating()) {
+          scheduleCheck();
+        } else {
+          // Platforms may re-render the message, so return the current element
+          finish(resolve, getAssistantMessages().pop());
+        }
+      }, quietPeriod);
+    };
+    
+    const watchNewMessage = () => {
+      const messages = getAssistantMessages();
+      if (messageObserver || messages.length <= previousCount) {
+        return;
+      }
+      
+      pageObserver?.disconnect();
+      messageObserver = new MutationObserver(scheduleCheck);
+      messageObserver.observe(messages[messages.length - 1], { childList: true, subtree: true, characterData: true });
+      scheduleCheck();
+    };
+    
+    if (signal?.aborted) {
+      handleAbort();
+      return;
+    }
+    signal?.addEventListener('abort', handleAbort);
+    
+    pageObserver = observeDOMChanges(adapter, watchNewMessage);
+    watchNewMessage();
+  });
+}
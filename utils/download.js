@@ -0,0 +1,15 @@
+// File downloads from extension pages and content scripts
+
+/**
+ * Save a blob through the browser's download flow
+ * @param {string} name - The file name
+ * @param {Blob} blob - The file content
+ */
+export function downloadFile(name, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,41 @@
+// Fuzzy matching for searching commands by name and text
+
+/**
+ * Score how well a query matches some text. Every query character must
+ * appear in order; consecutive characters and word starts score higher.
+ * @param {string} query - The search query
+ * @param {string} text - The text to search
+ * @returns {number|null} The score, or null if the text doesn't match
+ */
+export function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = String(text || '').toLowerCase();
+  if (!needle) {
+    return 0;
+  }
+
+  let score = 0;
+  let streak = 0;
+  let position = 0;
+
+  for (const character of needle) {
+    const index = haystack.indexOf(character, position);
+    if (index === -1) {
+      return null;
+    }
+
+    streak = index === position ? streak + 1 : 0;
+    score += 1 + streak * 2;
+
+    // Bonus for matching the start of the text or of a word
+    if (index === 0 || /[\s\-_/.:]/.test(haystack[index - 1])) {
+      score += 3;
+    }
+
+    // Small penalty for skipped characters
+    score -= Math.min(index - position, 3) * 0.5;
+    position = index + 1;
+  }
+
+  return score;
+}
@@ -0,0 +1,211 @@
+// Heuristic language detection for code blocks without a language label
+
+/**
+ * Languages that can be detected or picked, keyed by Prism grammar name
+ */
+export const DETECTABLE_LANGUAGES = {
+  javascript: 'JavaScript',
+  typescript: 'TypeScript',
+  python: 'Python',
+  bash: 'Bash',
+  json: 'JSON',
+  sql: 'SQL',
+  go: 'Go',
+  rust: 'Rust',
+  java: 'Java',
+  c: 'C',
+  cpp: 'C++',
+  yaml: 'YAML',
+  markup: 'HTML',
+  css: 'CSS',
+  docker: 'Dockerfile'
+};
+
+// Score a language must reach, and beat the runner-up by, to be picked
+const CONFIDENCE_THRESHOLD = 4;
+const MIN_LEAD = 2;
+
+// Only the start of huge blocks is scored
+const MAX_SAMPLE_LENGTH = 5000;
+
+/**
+ * Weighted patterns per language. A pattern with the `g` flag scores for every
+ * match, capped at three; others score once.
+ */
+const LANGUAGE_RULES = {
+  javascript: [
+    [/\b(const|let)\s+\w+\s*=/g, 1],
+    [/=>\s*[{(]?/g, 1],
+    [/\bfunction\s*\w*\s*\(/g, 1],
+    [/\b(console\.log|document\.|window\.|require\(|module\.exports)/, 3],
+    [/\bimport\s+.+\s+from\s+['"]/, 2],
+    [/\bexport\s+(default|const|function|class)\b/, 2],
+    [/===|!==/, 2],
+    [/\b(async|await)\b/, 1]
+  ],
+  typescript: [
+    [/\b(interface|type)\s+\w+\s*(=|\{|<)/, 4],
+    [/:\s*(string|number|boolean|void|any|unknown|never)\b/g, 2],
+    [/\b(const|let)\s+\w+\s*:\s*\w+/, 2],
+    [/\bimport\s+.+\s+from\s+['"]/, 1],
+    [/\b(public|private|readonly)\s+\w+\s*:/, 2],
+    [/\bas\s+(const|string|number|any)\b/, 2]
+  ],
+  python: [
+    [/^\s*def\s+\w+\s*\(.*\)\s*(->\s*[\w[\], ]+)?:\s*$/gm, 3],
+    [/^\s*(from\s+[\w.]+\s+)?import\s+[\w.]+(\s+as\s+\w+)?\s*$/gm, 2],
+    [/^\s*class\s+\w+(\(.*\))?:\s*$/m, 3],
+    [/\bprint\(/, 1],
+    [/^\s*(if|elif|for|while|with|try|except.*|else)\b.*:\s*$/gm, 1],
+    [/\b(self|None|True|False)\b/g, 1],
+    [/^\s*#(?!include|define|!)/m, 1],
+    [/^\s*@\w+/m, 1]
+  ],
+  bash: [
+    [/^#!\/(usr\/)?bin\/(env\s+)?(ba)?sh/m, 6],
+    [/^\s*\$\s+\w+/gm, 2],
+    [/^\s*(sudo|apt(-get)?|brew|npm|npx|yarn|pnpm|pip3?|git|cd|ls|mkdir|rm|cp|mv|chmod|curl|wget|export|echo|docker|kubectl)\s/gm, 2],
+    [/\$\{?\w+\}?/g, 1],
+    [/^\s*(if|then|fi|do|done|esac)\b/gm, 1],
+    [/\s(&&|\|\|)\s|\s\|\s\w+/g, 1]
+  ],
+  json: [
+    [/^\s*[{[]\s*$/m, 1],
+    [/^\s*"[^"]+"\s*:\s*/gm, 2],
+    [/:\s*(true|false|null|-?\d+(\.\d+)?)\s*,?\s*$/gm, 1]
+  ],
+  sql: [
+    [/\bSELECT\b[\s\S]+?\bFROM\b/i, 4],
+    [/\b(INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM)\b/i, 4],
+    [/\bCREATE\s+(TABLE|INDEX|VIEW|DATABASE)\b/i, 4],
+    [/\b(WHERE|JOIN|GROUP\s+BY|ORDER\s+BY|VALUES)\b/gi, 1],
+    [/\b(VARCHAR|INTEGER|PRIMARY\s+KEY|NOT\s+NULL)\b/gi, 1]
+  ],
+  go: [
+    [/^package\s+\w+\s*$/m, 4],
+    [/\bfunc\s+(\(\w+\s+\*?\w+\)\s*)?\w+\s*\(/g, 3],
+    [/:=/g, 1],
+    [/\bfmt\.\w+\(/, 3],
+    [/\b(chan|go\s+func|defer)\b/, 2]
+  ],
+  rust: [
+    [/\bfn\s+\w+\s*(<.*>)?\s*\(/g, 3],
+    [/\blet\s+mut\b/, 3],
+    [/\b(impl|trait|enum)\s+\w+/, 2],
+    [/\b(println!|vec!|format!|panic!)/, 3],
+    [/->\s*(Self|Result<|Option<|&?str\b|i32|u\d+|usize)/, 2],
+    [/\buse\s+\w+(::\w+)+/, 2],
+    [/&mut\s|::new\(/, 1]
+  ],
+  java: [
+    [/\bpublic\s+(static\s+)?(final\s+)?(class|interface|void|enum)\b/g, 3],
+    [/\bSystem\.out\.print/, 4],
+    [/\b(private|protected|public)\s+[\w<>[\]]+\s+\w+\s*[=;(]/g, 1],
+    [/@Override|@Autowired|@Test\b/, 2],
+    [/^import\s+java\./m, 3],
+    [/\bnew\s+\w+(<.*>)?\(/, 1]
+  ],
+  c: [
+    [/^#include\s*<(stdio|stdlib|string|math|unistd)\.h>/gm, 4],
+    [/\bint\s+main\s*\(/, 2],
+    [/\b(printf|scanf|malloc|free)\s*\(/g, 2],
+    [/\b(struct|typedef)\b/, 1],
+    [/^#(define|ifndef|endif)\b/gm, 1]
+  ],
+  cpp: [
+    [/^#include\s*<(iostream|vector|string|map|memory|algorithm)>/gm, 4],
+    [/\bstd::\w+/g, 2],
+    [/\b(cout|cin)\s*(<<|>>)/, 3],
+    [/\b(template\s*<|namespace\s+\w+|using\s+namespace)\b/, 2],
+    [/\bint\s+main\s*\(/, 1]
+  ],
+  yaml: [
+    [/^\s*[\w-]+:\s*$/gm, 1],
+    [/^\s*[\w-]+:\s+[^{}\s][^{}]*$/gm, 1],
+    [/^\s*-\s+[\w-]+:\s/gm, 2],
+    [/^---\s*$/m, 2],
+    [/^(apiVersion|kind|services|steps|jobs|on|name):/gm, 2]
+  ],
+  markup: [
+    [/<!DOCTYPE\s+html>/i, 5],
+    [/<\/?(html|head|body|div|span|p|a|ul|li|script|style|section|template)\b[^>]*>/gi, 2],
+    [/<\w+(\s+[\w-]+="[^"]*")+\s*\/?>/g, 1]
+  ],
+  css: [
+    // A line ending in a brace with no parentheses or assignment before it;
+    // kept free of nested repetition so long lines can't backtrack for ages
+    [/^\s*[^\s{};()=][^{};()=\n]*\{\s*$/gm, 2],
+    [/^\s*[\w-]+\s*:\s*[^;]+;\s*$/gm, 1],
+    [/@media|@import|@keyframes|:root\b/, 3],
+    [/\b(color|margin|padding|display|font-size)\s*:/g, 1]
+  ],
+  docker: [
+    [/^FROM\s+[\w./:-]+(\s+AS\s+\w+)?\s*$/gim, 5],
+    [/^(RUN|COPY|ADD|WORKDIR|EXPOSE|ENV|ENTRYPOINT|CMD|ARG)\s/gm, 2]
+  ]
+};
+
+/**
+ * Score how much a text looks like each language
+ * @param {string} text - The code
+ * @returns {Object<string, number>} Scores keyed by language
+ */
+export function scoreLanguages(text) {
+  const sample = text.slice(0, MAX_SAMPLE_LENGTH);
+  const scores = {};
+
+  Object.entries(LANGUAGE_RULES).forEach(([language, rules]) => {
+    scores[language] = rules.reduce((score, [pattern, weight]) => {
+      const matches = pattern.global
+        ? Math.min((sample.match(pattern) || []).length, 3)
+        : Number(pattern.test(sample));
+      return score + matches * weight;
+    }, 0);
+  });
+
+  // Valid JSON is certain, and it would otherwise look like JavaScript
+  if (/^\s*[{[]/.test(sample) && sample === text) {
+    try {
+      JSON.parse(text);
+      scores.json += 10;
+    } catch {
+      // Not JSON
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Guess the language of a code block from its content
+ * @param {string} text - The code
+ * @returns {{language: string, score: number}|null} The best guess, or null if none is confident enough
+ */
+export function detectLanguage(text) {
+  if (!text.trim()) {
+    return null;
+  }
+
+  const ranked = Object.entries(scoreLanguages(text)).sort((a, b) => b[1] - a[1]);
+  const [[language, score], [, runnerUpScore]] = ranked;
+
+  // TypeScript code usually scores for JavaScript too; its own markers decide
+  if (language === 'javascript' && scoresFor(ranked, 'typescript') >= CONFIDENCE_THRESHOLD) {
+    return { language: 'typescript', score: scoresFor(ranked, 'typescript') };
+  }
+
+  if (score < CONFIDENCE_THRESHOLD || score - runnerUpScore < MIN_LEAD) {
+    return null;
+  }
+  return { language, score };
+}
+
+/**
+ * Look up one language's score in a ranked list
+ * @param {Array<Array>} ranked - [language, score] pairs
+ * @param {string} language - The language
+ * @returns {number} Its score
+ */
+function scoresFor(ranked, language) {
+  return ranked.find(([candidate]) => candidate === language)[1];
+}
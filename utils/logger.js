@@ -0,0 +1,192 @@
+// Structured logging with levels, per-feature namespaces and diagnostics export
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// In-memory ring buffer size and persisted rolling log size
+const MAX_BUFFER_ENTRIES = 500;
+export const MAX_PERSISTED_ENTRIES = 1000;
+const PERSIST_DELAY_MS = 2000;
+
+// Setting keys whose values never go into a diagnostics bundle
+const SECRET_KEY_PATTERN = /key|token|secret|password|auth|cookie/i;
+
+const buffer = [];
+let pendingEntries = [];
+let persistTimer = null;
+let verbose = false;
+
+// Every tab logs, so the background appends the batches to the persisted log
+// one at a time; the background itself replaces this to write directly
+let persistEntries = async (entries) => {
+  const response = await chrome.runtime.sendMessage({ type: 'APPEND_LOG_ENTRIES', entries });
+  if (!response?.success) {
+    throw new Error(response?.error || 'No response from the background');
+  }
+};
+
+// Follow the verbose logging setting
+if (typeof chrome !== 'undefined' && chrome.storage) {
+  chrome.storage.sync.get('settings', (data) => {
+    verbose = Boolean(data?.settings?.verboseLogging);
+  });
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.settings) {
+      verbose = Boolean(changes.settings.newValue?.verboseLogging);
+    }
+  });
+}
+
+/**
+ * Create a logger for a feature namespace. The returned function logs at
+ * info level and also exposes `debug`, `info`, `warn` and `error` methods.
+ * @param {string} namespace - The feature name, e.g. 'commandBar'
+ * @returns {Function} The namespaced logger
+ */
+export function createLogger(namespace) {
+  const logger = (...args) => write('info', namespace, args);
+  LEVELS.forEach(level => {
+    logger[level] = (...args) => write(level, namespace, args);
+  });
+  return logger;
+}
+
+// Default logger for modules without their own namespace
+export const log = createLogger('extension');
+
+/**
+ * Replace how batches of entries are added to the persisted log
+ * @param {function(Array<object>): Promise} writer - Appends the entries
+ */
+export function setLogPersister(writer) {
+  persistEntries = writer;
+}
+
+/**
+ * Get the entries currently held in memory
+ * @returns {Array<object>} Log entries, oldest first
+ */
+export function getRecentLogs() {
+  return [...buffer];
+}
+
+/**
+ * Get the persisted rolling log, including entries from earlier page loads
+ * @returns {Promise<Array<object>>} Log entries, oldest first
+ */
+export async function getPersistedLogs() {
+  const data = await chrome.storage.local.get('diagnosticLog');
+  return [...(data.diagnosticLog || []), ...pendingEntries];
+}
+
+/**
+ * Build a diagnostics bundle for bug reports
+ * @param {string|null} platform - The detected chatbot platform
+ * @returns {Promise<object>} The diagnostics bundle
+ */
+export async function buildDiagnostics(platform = null) {
+  const { settings } = await chrome.storage.sync.get('settings');
+  const logs = await getPersistedLogs();
+
+  return {
+    generatedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    platform,
+    userAgent: navigator.userAgent,
+    settings: redactSecrets(settings || {}),
+    logs: logs.slice(-200)
+  };
+}
+
+/**
+ * Replace secret-looking values in an object, recursively
+ * @param {*} value - The value to redact
+ * @returns {*} A redacted copy
+ */
+export function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) ? '[redacted]' : redactSecrets(item)
+  ]));
+}
+
+/**
+ * Record a log entry and write it to the console
+ * @param {string} level - The log level
+ * @param {string} namespace - The feature namespace
+ * @param {Array} args - The values passed to the logger
+ */
+function write(level, namespace, args) {
+  if (level === 'debug' && !verbose) {
+    return;
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    namespace,
+    message: args.map(formatArg).join(' ')
+  };
+
+  buffer.push(entry);
+  if (buffer.length > MAX_BUFFER_ENTRIES) {
+    buffer.shift();
+  }
+
+  const consoleMethod = level === 'debug' ? 'debug' : level === 'info' ? 'log' : level;
+  console[consoleMethod](`[Chatbot Enhancer:${namespace}]`, ...args);
+
+  schedulePersist(entry);
+}
+
+/**
+ * Format a logged value as text
+ * @param {*} arg - The logged value
+ * @returns {string} The formatted value
+ */
+function formatArg(arg) {
+  if (arg instanceof Error) {
+    return arg.message;
+  }
+  if (typeof arg === 'object' && arg !== null) {
+    try {
+      return JSON.stringify(arg);
+    } catch {
+      return String(arg);
+    }
+  }
+  return String(arg);
+}
+
+/**
+ * Queue an entry for the persisted log, writing in batches
+ * @param {object} entry - The log entry
+ */
+function schedulePersist(entry) {
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    return;
+  }
+
+  pendingEntries.push(entry);
+  if (persistTimer) {
+    return;
+  }
+
+  persistTimer = setTimeout(async () => {
+    persistTimer = null;
+    const entries = pendingEntries;
+    pendingEntries = [];
+
+    try {
+      await persistEntries(entries);
+    } catch (error) {
+      console.error('[Chatbot Enhancer:logger] Failed to persist log:', error);
+    }
+  }, PERSIST_DELAY_MS);
+}
@@ -0,0 +1,63 @@
+// Chrome match patterns, used to register user-defined custom sites
+
+// <scheme>://<host><path>, where host may be '*', '*.example.com' or a name with a port
+const MATCH_PATTERN = /^(\*|https?):\/\/(\*|(?:\*\.)?[^/*:]+(?::\d+)?)(\/.*)$/;
+
+/**
+ * Check whether a string is a match pattern this extension can request access for
+ * @param {string} pattern - The pattern, e.g. 'https://chat.example.com/*'
+ * @returns {boolean} Whether the pattern is valid
+ */
+export function isValidMatchPattern(pattern) {
+  return typeof pattern === 'string' && MATCH_PATTERN.test(pattern.trim());
+}
+
+/**
+ * Convert a match pattern to a regular expression over URLs
+ * @param {string} pattern - A valid match pattern
+ * @returns {RegExp} An expression matching the same URLs
+ */
+export function matchPatternToRegExp(pattern) {
+  const [, scheme, host, path] = pattern.trim().match(MATCH_PATTERN);
+
+  const schemeSource = scheme === '*' ? 'https?' : scheme;
+  let hostSource;
+  if (host === '*') {
+    hostSource = '[^/]+';
+  } else if (host.startsWith('*.')) {
+    // '*.example.com' also matches example.com itself
+    hostSource = `(?:[^/]+\\.)?${escapeRegExp(host.slice(2))}`;
+  } else {
+    hostSource = escapeRegExp(host);
+  }
+  if (!/:\d+$/.test(host)) {
+    // Like Chrome, a pattern without a port matches every port
+    hostSource += '(?::\\d+)?';
+  }
+  const pathSource = path.split('*').map(escapeRegExp).join('.*');
+
+  return new RegExp(`^${schemeSource}://${hostSource}${pathSource}$`);
+}
+
+/**
+ * Build a pattern that covers a whole site from one of its URLs
+ * @param {string} url - A page URL
+ * @returns {string|null} The pattern, or null for non-web URLs
+ */
+export function getSitePattern(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return ['http:', 'https:'].includes(protocol) ? `${protocol}//${host}/*` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Escape text for literal use in a regular expression
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,79 @@
+// Shareable files of commands, themes and other things users make: export and merge on import
+
+/**
+ * @typedef {object} PackFormat
+ * @property {string} id - Identifies the kind of file, stored as its `format`
+ * @property {number} version - The newest version this build can read
+ * @property {string} itemsKey - The key holding the items, e.g. 'commands'
+ * @property {string} name - How error messages name the file, e.g. 'command pack'
+ * @property {boolean} [acceptsBareArray=false] - Whether a plain array of items is accepted too
+ * @property {number} [maxItems=Infinity] - Items beyond this count are skipped on import
+ */
+
+/**
+ * Build a shareable file
+ * @param {PackFormat} format - The kind of file
+ * @param {Array<object>} items - The items to include
+ * @returns {string} The file as JSON
+ */
+export function buildPack(format, items) {
+  return JSON.stringify({
+    format: format.id,
+    version: format.version,
+    exportedAt: new Date().toISOString(),
+    [format.itemsKey]: items
+  }, null, 2);
+}
+
+/**
+ * Merge a file into a list. Items whose ID already exists replace the
+ * existing entry in place; the rest are appended.
+ * @param {PackFormat} format - The kind of file
+ * @param {Array<object>} items - The current items
+ * @param {string} packText - The file contents
+ * @param {function(*): (object|null)} normalize - Completes an item, or returns null if it is invalid
+ * @returns {object} The merged list under the format's itemsKey, and the
+ *   numbers added, updated and skipped, with an error message if the file was rejected
+ */
+export function mergePack(format, items, packText, normalize) {
+  const { itemsKey, name, acceptsBareArray = false, maxItems = Infinity } = format;
+  const report = { [itemsKey]: items, added: 0, updated: 0, skipped: 0, error: null };
+
+  let pack;
+  try {
+    pack = JSON.parse(packText);
+  } catch (error) {
+    return { ...report, error: `File is not valid JSON: ${error.message}` };
+  }
+
+  const isBareArray = acceptsBareArray && Array.isArray(pack);
+  const packItems = isBareArray ? pack : pack?.[itemsKey];
+  if (!Array.isArray(packItems) || (!isBareArray && pack.format !== format.id)) {
+    return { ...report, error: `Unrecognized file: expected a Chatbot Enhancer ${name}` };
+  }
+  if (pack.version > format.version) {
+    return { ...report, error: `This ${name} was made by a newer version of the extension` };
+  }
+
+  const merged = [...items];
+  packItems.forEach(packItem => {
+    const item = normalize(packItem);
+    if (!item) {
+      report.skipped++;
+      return;
+    }
+
+    const index = merged.findIndex(existing => existing.id === item.id);
+    if (index !== -1) {
+      merged[index] = item;
+      report.updated++;
+    } else if (merged.length < maxItems) {
+      merged.push(item);
+      report.added++;
+    } else {
+      report.skipped++;
+    }
+  });
+
+  return { ...report, [itemsKey]: merged };
+}
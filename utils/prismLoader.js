@@ -0,0 +1,164 @@
+// On-demand loading of the Prism grammars and plugins bundled in content/lib/prism
+import { PRISM_LANGUAGES, PRISM_ALIASES } from '../content/lib/prism/languages.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('prismLoader');
+
+// Names chatbots label code blocks with that Prism knows under another id
+const EXTRA_ALIASES = {
+  'c++': 'cpp',
+  'c#': 'csharp',
+  golang: 'go',
+  console: 'bash',
+  zsh: 'bash',
+  terminal: 'bash',
+  jsonc: 'json',
+  vue: 'markup'
+};
+
+// Plugins bundled with the extension
+export const PRISM_PLUGINS = ['line-numbers', 'diff-highlight'];
+
+// Import promises by component, so each file is fetched once
+const componentLoads = new Map();
+
+/**
+ * Map a language name or alias to a bundled Prism grammar
+ * @param {string} language - The name, e.g. 'js', 'TypeScript' or 'c++'
+ * @returns {string|null} The grammar id, or null if Prism doesn't know the language
+ */
+export function resolvePrismLanguage(language) {
+  const name = String(language || '').toLowerCase();
+  if (PRISM_LANGUAGES[name]) {
+    return name;
+  }
+  if (PRISM_ALIASES[name] || EXTRA_ALIASES[name]) {
+    return PRISM_ALIASES[name] || EXTRA_ALIASES[name];
+  }
+
+  // Built into the core, e.g. 'text' and 'plain'
+  return window.Prism?.languages[name] ? name : null;
+}
+
+/**
+ * Load a grammar and everything it depends on, in dependency order
+ * @param {string} language - The language name or alias
+ * @returns {Promise<string|null>} The loaded grammar id, or null if it can't be highlighted
+ */
+export async function loadPrismLanguage(language) {
+  const id = resolvePrismLanguage(language);
+  if (!id || !window.Prism) {
+    return null;
+  }
+  if (!PRISM_LANGUAGES[id]) {
+    return id;
+  }
+
+  const alreadyLoaded = Object.keys(PRISM_LANGUAGES).filter(isLanguageLoaded);
+  const order = getLoadOrder(id).filter(candidate => !isLanguageLoaded(candidate));
+
+  try {
+    for (const candidate of order) {
+      await importComponent(`components/prism-${candidate}.min.js`);
+    }
+
+    // Grammars that extend a newly loaded one only do so when they run, so run them again
+    const extenders = alreadyLoaded.filter(candidate => {
+      const { modify = [], optional = [] } = PRISM_LANGUAGES[candidate];
+      return [...modify, ...optional].some(target => order.includes(target));
+    });
+    for (const candidate of extenders) {
+      await importComponent(`components/prism-${candidate}.min.js`, true);
+    }
+  } catch (error) {
+    log.warn(`Could not load the ${id} grammar:`, error.message);
+    return null;
+  }
+
+  return window.Prism.languages[id] ? id : null;
+}
+
+/**
+ * Load one of the bundled Prism plugins
+ * @param {string} name - One of PRISM_PLUGINS
+ * @returns {Promise<boolean>} Whether the plugin is available
+ */
+export async function loadPrismPlugin(name) {
+  if (!PRISM_PLUGINS.includes(name) || !window.Prism) {
+    return false;
+  }
+
+  try {
+    await importComponent(`plugins/prism-${name}.min.js`);
+    return true;
+  } catch (error) {
+    log.warn(`Could not load the ${name} plugin:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Check whether a grammar has been loaded into Prism
+ * @param {string} id - The grammar id
+ * @returns {boolean} Whether Prism has it
+ */
+function isLanguageLoaded(id) {
+  return Boolean(window.Prism.languages[id]);
+}
+
+/**
+ * Order a grammar after everything it needs. Required grammars are always
+ * included; grammars it modifies or optionally uses only order the list
+ * when they are being loaded anyway or are already there.
+ * @param {string} id - The grammar id
+ * @returns {Array<string>} Grammar ids, dependencies first
+ */
+function getLoadOrder(id) {
+  const required = new Set();
+  const collect = (current) => {
+    if (!required.has(current)) {
+      required.add(current);
+      (PRISM_LANGUAGES[current].require || []).forEach(collect);
+    }
+  };
+  collect(id);
+
+  const order = [];
+  const visiting = new Set();
+  const visit = (current) => {
+    if (order.includes(current) || visiting.has(current)) {
+      return;
+    }
+    visiting.add(current);
+
+    const { require = [], modify = [], optional = [] } = PRISM_LANGUAGES[current];
+    const ordering = [...modify, ...optional].filter(dependency => required.has(dependency));
+    [...require, ...ordering].forEach(visit);
+    order.push(current);
+  };
+  visit(id);
+
+  return order;
+}
+
+/**
+ * Run a bundled Prism file. The files are classic scripts that register
+ * themselves on the global Prism, so they can be imported as modules.
+ * @param {string} path - The path below content/lib/prism/
+ * @param {boolean} [rerun=false] - Whether to run the file again even if it ran before
+ * @returns {Promise<void>} Resolves once the file has run
+ */
+function importComponent(path, rerun = false) {
+  const url = chrome.runtime.getURL(`content/lib/prism/${path}`);
+  if (rerun) {
+    return import(`${url}?rerun=${Date.now()}`);
+  }
+
+  if (!componentLoads.has(path)) {
+    const load = import(url);
+    // Let a failed load be retried later
+    load.catch(() => componentLoads.delete(path));
+    componentLoads.set(path, load);
+  }
+  return componentLoads.get(path);
+}
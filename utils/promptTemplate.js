@@ -0,0 +1,55 @@
+// Prompt templates: command text with {{variable}} and {{placeholder}} slots
+
+// Placeholders filled in from the page instead of being asked for
+// ({{previousResponse}} is only set between the steps of a prompt chain)
+export const BUILT_IN_PLACEHOLDERS = ['selection', 'clipboard', 'lastAssistantMessage', 'lastCodeBlock', 'date', 'draft', 'previousResponse'];
+
+// How a command's text is combined with the draft already in the input
+export const INSERT_MODES = {
+  replace: 'Replace draft',
+  cursor: 'Insert at cursor',
+  wrap: 'Wrap draft'
+};
+
+const SLOT_PATTERN = /\{\{\s*([a-zA-Z_]\w*)\s*\}\}/g;
+
+/**
+ * List the slot names used in a template, in order of first use
+ * @param {string} template - The command text
+ * @returns {Array<string>} The unique slot names
+ */
+export function getTemplateSlots(template) {
+  const names = Array.from(String(template || '').matchAll(SLOT_PATTERN), match => match[1]);
+  return [...new Set(names)];
+}
+
+/**
+ * List the variables the user has to fill in
+ * @param {string} template - The command text
+ * @returns {Array<string>} The variable names, without built-in placeholders
+ */
+export function getTemplateVariables(template) {
+  return getTemplateSlots(template).filter(name => !BUILT_IN_PLACEHOLDERS.includes(name));
+}
+
+/**
+ * Fill in a template's slots
+ * @param {string} template - The command text
+ * @param {object} values - Values by slot name; missing slots become empty
+ * @returns {string} The prompt text
+ */
+export function renderTemplate(template, values) {
+  return String(template || '').replace(SLOT_PATTERN, (match, name) => values[name] ?? '');
+}
+
+/**
+ * Build the prompt for a command in "wrap" mode. Templates place the draft
+ * with {{draft}}; plain commands are put in front of it.
+ * @param {string} template - The command text
+ * @param {object} values - Values by slot name, including the draft
+ * @returns {string} The prompt text
+ */
+export function wrapDraft(template, values) {
+  const text = renderTemplate(template, values);
+  return getTemplateSlots(template).includes('draft') ? text : `${text}${values.draft || ''}`;
+}
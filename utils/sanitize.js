@@ -0,0 +1,98 @@
+// HTML sanitization for rendering recorded chatbot messages
+
+// Elements kept when sanitizing; anything else is unwrapped to its children
+const ALLOWED_TAGS = new Set([
+  'a', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3', 'h4',
+  'h5', 'h6', 'hr', 'i', 'li', 'ol', 'p', 'pre', 's', 'span', 'strong', 'sub', 'sup',
+  'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+// Elements removed together with their content
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'form', 'input', 'button',
+  'textarea', 'select', 'svg', 'math', 'template', 'link', 'meta'
+]);
+
+// Attributes kept per element; class is kept everywhere for language-* hints
+const ALLOWED_ATTRIBUTES = {
+  '*': ['class'],
+  'a': ['href', 'title'],
+  'td': ['colspan', 'rowspan'],
+  'th': ['colspan', 'rowspan']
+};
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:|#)/i;
+
+/**
+ * Sanitize an HTML string so it can be rendered in an extension page
+ * @param {string} html - The untrusted HTML
+ * @returns {DocumentFragment} A fragment containing only allowed markup
+ */
+export function sanitizeHTML(html) {
+  const doc = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+  const fragment = document.createDocumentFragment();
+
+  Array.from(doc.body.childNodes).forEach(node => {
+    sanitizeNode(node).forEach(clean => fragment.appendChild(clean));
+  });
+
+  return fragment;
+}
+
+/**
+ * Get the plain text content of an HTML string without rendering it
+ * @param {string} html - The HTML
+ * @returns {string} The text content
+ */
+export function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+  doc.body.querySelectorAll(Array.from(DROPPED_TAGS).join(',')).forEach(element => element.remove());
+  return doc.body.textContent || '';
+}
+
+/**
+ * Sanitize a parsed node
+ * @param {Node} node - The node from the parsed document
+ * @returns {Array<Node>} Clean nodes to insert in its place
+ */
+function sanitizeNode(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return [document.createTextNode(node.textContent)];
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return [];
+  }
+
+  const tagName = node.tagName.toLowerCase();
+  if (DROPPED_TAGS.has(tagName)) {
+    return [];
+  }
+
+  const children = Array.from(node.childNodes).flatMap(sanitizeNode);
+  if (!ALLOWED_TAGS.has(tagName)) {
+    return children;
+  }
+
+  const clean = document.createElement(tagName);
+  const allowedAttributes = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tagName] || [])];
+
+  allowedAttributes.forEach(attribute => {
+    const value = node.getAttribute(attribute);
+    if (value === null) {
+      return;
+    }
+    if (attribute === 'href' && !SAFE_URL_PATTERN.test(value.trim())) {
+      return;
+    }
+    clean.setAttribute(attribute, value);
+  });
+
+  if (tagName === 'a') {
+    clean.setAttribute('target', '_blank');
+    clean.setAttribute('rel', 'noopener noreferrer');
+  }
+
+  children.forEach(child => clean.appendChild(child));
+  return [clean];
+}
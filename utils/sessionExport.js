@@ -0,0 +1,476 @@
+// Export recorded sessions to Markdown, JSON, HTML and plain text
+import { sanitizeHTML, htmlToText } from './sanitize.js';
+import { createZip } from './zip.js';
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+  text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' }
+};
+
+export const EXPORT_FORMAT_ID = 'chatbot-enhancer-sessions';
+export const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * JSON Schema (draft-07) of the JSON export. Importers should check
+ * `format` and `version` before reading `sessions`.
+ */
+export const SESSION_EXPORT_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Chatbot Enhancer session export',
+  type: 'object',
+  required: ['format', 'version', 'exportedAt', 'sessions'],
+  properties: {
+    format: { const: EXPORT_FORMAT_ID },
+    version: { const: EXPORT_FORMAT_VERSION },
+    exportedAt: { type: 'string', format: 'date-time' },
+    sessions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'timestamp', 'messages'],
+        properties: {
+          id: { type: ['number', 'string'] },
+          title: { type: 'string' },
+          platform: { type: ['string', 'null'] },
+          url: { type: ['string', 'null'] },
+          timestamp: { type: 'string', format: 'date-time' },
+          messages: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['role', 'markdown'],
+              properties: {
+                role: { type: 'string', enum: ['user', 'assistant', 'system', 'tool'] },
+                timestamp: { type: 'string', format: 'date-time' },
+                markdown: { type: 'string', description: 'Message content as Markdown' },
+                html: { type: 'string', description: 'Sanitized message HTML' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Export a single session
+ * @param {object} session - The recorded session
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @returns {{name: string, content: string, mimeType: string}} The exported file
+ */
+export function exportSession(session, format) {
+  const { extension, mimeType } = getFormat(format);
+  const renderers = {
+    markdown: sessionToMarkdown,
+    json: (item) => JSON.stringify(buildJSONExport([item]), null, 2),
+    html: sessionToHTML,
+    text: sessionToText
+  };
+
+  return {
+    name: `${getSessionFileName(session)}.${extension}`,
+    content: renderers[format](session),
+    mimeType
+  };
+}
+
+/**
+ * Export several sessions as a ZIP archive with one file per session
+ * @param {Array<object>} sessions - The recorded sessions
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @returns {{name: string, blob: Blob}} The archive
+ */
+export function exportSessionsAsZip(sessions, format) {
+  const usedNames = new Set();
+  const files = sessions.map(session => {
+    const file = exportSession(session, format);
+
+    // Sessions started in the same minute with the same title would collide
+    let name = file.name;
+    for (let i = 2; usedNames.has(name); i++) {
+      name = file.name.replace(/(\.[^.]+)$/, `-${i}$1`);
+    }
+    usedNames.add(name);
+
+    return { name, content: file.content };
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  return { name: `chatbot-sessions-${date}.zip`, blob: createZip(files) };
+}
+
+/**
+ * Build the documented JSON export for some sessions
+ * @param {Array<object>} sessions - The recorded sessions
+ * @returns {object} An object matching SESSION_EXPORT_SCHEMA
+ */
+export function buildJSONExport(sessions) {
+  return {
+    format: EXPORT_FORMAT_ID,
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    sessions: sessions.map(session => ({
+      id: session.id,
+      title: getSessionTitle(session),
+      platform: session.platform || null,
+      url: session.url || null,
+      timestamp: session.timestamp,
+      messages: (session.content || []).map(message => ({
+        role: message.role,
+        timestamp: message.timestamp,
+        markdown: htmlToMarkdown(message.content),
+        html: toSanitizedHTMLString(message.content)
+      }))
+    }))
+  };
+}
+
+/**
+ * Convert a session to Markdown
+ * @param {object} session - The recorded session
+ * @returns {string} The Markdown transcript
+ */
+export function sessionToMarkdown(session) {
+  const lines = [
+    `# ${getSessionTitle(session)}`,
+    '',
+    `- Platform: ${session.platform || 'unknown'}`,
+    `- Recorded: ${formatDate(session.timestamp)}`
+  ];
+  if (session.url) {
+    lines.push(`- URL: ${session.url}`);
+  }
+
+  (session.content || []).forEach(message => {
+    lines.push('', `## ${formatRole(message.role)}`, '');
+    if (message.timestamp) {
+      lines.push(`_${formatDate(message.timestamp)}_`, '');
+    }
+    lines.push(htmlToMarkdown(message.content));
+  });
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Convert a session to plain text
+ * @param {object} session - The recorded session
+ * @returns {string} The plain text transcript
+ */
+export function sessionToText(session) {
+  const header = `${getSessionTitle(session)}\n${session.platform || 'unknown'} - ${formatDate(session.timestamp)}`;
+  const messages = (session.content || []).map(message =>
+    `[${formatRole(message.role)}] ${formatDate(message.timestamp)}\n${htmlToPlainText(message.content)}`
+  );
+
+  return `${[header, ...messages].join('\n\n')}\n`;
+}
+
+/**
+ * Convert a session to a standalone HTML document
+ * @param {object} session - The recorded session
+ * @returns {string} The HTML document
+ */
+export function sessionToHTML(session) {
+  const title = escapeHTML(getSessionTitle(session));
+  const messages = (session.content || []).map(message => `
+  <article class="message role-${escapeHTML(message.role)}">
+    <header><strong>${escapeHTML(formatRole(message.role))}</strong> <time datetime="${escapeHTML(message.timestamp || '')}">${escapeHTML(formatDate(message.timestamp))}</time></header>
+    <div class="content">${toSanitizedHTMLString(message.content)}</div>
+  </article>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <style>
+    body { max-width: 860px; margin: 2rem auto; padding: 0 1rem; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2328; }
+    .meta { color: #57606a; }
+    .message { margin: 1rem 0; padding: 0.75rem 1rem; border: 1px solid #d0d7de; border-radius: 8px; }
+    .message.role-user { background: #f0f6ff; }
+    .message header { margin-bottom: 0.5rem; font-size: 0.85rem; color: #57606a; }
+    pre { overflow-x: auto; padding: 0.75rem; background: #f6f8fa; border-radius: 4px; }
+    table { border-collapse: collapse; }
+    td, th { padding: 0.25rem 0.5rem; border: 1px solid #d0d7de; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p class="meta">${escapeHTML(session.platform || 'unknown')} &middot; ${escapeHTML(formatDate(session.timestamp))}</p>${messages}
+</body>
+</html>
+`;
+}
+
+/**
+ * Convert recorded message HTML to Markdown. Fenced code blocks keep the
+ * language from their `language-*` class, as set by the syntax highlighter.
+ * @param {string} html - The recorded message HTML
+ * @returns {string} The Markdown
+ */
+export function htmlToMarkdown(html) {
+  const container = document.createElement('div');
+  container.appendChild(sanitizeHTML(html));
+  return blocksToMarkdown(container).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Get the code language of a code block
+ * @param {HTMLElement} pre - The pre element
+ * @returns {string} The language, or an empty string
+ */
+export function getCodeBlockLanguage(pre) {
+  const elements = [pre.querySelector('code'), pre];
+  for (const element of elements) {
+    const languageClass = Array.from(element?.classList || [])
+      .find(cls => cls.startsWith('language-'));
+    if (languageClass) {
+      return languageClass.replace('language-', '');
+    }
+  }
+
+  // Fall back to the label the syntax highlighter shows on the block
+  return pre.querySelector('.code-language-indicator')?.textContent.trim() || '';
+}
+
+/**
+ * Convert the children of an element to Markdown blocks
+ * @param {HTMLElement} element - The parent element
+ * @returns {string} The Markdown
+ */
+function blocksToMarkdown(element) {
+  return Array.from(element.childNodes).map(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const tagName = node.tagName.toLowerCase();
+    switch (tagName) {
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        return `\n\n${'#'.repeat(Number(tagName[1]))} ${inlineToMarkdown(node).trim()}\n\n`;
+      case 'p':
+        return `\n\n${inlineToMarkdown(node).trim()}\n\n`;
+      case 'pre': {
+        // Read the code element only, skipping the highlighter's indicator and buttons
+        const code = (node.querySelector('code') || node).textContent.replace(/\n$/, '');
+        const fence = code.includes('```') ? '````' : '```';
+        return `\n\n${fence}${getCodeBlockLanguage(node)}\n${code}\n${fence}\n\n`;
+      }
+      case 'ul':
+      case 'ol':
+        return `\n\n${listToMarkdown(node, tagName === 'ol')}\n\n`;
+      case 'blockquote':
+        return `\n\n${blocksToMarkdown(node).trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'table':
+        return `\n\n${tableToMarkdown(node)}\n\n`;
+      case 'br':
+        return '  \n';
+      case 'div':
+        return blocksToMarkdown(node);
+      default:
+        return inlineToMarkdown(node, true);
+    }
+  }).join('');
+}
+
+/**
+ * Convert inline content to Markdown
+ * @param {Node} node - The node to convert
+ * @param {boolean} includeSelf - Whether to wrap the node's own formatting
+ * @returns {string} The Markdown
+ */
+function inlineToMarkdown(node, includeSelf = false) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent.replace(/\s+/g, ' ');
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return '';
+  }
+
+  const inner = () => Array.from(node.childNodes).map(child => inlineToMarkdown(child, true)).join('');
+  if (!includeSelf) {
+    return inner();
+  }
+
+  switch (node.tagName.toLowerCase()) {
+    case 'strong':
+    case 'b':
+      return `**${inner()}**`;
+    case 'em':
+    case 'i':
+      return `_${inner()}_`;
+    case 'del':
+    case 's':
+      return `~~${inner()}~~`;
+    case 'code': {
+      const text = node.textContent;
+      const ticks = text.includes('`') ? '``' : '`';
+      return `${ticks}${text}${ticks}`;
+    }
+    case 'a': {
+      const href = node.getAttribute('href');
+      return href ? `[${inner()}](${href})` : inner();
+    }
+    case 'br':
+      return '  \n';
+    default:
+      return inner();
+  }
+}
+
+/**
+ * Convert a list to Markdown; nested lists are indented under their item
+ * @param {HTMLElement} list - The ul or ol element
+ * @param {boolean} ordered - Whether the list is ordered
+ * @returns {string} The Markdown
+ */
+function listToMarkdown(list, ordered) {
+  return Array.from(list.children)
+    .filter(item => item.tagName === 'LI')
+    .map((item, index) => {
+      const marker = ordered ? `${index + 1}.` : '-';
+      const content = blocksToMarkdown(item)
+        .replace(/\n{2,}/g, '\n')
+        .trim()
+        .split('\n')
+        .map((line, lineIndex) => (lineIndex === 0 || !line ? line : `   ${line}`))
+        .join('\n');
+      return `${marker} ${content}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Convert a table to a Markdown table
+ * @param {HTMLElement} table - The table element
+ * @returns {string} The Markdown
+ */
+function tableToMarkdown(table) {
+  const rows = Array.from(table.querySelectorAll('tr')).map(row =>
+    Array.from(row.children).map(cell => inlineToMarkdown(cell).trim().replace(/\|/g, '\\|'))
+  );
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const formatRow = (row) => `| ${Array.from({ length: columnCount }, (_, i) => row[i] || '').join(' | ')} |`;
+
+  return [
+    formatRow(rows[0]),
+    `| ${Array(columnCount).fill('---').join(' | ')} |`,
+    ...rows.slice(1).map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Convert recorded message HTML to plain text, keeping line structure
+ * @param {string} html - The recorded message HTML
+ * @returns {string} The text
+ */
+function htmlToPlainText(html) {
+  return htmlToMarkdown(html)
+    .replace(/^```.*$/gm, '')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/\[(.+?)\]\((.+?)\)/g, '$1 ($2)')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Sanitize recorded HTML into a string
+ * @param {string} html - The recorded message HTML
+ * @returns {string} The sanitized HTML
+ */
+function toSanitizedHTMLString(html) {
+  const container = document.createElement('div');
+  container.appendChild(sanitizeHTML(html));
+  return container.innerHTML;
+}
+
+/**
+ * Get a title for a session from its first user message
+ * @param {object} session - The recorded session
+ * @returns {string} The title
+ */
+function getSessionTitle(session) {
+  if (session.title) {
+    return session.title;
+  }
+
+  const firstUserMessage = (session.content || []).find(message => message.role === 'user');
+  const text = firstUserMessage ? htmlToText(firstUserMessage.content).trim().split('\n')[0].trim() : '';
+  if (!text) {
+    return `Session ${formatDate(session.timestamp)}`;
+  }
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
+
+/**
+ * Build a file name for a session
+ * @param {object} session - The recorded session
+ * @returns {string} The file name without extension
+ */
+function getSessionFileName(session) {
+  const date = (session.timestamp || '').slice(0, 16).replace(/[T:]/g, '-');
+  const slug = getSessionTitle(session)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+  return [date, session.platform, slug].filter(Boolean).join('_') || `session-${session.id}`;
+}
+
+/**
+ * Look up an export format
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @returns {object} The format description
+ */
+function getFormat(format) {
+  const description = EXPORT_FORMATS[format];
+  if (!description) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return description;
+}
+
+/**
+ * Capitalize a message role for display
+ * @param {string} role - The message role
+ * @returns {string} The display label
+ */
+function formatRole(role) {
+  return role ? role.charAt(0).toUpperCase() + role.slice(1) : 'Unknown';
+}
+
+/**
+ * Format an ISO timestamp for transcripts
+ * @param {string} timestamp - The ISO timestamp
+ * @returns {string} The formatted date
+ */
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+export function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,251 @@
+// Import sessions from a ChatGPT data export or this extension's JSON export
+import { EXPORT_FORMAT_ID, EXPORT_FORMAT_VERSION, escapeHTML } from './sessionExport.js';
+import { getSessions, addSessions } from './storage.js';
+import { sanitizeHTML } from './sanitize.js';
+
+/**
+ * Import sessions from the text of an export file
+ * @param {string} fileText - The contents of conversations.json or an extension export
+ * @returns {Promise<{imported: number, skipped: number, failed: number, errors: Array<string>}>} The import report
+ */
+export async function importSessionsFromText(fileText) {
+  let data;
+  try {
+    data = JSON.parse(fileText);
+  } catch (error) {
+    return { imported: 0, skipped: 0, failed: 1, errors: [`File is not valid JSON: ${error.message}`] };
+  }
+
+  const parser = detectFormat(data);
+  if (!parser) {
+    return { imported: 0, skipped: 0, failed: 1, errors: ['Unrecognized file: expected ChatGPT conversations.json or a Chatbot Enhancer JSON export'] };
+  }
+
+  const report = { imported: 0, skipped: 0, failed: 0, errors: [] };
+  const existingSessions = await getSessions();
+  const knownFingerprints = new Set(existingSessions.map(getSessionFingerprint));
+  const importedAt = new Date().toISOString();
+
+  const newSessions = [];
+  parser.items(data).forEach((item, index) => {
+    try {
+      const session = parser.parse(item);
+      if (!session || session.content.length === 0) {
+        report.skipped++;
+        return;
+      }
+
+      const fingerprint = getSessionFingerprint(session);
+      if (knownFingerprints.has(fingerprint)) {
+        report.skipped++;
+        return;
+      }
+
+      knownFingerprints.add(fingerprint);
+      newSessions.push({ ...session, importedAt });
+      report.imported++;
+    } catch (error) {
+      report.failed++;
+      report.errors.push(`Item ${index + 1}: ${error.message}`);
+    }
+  });
+
+  if (newSessions.length > 0) {
+    const saved = await addSessions(newSessions);
+    if (!saved) {
+      return {
+        imported: 0,
+        skipped: report.skipped,
+        failed: report.failed + newSessions.length,
+        errors: [...report.errors, 'Could not save imported sessions']
+      };
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Pick a parser for the parsed file
+ * @param {*} data - The parsed JSON
+ * @returns {{items: Function, parse: Function}|null} The parser, or null if unrecognized
+ */
+function detectFormat(data) {
+  if (data?.format === EXPORT_FORMAT_ID) {
+    if (data.version > EXPORT_FORMAT_VERSION) {
+      return null;
+    }
+    return { items: (file) => file.sessions || [], parse: parseExtensionSession };
+  }
+
+  const conversations = Array.isArray(data) ? data : null;
+  if (conversations && conversations.every(item => item && typeof item.mapping === 'object')) {
+    return { items: () => conversations, parse: parseChatGPTConversation };
+  }
+
+  return null;
+}
+
+/**
+ * Convert a session from this extension's JSON export
+ * @param {object} item - An entry of `sessions` in the export
+ * @returns {object} The session in the recorder's shape
+ */
+function parseExtensionSession(item) {
+  if (!Array.isArray(item.messages)) {
+    throw new Error('Session has no messages array');
+  }
+
+  return {
+    timestamp: normalizeTimestamp(item.timestamp),
+    platform: item.platform || null,
+    url: item.url || null,
+    importedFrom: EXPORT_FORMAT_ID,
+    content: item.messages
+      .filter(message => message.role && (message.html || message.markdown))
+      .map(message => ({
+        role: message.role,
+        // Stored HTML is sanitized again whenever it is rendered
+        content: message.html || markdownToHTML(message.markdown),
+        timestamp: normalizeTimestamp(message.timestamp || item.timestamp)
+      }))
+  };
+}
+
+/**
+ * Convert a conversation from ChatGPT's conversations.json
+ * @param {object} conversation - A conversation from the export
+ * @returns {object} The session in the recorder's shape
+ */
+function parseChatGPTConversation(conversation) {
+  const messages = [];
+
+  // Follow the branch that was last shown, from the current node back to the root
+  let nodeId = conversation.current_node || findLeafNode(conversation.mapping);
+  const visited = new Set();
+  while (nodeId && !visited.has(nodeId)) {
+    visited.add(nodeId);
+    const node = conversation.mapping[nodeId];
+    if (!node) {
+      break;
+    }
+    if (node.message) {
+      messages.unshift(node.message);
+    }
+    nodeId = node.parent;
+  }
+
+  const conversationId = conversation.conversation_id || conversation.id || null;
+  const content = messages
+    .filter(message => ['user', 'assistant'].includes(message.author?.role))
+    .filter(message => !message.metadata?.is_visually_hidden_from_conversation)
+    .map(message => ({
+      role: message.author.role,
+      text: getChatGPTMessageText(message),
+      timestamp: normalizeTimestamp(message.create_time || conversation.create_time)
+    }))
+    .filter(message => message.text.trim())
+    .map(({ role, text, timestamp }) => ({ role, content: markdownToHTML(text), timestamp }));
+
+  return {
+    timestamp: normalizeTimestamp(conversation.create_time),
+    platform: 'chatgpt',
+    url: conversationId ? `https://chatgpt.com/c/${conversationId}` : null,
+    title: conversation.title || null,
+    importedFrom: 'chatgpt-export',
+    content
+  };
+}
+
+/**
+ * Find a leaf node when an export lacks current_node
+ * @param {object} mapping - The conversation's node mapping
+ * @returns {string|null} The ID of the last leaf node
+ */
+function findLeafNode(mapping) {
+  const leaves = Object.values(mapping).filter(node => !node.children?.length);
+  return leaves.length > 0 ? leaves[leaves.length - 1].id : null;
+}
+
+/**
+ * Get the text of a ChatGPT export message
+ * @param {object} message - The exported message
+ * @returns {string} The message text
+ */
+function getChatGPTMessageText(message) {
+  const content = message.content || {};
+  if (content.content_type === 'code') {
+    return `\`\`\`${content.language && content.language !== 'unknown' ? content.language : ''}\n${content.text || ''}\n\`\`\``;
+  }
+  if (Array.isArray(content.parts)) {
+    // Non-string parts are images and other attachments
+    return content.parts.filter(part => typeof part === 'string').join('\n\n');
+  }
+  return typeof content.text === 'string' ? content.text : '';
+}
+
+/**
+ * Convert an ISO string or epoch seconds to an ISO timestamp
+ * @param {string|number} value - The timestamp
+ * @returns {string} The ISO timestamp
+ */
+function normalizeTimestamp(value) {
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Compute a fingerprint that identifies a conversation regardless of its ID.
+ * Recorded sessions hold the page's HTML, buttons included, while exports
+ * hold sanitized HTML, so both are compared as the text left after sanitizing.
+ * @param {object} session - The session
+ * @returns {string} The fingerprint
+ */
+function getSessionFingerprint(session) {
+  const messages = session.content || [];
+  const text = messages.map(message => `${message.role}:${getSanitizedText(message.content)}`).join('\u0000');
+
+  // FNV-1a over the message text, combined with the message count
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${messages.length}:${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * Reduce HTML to comparable text
+ * @param {string} html - The HTML
+ * @returns {string} The text the sanitized HTML shows, with whitespace runs collapsed
+ */
+function getSanitizedText(html) {
+  return sanitizeHTML(html).textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert imported Markdown text to simple HTML
+ * @param {string} markdown - The message text
+ * @returns {string} HTML with paragraphs and fenced code blocks
+ */
+function markdownToHTML(markdown) {
+  const parts = String(markdown || '').split(/^```/m);
+
+  return parts.map((part, index) => {
+    // Odd parts are inside a fence: the first line is the language
+    if (index % 2 === 1) {
+      const newline = part.indexOf('\n');
+      const language = newline === -1 ? '' : part.slice(0, newline).trim();
+      const code = newline === -1 ? part : part.slice(newline + 1);
+      const languageClass = language ? ` class="language-${escapeHTML(language)}"` : '';
+      return `<pre><code${languageClass}>${escapeHTML(code.replace(/\n$/, ''))}</code></pre>`;
+    }
+
+    return part
+      .split(/\n{2,}/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .map(paragraph => `<p>${escapeHTML(paragraph).replace(/\n/g, '<br>')}</p>`)
+      .join('');
+  }).join('');
+}
@@ -0,0 +1,172 @@
+// Settings schema, defaults and versioned migrations
+// Shared by the background service worker and the content scripts
+import { normalizeCommand } from './commands.js';
+
+// Bump this and append a migration whenever the stored shape changes
+export const SETTINGS_VERSION = 5;
+
+// Themes shipped in the themes/ directory
+export const AVAILABLE_THEMES = ['light', 'dark', 'high-contrast', 'custom'];
+
+// Theme settings can also be 'auto', which shows the light or dark theme
+// following the system's color scheme
+export const AUTO_THEME = 'auto';
+export const THEME_OPTIONS = [...AVAILABLE_THEMES, AUTO_THEME];
+
+export const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
+  theme: 'light',
+  // Which of the custom themes in chrome.storage.local the 'custom' theme shows
+  customThemeId: null,
+  // Show another theme every day between two times, e.g. dark at night
+  themeSchedule: {
+    enabled: false,
+    theme: 'dark',
+    start: '19:00',
+    end: '07:00',
+    // Until when a theme picked on the page is shown instead, in milliseconds since the epoch
+    pausedUntil: null
+  },
+  // Themes for single platforms by platform ID, shown instead of the ones above;
+  // an empty string means no override
+  platformThemes: {},
+  syntaxHighlighting: true,
+  // Optional Prism plugins applied to highlighted code blocks
+  codeBlocks: {
+    lineNumbers: false,
+    diffHighlight: true
+  },
+  clipboardEnabled: true,
+  commandBarEnabled: true,
+  commandBarShortcut: 'Ctrl+Space',
+  sessionRecording: {
+    enabled: false,
+    autoDelete: true,
+    retentionDays: 7
+  },
+  consentGiven: false,
+  verboseLogging: false
+};
+
+/**
+ * Ordered migrations. Each one upgrades settings stored at `version - 1`
+ * to `version`; settings written before versioning existed count as version 1.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    migrate: (settings) => {
+      // 1.0.0 accepted any theme name and stored retentionDays as entered
+      const migrated = { ...settings };
+
+      if (!AVAILABLE_THEMES.includes(migrated.theme)) {
+        delete migrated.theme;
+      }
+
+      if (isPlainObject(migrated.sessionRecording)) {
+        const retentionDays = parseInt(migrated.sessionRecording.retentionDays, 10);
+        migrated.sessionRecording = { ...migrated.sessionRecording };
+        if (Number.isInteger(retentionDays) && retentionDays > 0) {
+          migrated.sessionRecording.retentionDays = retentionDays;
+        } else {
+          delete migrated.sessionRecording.retentionDays;
+        }
+      } else {
+        delete migrated.sessionRecording;
+      }
+
+      return migrated;
+    }
+  },
+  {
+    version: 3,
+    migrate: (settings) => {
+      // Commands used to be { name, text } and were matched by name
+      if (!Array.isArray(settings.commands)) {
+        return settings;
+      }
+      return { ...settings, commands: settings.commands.map(normalizeCommand).filter(Boolean) };
+    }
+  },
+  {
+    version: 4,
+    migrate: (settings) => {
+      // Custom sites moved to chrome.storage.local; the background copies
+      // them over before the settings are migrated
+      const migrated = { ...settings };
+      delete migrated.customSites;
+      return migrated;
+    }
+  },
+  {
+    version: 5,
+    migrate: (settings) => {
+      // Commands moved to chrome.storage.local, copied over like custom sites
+      const migrated = { ...settings };
+      delete migrated.commands;
+      return migrated;
+    }
+  }
+];
+
+/**
+ * Check whether a value is a plain (non-array) object
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Recursively merge a partial object into a base object
+ * @param {object} base - The object to merge into
+ * @param {object} patch - The partial values to apply
+ * @returns {object} A new merged object
+ */
+export function deepMerge(base, patch) {
+  const merged = { ...base };
+
+  Object.entries(patch).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  });
+
+  return merged;
+}
+
+/**
+ * Get a fresh copy of the default settings
+ * @returns {object} The default settings
+ */
+export function getDefaultSettings() {
+  return structuredClone(DEFAULT_SETTINGS);
+}
+
+/**
+ * Run any pending migrations over stored settings
+ * @param {object} settings - The stored settings
+ * @returns {object} The migrated settings, stamped with the current version
+ */
+export function migrateSettings(settings) {
+  let migrated = isPlainObject(settings) ? settings : {};
+  const storedVersion = Number.isInteger(migrated.version) ? migrated.version : 1;
+
+  MIGRATIONS
+    .filter(migration => migration.version > storedVersion)
+    .forEach(migration => {
+      migrated = migration.migrate(migrated);
+    });
+
+  return { ...migrated, version: Math.max(storedVersion, SETTINGS_VERSION) };
+}
+
+/**
+ * Migrate stored settings and fill any missing keys from the defaults
+ * @param {object} settings - The stored settings
+ * @returns {object} A fully populated settings object
+ */
+export function normalizeSettings(settings) {
+  return deepMerge(getDefaultSettings(), migrateSettings(settings));
+}
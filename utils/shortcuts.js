@@ -0,0 +1,88 @@
+// Keyboard shortcuts stored as strings such as 'Ctrl+Space' or 'Alt+Shift+K'
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+/**
+ * Parse a shortcut string
+ * @param {string} shortcut - The shortcut, e.g. 'Ctrl+Shift+K'
+ * @returns {{ctrlKey: boolean, altKey: boolean, shiftKey: boolean, metaKey: boolean, code: string}|null} The parsed shortcut, or null if malformed
+ */
+export function parseShortcut(shortcut) {
+  const parts = String(shortcut || '').split('+').map(part => part.trim()).filter(Boolean);
+  const key = parts.pop();
+  if (!key || MODIFIERS.includes(key) || parts.some(part => !MODIFIERS.includes(part))) {
+    return null;
+  }
+
+  return {
+    ctrlKey: parts.includes('Ctrl'),
+    altKey: parts.includes('Alt'),
+    shiftKey: parts.includes('Shift'),
+    metaKey: parts.includes('Meta'),
+    code: keyToCode(key)
+  };
+}
+
+/**
+ * Check whether a keyboard event triggers a shortcut
+ * @param {KeyboardEvent} event - The keydown event
+ * @param {string} shortcut - The shortcut string
+ * @returns {boolean} Whether the event matches
+ */
+export function matchesShortcut(event, shortcut) {
+  const parsed = parseShortcut(shortcut);
+  return Boolean(parsed) &&
+    event.code === parsed.code &&
+    event.ctrlKey === parsed.ctrlKey &&
+    event.altKey === parsed.altKey &&
+    event.shiftKey === parsed.shiftKey &&
+    event.metaKey === parsed.metaKey;
+}
+
+/**
+ * Build a shortcut string from a keyboard event
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {string|null} The shortcut, or null while only modifiers are held
+ */
+export function shortcutFromEvent(event) {
+  const key = codeToKey(event.code);
+  if (!key) {
+    return null;
+  }
+
+  const modifiers = MODIFIERS.filter(modifier => event[`${modifier.toLowerCase()}Key`]);
+  return [...modifiers, key].join('+');
+}
+
+/**
+ * Convert a key name from a shortcut string to a KeyboardEvent code
+ * @param {string} key - The key name, e.g. 'K', '1', 'Space' or 'F2'
+ * @returns {string} The event code
+ */
+function keyToCode(key) {
+  if (/^[A-Z]$/i.test(key)) {
+    return `Key${key.toUpperCase()}`;
+  }
+  if (/^\d$/.test(key)) {
+    return `Digit${key}`;
+  }
+  return key;
+}
+
+/**
+ * Convert a KeyboardEvent code to the key name used in shortcut strings
+ * @param {string} code - The event code
+ * @returns {string|null} The key name, or null for modifier keys
+ */
+function codeToKey(code) {
+  if (!code || /^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/.test(code)) {
+    return null;
+  }
+  if (/^Key[A-Z]$/.test(code)) {
+    return code.slice(3);
+  }
+  if (/^Digit\d$/.test(code)) {
+    return code.slice(5);
+  }
+  return code;
+}
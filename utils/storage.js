@@ -1,20 +1,23 @@
 // Storage utility functions for the extension
-import { log } from './logger.js';
+import { createLogger } from './logger.js';
+import { getDefaultSettings } from './settingsSchema.js';
+
+const log = createLogger('storage');
 
 /**
  * Get settings from storage
- * @returns {Promise<object>} The settings object
+ * @returns {Promise<object>} The fully populated settings object
  */
 export async function getSettings() {
   try {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }, (response) => {
-        resolve(response || {});
+        resolve(response?.success ? response.settings : getDefaultSettings());
       });
     });
   } catch (error) {
-    log('Error getting settings:', error.message);
-    return {};
+    log.error('Error getting settings:', error.message);
+    return getDefaultSettings();
   }
 }
 
@@ -34,7 +37,7 @@ export async function saveSettings(settings) {
       });
     });
   } catch (error) {
-    log('Error saving settings:', error.message);
+    log.error('Error saving settings:', error.message);
     return false;
   }
 }
@@ -47,32 +50,135 @@ export async function getSnippets() {
   try {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage({ type: 'GET_SNIPPETS' }, (response) => {
-        resolve(response || []);
+        resolve(response?.success ? response.snippets : []);
+      });
+    });
+  } catch (error) {
+    log.error('Error getting snippets:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Add a snippet; the background gives it its ID
+ * @param {object} snippet - The snippet to add ({ name, tags, text, language, createdAt })
+ * @returns {Promise<Array|null>} The updated snippets, or null if the snippet wasn't stored
+ */
+export async function addSnippet(snippet) {
+  try {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        type: 'ADD_SNIPPET',
+        snippet
+      }, (response) => {
+        resolve(response?.success ? response.snippets : null);
+      });
+    });
+  } catch (error) {
+    log.error('Error adding snippet:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a snippet
+ * @param {string} snippetId - The ID of the snippet to delete
+ * @returns {Promise<Array|null>} The updated snippets, or null if the deletion failed
+ */
+export async function deleteSnippet(snippetId) {
+  try {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        type: 'DELETE_SNIPPET',
+        snippetId
+      }, (response) => {
+        resolve(response?.success ? response.snippets : null);
+      });
+    });
+  } catch (error) {
+    log.error('Error deleting snippet:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get clipboard history from storage
+ * @returns {Promise<Array>} The history entries, newest first
+ */
+export async function getClipboardHistory() {
+  try {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'GET_CLIPBOARD_HISTORY' }, (response) => {
+        resolve(response?.success ? response.history : []);
       });
     });
   } catch (error) {
-    log('Error getting snippets:', error.message);
+    log.error('Error getting clipboard history:', error.message);
     return [];
   }
 }
 
 /**
- * Save session to storage
+ * Add an entry to the clipboard history
+ * @param {object} entry - The entry to add ({ text, source, language, platform })
+ * @returns {Promise<Array|null>} The updated history entries, or null if the entry wasn't stored
+ */
+export async function addClipboardEntry(entry) {
+  try {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        type: 'ADD_CLIPBOARD_ENTRY',
+        entry
+      }, (response) => {
+        resolve(response?.success ? response.history : null);
+      });
+    });
+  } catch (error) {
+    log.error('Error adding clipboard entry:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a consent decision; revoking consent also purges the data collected under it
+ * @param {string} feature - The feature key from CONSENT_FEATURES
+ * @param {string} platform - The platform the consent applies to
+ * @param {string} action - 'granted', 'denied' or 'revoked'
+ * @returns {Promise<object>} The response object, with purgedCount
+ */
+export async function recordConsentDecision(feature, platform, action) {
+  try {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        type: 'RECORD_CONSENT',
+        feature,
+        platform,
+        action
+      }, resolve);
+    });
+  } catch (error) {
+    log.error('Error recording consent decision:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save session to storage; the background refuses it unless recording is allowed on the platform
  * @param {Array} content - The session content
- * @param {boolean} consentGiven - Whether user consent has been given
+ * @param {string} platform - The platform the session was recorded on
  * @returns {Promise<object>} The response object
  */
-export async function saveSession(content, consentGiven) {
+export async function saveSession(content, platform) {
   try {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage({
         type: 'SAVE_SESSION',
         content,
-        consentGiven
+        platform
       }, resolve);
     });
   } catch (error) {
-    log('Error saving session:', error.message);
+    log.error('Error saving session:', error.message);
     return { success: false, error: error.message };
   }
 }
@@ -89,7 +195,7 @@ export async function getSessions() {
       });
     });
   } catch (error) {
-    log('Error getting sessions:', error.message);
+    log.error('Error getting sessions:', error.message);
     return [];
   }
 }
@@ -101,16 +207,118 @@ export async function getSessions() {
  */
 export async function deleteSession(sessionId) {
   try {
-    const sessions = await getSessions();
-    const filteredSessions = sessions.filter(session => session.id !== sessionId);
-    
+    return await deleteSessions([sessionId]);
+  } catch (error) {
+    log.error('Error deleting session:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete several sessions at once; the background makes the change, so
+ * sessions saved meanwhile are kept
+ * @param {Array<number>} sessionIds - The IDs of the sessions to delete
+ * @returns {Promise<boolean>} Whether the deletion was successful
+ */
+export async function deleteSessions(sessionIds) {
+  try {
     return new Promise((resolve) => {
-      chrome.storage.local.set({ sessions: filteredSessions }, () => {
-        resolve(true);
+      chrome.runtime.sendMessage({ type: 'DELETE_SESSIONS', sessionIds }, (response) => {
+        resolve(Boolean(response?.success));
       });
     });
   } catch (error) {
-    log('Error deleting session:', error.message);
+    log.error('Error deleting sessions:', error.message);
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Append sessions to storage; the background gives them their IDs
+ * @param {Array<object>} newSessions - The sessions to add
+ * @returns {Promise<boolean>} Whether the save was successful
+ */
+export async function addSessions(newSessions) {
+  try {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'ADD_SESSIONS', sessions: newSessions }, (response) => {
+        resolve(Boolean(response?.success));
+      });
+    });
+  } catch (error) {
+    log.error('Error adding sessions:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Send a prompt to every open chatbot tab and open the comparison page
+ * @param {string} prompt - The prompt text
+ * @returns {Promise<object>} The response object with the broadcast and the number of tabs reached
+ */
+export async function broadcastPrompt(prompt) {
+  try {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'BROADCAST_PROMPT', prompt }, resolve);
+    });
+  } catch (error) {
+    log.error('Error broadcasting prompt:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Open a code preview page rendering an HTML document in a sandbox
+ * @param {string} html - The document to render
+ * @param {string} title - A title for the preview tab
+ * @returns {Promise<object>} The response object with the preview's tab id
+ */
+export async function openCodePreview(html, title) {
+  try {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'OPEN_CODE_PREVIEW', html, title }, resolve);
+    });
+  } catch (error) {
+    log.error('Error opening code preview:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Open the window that saves a code block to a file in a local project folder
+ * @param {object} block - The code to save
+ * @param {string} block.code - The file content
+ * @param {string} block.fileName - The suggested file name or path
+ * @param {string} block.conversation - The conversation the folder and file names are remembered for
+ * @param {string} block.title - The conversation's title
+ * @returns {Promise<object>} The response object with the window id
+ */
+export async function openSaveToProject({ code, fileName, conversation, title }) {
+  try {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'OPEN_SAVE_TO_PROJECT', code, fileName, conversation, title }, resolve);
+    });
+  } catch (error) {
+    log.error('Error opening save to project:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Report this tab's finished response to a broadcast prompt
+ * @param {string} broadcastId - The broadcast the response belongs to
+ * @param {object} result - Either `{ response }` or `{ error }`
+ * @returns {Promise<boolean>} Whether the response was recorded
+ */
+export async function reportBroadcastResponse(broadcastId, result) {
+  try {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'BROADCAST_RESPONSE', broadcastId, ...result }, (response) => {
+        resolve(Boolean(response?.success));
+      });
+    });
+  } catch (error) {
+    log.error('Error reporting broadcast response:', error.message);
+    return false;
+  }
+}
@@ -0,0 +1,330 @@
+// Themes: which one a tab shows, and custom themes with their colors, CSS variables and contrast checks
+import { AVAILABLE_THEMES, AUTO_THEME } from './settingsSchema.js';
+import { buildPack, mergePack } from './packs.js';
+
+// Settings that decide which theme a tab shows
+export const THEME_SETTING_KEYS = ['theme', 'customThemeId', 'themeSchedule', 'platformThemes'];
+
+// Custom themes are kept in chrome.storage.local as [{ id, name, colors }]; a few
+// of them would overflow the size limit of the synced settings item
+export const CUSTOM_THEMES_KEY = 'customThemes';
+export const MAX_CUSTOM_THEMES = 20;
+
+// Exported theme files
+const THEME_PACK = {
+  id: 'chatbot-enhancer-themes',
+  version: 1,
+  itemsKey: 'themes',
+  name: 'theme file',
+  maxItems: MAX_CUSTOM_THEMES
+};
+
+// Colors a custom theme sets, in editor order, with the CSS variable each one defines
+export const THEME_COLORS = [
+  { key: 'background', variable: '--ce-background', label: 'Background', group: 'Page' },
+  { key: 'surface', variable: '--ce-surface', label: 'Surfaces', group: 'Page' },
+  { key: 'text', variable: '--ce-text', label: 'Text', group: 'Page' },
+  { key: 'border', variable: '--ce-border', label: 'Borders', group: 'Page' },
+  { key: 'accent', variable: '--ce-accent', label: 'Accent', group: 'Page' },
+  { key: 'codeBackground', variable: '--ce-code-background', label: 'Background', group: 'Code blocks' },
+  { key: 'codeText', variable: '--ce-code-text', label: 'Text', group: 'Code blocks' },
+  { key: 'tokenComment', variable: '--ce-token-comment', label: 'Comments', group: 'Syntax tokens' },
+  { key: 'tokenKeyword', variable: '--ce-token-keyword', label: 'Keywords', group: 'Syntax tokens' },
+  { key: 'tokenString', variable: '--ce-token-string', label: 'Strings', group: 'Syntax tokens' },
+  { key: 'tokenNumber', variable: '--ce-token-number', label: 'Numbers and constants', group: 'Syntax tokens' },
+  { key: 'tokenFunction', variable: '--ce-token-function', label: 'Functions', group: 'Syntax tokens' },
+  { key: 'tokenPunctuation', variable: '--ce-token-punctuation', label: 'Punctuation and operators', group: 'Syntax tokens' }
+];
+
+// Starting point for a new custom theme
+export const DEFAULT_THEME_COLORS = {
+  background: '#1e1f24',
+  surface: '#2a2c33',
+  text: '#e6e6e6',
+  border: '#41444d',
+  accent: '#7aa2f7',
+  codeBackground: '#16171b',
+  codeText: '#d4d4d4',
+  tokenComment: '#8b949e',
+  tokenKeyword: '#c792ea',
+  tokenString: '#a5d6a7',
+  tokenNumber: '#f78c6c',
+  tokenFunction: '#82aaff',
+  tokenPunctuation: '#89ddff'
+};
+
+// Text and the background it is read on; each pair should reach WCAG AA
+const CONTRAST_PAIRS = [
+  ['text', 'background'],
+  ['text', 'surface'],
+  ['accent', 'background'],
+  ['codeText', 'codeBackground'],
+  ['tokenComment', 'codeBackground'],
+  ['tokenKeyword', 'codeBackground'],
+  ['tokenString', 'codeBackground'],
+  ['tokenNumber', 'codeBackground'],
+  ['tokenFunction', 'codeBackground'],
+  ['tokenPunctuation', 'codeBackground']
+];
+
+// WCAG AA minimum contrast for normal-size text
+export const MIN_CONTRAST_RATIO = 4.5;
+
+/**
+ * Copy the settings that decide which theme a tab shows
+ * @param {object} settings - The settings object
+ * @returns {object} The theme settings
+ */
+export function pickThemeSettings(settings) {
+  return Object.fromEntries(THEME_SETTING_KEYS.map(key => [key, settings[key]]));
+}
+
+/**
+ * Pick the theme option that applies to a tab. A platform's own theme wins
+ * over the schedule, and the schedule over the theme setting, unless a theme
+ * was picked on the page since the schedule last started.
+ * @param {object} settings - The settings object
+ * @param {string} platform - The tab's platform ID
+ * @param {Date} [date=new Date()] - The time to check the schedule at
+ * @returns {string} One of THEME_OPTIONS, such as 'auto'
+ */
+export function getThemeOption(settings, platform, date = new Date()) {
+  const schedule = settings.themeSchedule;
+  const isScheduleShowing = isThemeScheduleActive(schedule, date) && !(schedule.pausedUntil > date.getTime());
+  return settings.platformThemes?.[platform] || (isScheduleShowing ? schedule.theme : settings.theme);
+}
+
+/**
+ * Pick the theme a tab shows: the option from getThemeOption, with 'auto'
+ * resolved to light or dark
+ * @param {object} settings - The settings object
+ * @param {string} platform - The tab's platform ID
+ * @param {boolean} [prefersDark=false] - Whether the system uses a dark color scheme
+ * @param {Date} [date=new Date()] - The time to check the schedule at
+ * @returns {string} One of AVAILABLE_THEMES
+ */
+export function resolveTheme(settings, platform, prefersDark = false, date = new Date()) {
+  const theme = getThemeOption(settings, platform, date);
+  if (theme === AUTO_THEME) {
+    return prefersDark ? 'dark' : 'light';
+  }
+  return AVAILABLE_THEMES.includes(theme) ? theme : 'light';
+}
+
+/**
+ * Check whether a theme schedule is on and a time falls in it, whether or not it is paused
+ * @param {object} schedule - settings.themeSchedule
+ * @param {Date} [date=new Date()] - The time to check
+ * @returns {boolean} Whether the time falls between the schedule's start and end
+ */
+export function isThemeScheduleActive(schedule, date = new Date()) {
+  const start = parseTimeOfDay(schedule?.start);
+  const end = parseTimeOfDay(schedule?.end);
+  if (!schedule?.enabled || start === null || end === null || start === end) {
+    return false;
+  }
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  // Windows such as 19:00 to 07:00 run past midnight
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Find when a theme schedule next starts or ends showing its theme
+ * @param {object} schedule - settings.themeSchedule
+ * @param {Date} [date=new Date()] - The time to look from
+ * @returns {Date|null} The next change, or null if the schedule is off or invalid
+ */
+export function getNextThemeScheduleChange(schedule, date = new Date()) {
+  const start = parseTimeOfDay(schedule?.start);
+  const end = parseTimeOfDay(schedule?.end);
+  if (!schedule?.enabled || start === null || end === null || start === end) {
+    return null;
+  }
+
+  return [start, end]
+    .map(minutes => {
+      const change = new Date(date);
+      change.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+      if (change <= date) {
+        change.setDate(change.getDate() + 1);
+      }
+      return change;
+    })
+    .sort((a, b) => a - b)[0];
+}
+
+/**
+ * Work out how long a theme picked now keeps the schedule from showing its theme
+ * @param {object} schedule - settings.themeSchedule
+ * @param {Date} [date=new Date()] - The time the theme is picked
+ * @returns {number|null} When the schedule next ends, in milliseconds since the epoch,
+ *   or null if the schedule isn't showing its theme anyway
+ */
+export function getThemeSchedulePause(schedule, date = new Date()) {
+  return isThemeScheduleActive(schedule, date) ? getNextThemeScheduleChange(schedule, date).getTime() : null;
+}
+
+/**
+ * Read a time of day such as '07:00'
+ * @param {string} value - The time, as an <input type="time"> gives it
+ * @returns {number|null} Minutes after midnight, or null if it isn't a time
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Read a hex color
+ * @param {string} value - A color such as '#1e1f24' or '#fff'
+ * @returns {string|null} The color as lowercase '#rrggbb', or null if it isn't a hex color
+ */
+export function normalizeHexColor(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const hex = match[1].length === 3
+    ? match[1].split('').map(digit => digit + digit).join('')
+    : match[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+/**
+ * Compute the WCAG contrast ratio between two colors
+ * @param {string} foreground - A '#rrggbb' color
+ * @param {string} background - A '#rrggbb' color
+ * @returns {number} The ratio, from 1 to 21
+ */
+export function getContrastRatio(foreground, background) {
+  const [lighter, darker] = [getLuminance(foreground), getLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Compute the relative luminance of a color as defined by WCAG
+ * @param {string} color - A '#rrggbb' color
+ * @returns {number} The luminance, from 0 for black to 1 for white
+ */
+function getLuminance(color) {
+  const [r, g, b] = [1, 3, 5].map(offset => {
+    const channel = parseInt(color.slice(offset, offset + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Check every text and background pair of a theme against WCAG AA
+ * @param {object} colors - The theme's colors by key
+ * @returns {Array<{foreground: string, background: string, ratio: number, passes: boolean}>} One result per pair
+ */
+export function checkThemeContrast(colors) {
+  return CONTRAST_PAIRS.map(([foreground, background]) => {
+    const ratio = getContrastRatio(colors[foreground], colors[background]);
+    return { foreground, background, ratio, passes: ratio >= MIN_CONTRAST_RATIO };
+  });
+}
+
+/**
+ * Describe a color of the theme for messages, e.g. 'Code blocks text'
+ * @param {string} key - The color key
+ * @returns {string} The description
+ */
+export function describeThemeColor(key) {
+  const color = THEME_COLORS.find(entry => entry.key === key);
+  return color.group === 'Page' ? color.label : `${color.group} ${color.label.toLowerCase()}`;
+}
+
+/**
+ * Create a new unique custom theme ID
+ * @returns {string} The ID
+ */
+export function createThemeId() {
+  return `theme-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Validate a custom theme, such as one read from an imported file. Missing
+ * colors are filled from the defaults; anything that isn't a theme is rejected.
+ * @param {*} theme - The value to check
+ * @returns {object|null} The theme as { id, name, colors }, or null if it is invalid
+ */
+export function normalizeCustomTheme(theme) {
+  if (!theme || typeof theme !== 'object' || typeof theme.name !== 'string' || !theme.name.trim()) {
+    return null;
+  }
+  if (!theme.colors || typeof theme.colors !== 'object') {
+    return null;
+  }
+
+  const colors = {};
+  for (const { key } of THEME_COLORS) {
+    if (theme.colors[key] === undefined) {
+      colors[key] = DEFAULT_THEME_COLORS[key];
+      continue;
+    }
+    colors[key] = normalizeHexColor(theme.colors[key]);
+    if (!colors[key]) {
+      return null;
+    }
+  }
+
+  return {
+    id: typeof theme.id === 'string' && theme.id ? theme.id : createThemeId(),
+    name: theme.name.trim().slice(0, 60),
+    colors
+  };
+}
+
+/**
+ * Map a theme's colors to the CSS variables that apply them
+ * @param {object} colors - The theme's colors by key
+ * @returns {Object<string, string>} Values by CSS variable name
+ */
+export function getThemeVariables(colors) {
+  return Object.fromEntries(THEME_COLORS.map(({ key, variable }) => [variable, colors[key]]));
+}
+
+/**
+ * Read the stored custom themes
+ * @returns {Promise<Array<object>>} The themes
+ */
+export async function getCustomThemes() {
+  const { [CUSTOM_THEMES_KEY]: themes } = await chrome.storage.local.get(CUSTOM_THEMES_KEY);
+  return Array.isArray(themes) ? themes : [];
+}
+
+/**
+ * Pick the custom theme the 'custom' theme shows
+ * @param {Array<object>} themes - The stored custom themes
+ * @param {string|null} customThemeId - The id chosen in the settings
+ * @returns {object|null} The chosen theme, else the first one, or null if there are none
+ */
+export function getActiveCustomTheme(themes, customThemeId) {
+  return themes.find(theme => theme.id === customThemeId) || themes[0] || null;
+}
+
+/**
+ * Build a shareable theme file
+ * @param {Array<object>} themes - The themes to include
+ * @returns {string} The file as JSON
+ */
+export function buildThemePack(themes) {
+  return buildPack(THEME_PACK, themes);
+}
+
+/**
+ * Merge a theme file into a theme list. Themes whose ID already exists
+ * replace the existing entry in place; the rest are appended.
+ * @param {Array<object>} themes - The current themes
+ * @param {string} packText - The file contents
+ * @returns {{themes: Array<object>, added: number, updated: number, skipped: number, error: (string|null)}} The merged list and a report
+ */
+export function mergeThemePack(themes, packText) {
+  return mergePack(THEME_PACK, themes, packText, normalizeCustomTheme);
+}